@@ -1,23 +1,249 @@
 // API Client - Base client for all backend API calls
-// Automatically injects auth headers and handles common errors
+// Automatically injects auth headers, renews expired sessions, retries transient
+// failures with backoff and stops calling a backend that looks down (circuit breaker)
 
 class APIClient {
+  // In-flight token refresh shared by every caller (single-flight)
+  static refreshPromise = null;
+
+  // Web Lock held while refreshing, so the side panel, background and options
+  // page never spend the same (rotating) refresh token twice
+  static REFRESH_LOCK = 'auth-refresh';
+
+  // Failure classes every service result carries as errorType
+  static ERROR_TYPES = {
+    NETWORK: 'network',       // No response at all (offline, DNS, CORS)
+    TIMEOUT: 'timeout',       // No response within the timeout
+    AUTH: 'auth',             // 401/403 - session expired or not allowed
+    VALIDATION: 'validation', // Other 4xx - the request itself was rejected
+    SERVER: 'server'          // 5xx/429 - backend trouble, worth trying again later
+  };
+
+  // Circuit breaker: 'closed' (normal), 'open' (failing fast) or 'half-open' (one trial request)
+  static circuit = {
+    state: 'closed',
+    failures: 0,
+    openedUntil: 0,
+    trialInFlight: false
+  };
+  static circuitListeners = new Set();
+
   /**
-   * Make authenticated API request
-   * @param {string} endpoint - API endpoint path
-   * @param {object} options - Fetch options
-   * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+   * Make an API request
+   * Transient failures (network, timeout, 5xx, 429) are retried with exponential
+   * backoff and jitter; POSTs carry one Idempotency-Key across all attempts so the
+   * backend can drop duplicates. An expired access token is refreshed first and a
+   * 401 triggers one refresh and one transparent retry. Never throws.
+   * @param {string} endpoint - API endpoint path (or full URL)
+   * @param {object} options - { method, body, headers, auth, timeout, stream, retry, idempotencyKey, bypassCircuit }
+   *   body: plain objects are sent as JSON, FormData/Blob/strings as they are
+   *   headers: extra headers, e.g. { 'x-recording-token': token }
+   *   auth: false to leave out the Authorization header (login, recording-token calls)
+   *   timeout: ms to wait for the response (the headers, for streams); 0 for none
+   *   stream: resolve with the unread Response as `response` instead of parsed data
+   *   retry: attempts in total (default CONFIG.RETRY.MAX_ATTEMPTS), false for a single attempt
+   *   idempotencyKey: reuse a key of your own instead of a fresh one per call
+   *   bypassCircuit: ignore the circuit breaker (token refresh, which the trial request may need)
+   * @returns {Promise<{success: true, data: any, status: number, response?: Response}|{success: false, error: string, errorType: string, status?: number, code?: string, details?: any, retryAfterMs?: number}>}
    */
   static async request(endpoint, options = {}) {
-    try {
-      // Get auth headers
-      const authHeaders = await TokenManager.getAuthHeaders();
+    const method = (options.method || 'GET').toUpperCase();
+    const attempts = options.retry === false ? 1 : (options.retry || CONFIG.RETRY.MAX_ATTEMPTS);
 
-      // Merge headers
-      const headers = {
-        ...authHeaders,
-        ...options.headers
+    if (method === 'POST') {
+      options = {
+        ...options,
+        headers: {
+          'Idempotency-Key': options.idempotencyKey || crypto.randomUUID(),
+          ...options.headers
+        }
       };
+    }
+
+    let result;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (!options.bypassCircuit && !this.allowRequest()) {
+        console.warn('⚠️ Backend circuit open - not calling', endpoint);
+        return this.errorResult(this.ERROR_TYPES.SERVER, 'BrobyVets is unreachable right now - will retry shortly', {
+          code: 'CIRCUIT_OPEN',
+          retryAfterMs: this.getCircuitRetryIn()
+        });
+      }
+
+      result = await this.send(endpoint, options);
+      if (!options.bypassCircuit) {
+        this.recordOutcome(result);
+      }
+
+      if (result.success || !this.isRetryable(result) || attempt === attempts - 1) {
+        break;
+      }
+
+      const delay = Math.max(this.getBackoffDelay(attempt), result.retryAfterMs || 0);
+      console.warn(`⚠️ Retry ${attempt + 1}/${attempts - 1} for ${method} ${endpoint} after ${delay}ms (${result.errorType})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a failed result is worth trying again
+   * Network errors, timeouts, 5xx and 429 are; 4xx and auth failures are permanent.
+   * @param {object} result
+   * @returns {boolean}
+   */
+  static isRetryable(result) {
+    if (result.success || result.code === 'CIRCUIT_OPEN') return false;
+
+    return result.errorType === this.ERROR_TYPES.NETWORK ||
+      result.errorType === this.ERROR_TYPES.TIMEOUT ||
+      result.errorType === this.ERROR_TYPES.SERVER;
+  }
+
+  /**
+   * Exponential backoff with jitter: half the step fixed, half random
+   * @param {number} attempt - 0 for the first retry
+   * @param {object} options - { baseMs, maxMs } defaults from CONFIG.RETRY
+   * @returns {number} ms
+   */
+  static getBackoffDelay(attempt, options = {}) {
+    const base = options.baseMs ?? CONFIG.RETRY.BASE_DELAY_MS;
+    const max = options.maxMs ?? CONFIG.RETRY.MAX_DELAY_MS;
+    const step = Math.min(max, base * Math.pow(2, attempt));
+
+    return Math.round(step / 2 + Math.random() * step / 2);
+  }
+
+  /**
+   * Circuit breaker gate - false while the backend is considered down
+   * After the cooldown a single trial request is let through (half-open).
+   * @returns {boolean}
+   */
+  static allowRequest() {
+    const circuit = this.circuit;
+
+    if (circuit.state === 'closed') return true;
+
+    if (circuit.state === 'open') {
+      if (Date.now() < circuit.openedUntil) return false;
+      circuit.state = 'half-open';
+      circuit.trialInFlight = false;
+    }
+
+    if (circuit.trialInFlight) return false;
+    circuit.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Feed an attempt's outcome to the circuit breaker
+   * Only transient failures count against the backend; a 4xx is still an answer.
+   * @param {object} result
+   */
+  static recordOutcome(result) {
+    const circuit = this.circuit;
+    const backendFailure = !result.success && this.isRetryable(result);
+
+    if (!backendFailure) {
+      circuit.failures = 0;
+      if (circuit.state !== 'closed') {
+        circuit.state = 'closed';
+        circuit.trialInFlight = false;
+        console.log('✅ Backend reachable again - circuit closed');
+        this.notifyCircuit();
+      }
+      return;
+    }
+
+    circuit.failures++;
+
+    if (circuit.state === 'half-open' || circuit.failures >= CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD) {
+      const wasOpen = circuit.state !== 'closed';
+      circuit.state = 'open';
+      circuit.trialInFlight = false;
+      circuit.openedUntil = Date.now() + CONFIG.CIRCUIT_BREAKER.COOLDOWN_MS;
+
+      if (!wasOpen) {
+        console.warn(`⚠️ ${circuit.failures} consecutive backend failures - circuit open`);
+        this.notifyCircuit();
+      }
+    }
+  }
+
+  /**
+   * ms until the circuit lets a trial request through (0 when closed)
+   * @returns {number}
+   */
+  static getCircuitRetryIn() {
+    return this.circuit.state === 'open'
+      ? Math.max(0, this.circuit.openedUntil - Date.now())
+      : 0;
+  }
+
+  /**
+   * Subscribe to backend availability changes
+   * @param {function} listener - ({ state: 'open'|'closed', retryInMs }) => void
+   * @returns {function} Unsubscribe
+   */
+  static onCircuitChange(listener) {
+    this.circuitListeners.add(listener);
+    return () => this.circuitListeners.delete(listener);
+  }
+
+  static notifyCircuit() {
+    const event = {
+      state: this.circuit.state === 'closed' ? 'closed' : 'open',
+      retryInMs: this.getCircuitRetryIn()
+    };
+
+    for (const listener of this.circuitListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ Circuit listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Make a single attempt at a request (see request() for options)
+   * @param {string} endpoint
+   * @param {object} options
+   * @param {boolean} retried - Set on the retry after a refresh
+   * @returns {Promise<object>} Same shape as request()
+   */
+  static async send(endpoint, options = {}, retried = false) {
+    const useAuth = options.auth !== false;
+    const timeout = options.timeout ?? CONFIG.REQUEST_TIMEOUT;
+    const controller = new AbortController();
+    let timer = null;
+
+    try {
+      if (useAuth && !retried) {
+        await this.ensureFreshToken();
+      }
+
+      const headers = {};
+
+      if (useAuth) {
+        const authHeaders = await TokenManager.getAuthHeaders();
+        if (authHeaders.Authorization) {
+          headers.Authorization = authHeaders.Authorization;
+        }
+      }
+
+      // Don't set Content-Type for FormData - browser sets it automatically with boundary
+      let body = options.body;
+      if (body !== undefined && body !== null && !(body instanceof FormData) && !(body instanceof Blob)) {
+        headers['Content-Type'] = 'application/json';
+        if (typeof body !== 'string') {
+          body = JSON.stringify(body);
+        }
+      }
+
+      Object.assign(headers, options.headers);
 
       // Build full URL
       const url = endpoint.startsWith('http')
@@ -27,29 +253,40 @@ class APIClient {
       console.log('📡 API Request:', {
         method: options.method || 'GET',
         url,
-        hasAuth: !!authHeaders.Authorization
+        hasAuth: !!headers.Authorization
       });
 
+      if (timeout) {
+        timer = setTimeout(() => controller.abort(new DOMException('Request timed out', 'TimeoutError')), timeout);
+      }
+
       // Make request
       const response = await fetch(url, {
-        ...options,
+        method: options.method || 'GET',
         headers,
-        signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+        body,
+        signal: controller.signal
       });
 
-      // Handle 401 Unauthorized - token expired
-      if (response.status === 401) {
-        console.warn('⚠️ 401 Unauthorized - clearing auth');
-        await TokenManager.clearAuth();
+      // Handle 401 Unauthorized - renew the session and try once more
+      if (response.status === 401 && useAuth) {
+        clearTimeout(timer);
+        return this.handleUnauthorized(retried, () => this.send(endpoint, options, true));
+      }
+
+      if (response.ok && options.stream) {
+        clearTimeout(timer);
         return {
-          success: false,
-          error: 'Session expired. Please login again.',
-          code: 'UNAUTHORIZED'
+          success: true,
+          data: null,
+          status: response.status,
+          response
         };
       }
 
-      // Parse response
-      const data = await response.json();
+      // Parse response (empty or non-JSON bodies are fine)
+      const data = await response.json().catch(() => ({}));
+      clearTimeout(timer);
 
       if (!response.ok) {
         console.error('❌ API Error:', {
@@ -57,12 +294,20 @@ class APIClient {
           error: data.error
         });
 
-        return {
-          success: false,
-          error: data.error || `Request failed with status ${response.status}`,
-          code: data.code,
-          status: response.status
-        };
+        // Retry-After is in seconds (an HTTP date is ignored)
+        const retryAfter = Number(response.headers.get('Retry-After'));
+
+        // A 405, or a 404 the backend didn't explain, means the route itself doesn't
+        // exist (older backend) - not that the thing it was asked about is missing
+        const routeMissing = response.status === 405 ||
+          (response.status === 404 && !data.error && !data.message && !data.code);
+
+        return this.errorResult(this.classifyStatus(response.status), data.error || data.message, {
+          status: response.status,
+          code: data.code || (routeMissing ? 'ROUTE_NOT_FOUND' : undefined),
+          details: data.details,
+          retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined
+        });
       }
 
       console.log('✅ API Success:', {
@@ -72,112 +317,253 @@ class APIClient {
 
       return {
         success: true,
-        data: data.data || data
+        data: data.data || data,
+        status: response.status
       };
 
     } catch (error) {
+      clearTimeout(timer);
       console.error('❌ API Request Error:', error);
 
-      return {
-        success: false,
-        error: error.name === 'TimeoutError'
-          ? 'Request timeout - please try again'
-          : error.message || 'Network error'
-      };
+      return error.name === 'TimeoutError'
+        ? this.errorResult(this.ERROR_TYPES.TIMEOUT)
+        : this.errorResult(this.ERROR_TYPES.NETWORK, error.message);
     }
   }
 
   /**
-   * GET request
+   * Map an HTTP error status to an error type
+   * @param {number} status
+   * @returns {string} One of ERROR_TYPES
    */
-  static async get(endpoint) {
-    return this.request(endpoint, { method: 'GET' });
+  static classifyStatus(status) {
+    if (status === 401 || status === 403) return this.ERROR_TYPES.AUTH;
+    if (status === 408) return this.ERROR_TYPES.TIMEOUT;
+    if (status === 429 || status >= 500) return this.ERROR_TYPES.SERVER;
+    return this.ERROR_TYPES.VALIDATION;
   }
 
   /**
-   * POST request
+   * Build a failed result, with a readable default message for the error type
+   * @param {string} errorType - One of ERROR_TYPES
+   * @param {string} message - Backend or exception message, if any
+   * @param {object} extra - { status, code, details, retryAfterMs }
+   * @returns {{success: false, error: string, errorType: string, status?: number, code?: string, details?: any, retryAfterMs?: number}}
    */
-  static async post(endpoint, body) {
-    return this.request(endpoint, {
-      method: 'POST',
-      body: JSON.stringify(body)
-    });
+  static errorResult(errorType, message, extra = {}) {
+    const defaults = {
+      [this.ERROR_TYPES.NETWORK]: 'Network error - check your connection',
+      [this.ERROR_TYPES.TIMEOUT]: 'Request timeout - please try again',
+      [this.ERROR_TYPES.AUTH]: 'Session expired. Please login again.',
+      [this.ERROR_TYPES.VALIDATION]: `Request failed with status ${extra.status}`,
+      [this.ERROR_TYPES.SERVER]: 'Server error - please try again shortly'
+    };
+
+    const result = {
+      success: false,
+      error: message || defaults[errorType],
+      errorType
+    };
+
+    for (const [key, value] of Object.entries(extra)) {
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+
+    return result;
   }
 
   /**
-   * PUT request
+   * Turn a failed result into an Error for code that throws, keeping its type
+   * @param {object} result - Failed result from request()
+   * @param {string} fallbackMessage
+   * @returns {Error} with errorType and status
    */
-  static async put(endpoint, body) {
-    return this.request(endpoint, {
-      method: 'PUT',
-      body: JSON.stringify(body)
-    });
+  static toError(result, fallbackMessage) {
+    const error = new Error(result.error || fallbackMessage);
+    error.errorType = result.errorType;
+    error.status = result.status;
+    return error;
   }
 
   /**
-   * DELETE request
+   * Refresh the access token ahead of a request if its JWT exp has passed
    */
-  static async delete(endpoint) {
-    return this.request(endpoint, { method: 'DELETE' });
+  static async ensureFreshToken() {
+    const refreshToken = await TokenManager.getRefreshToken();
+    if (refreshToken && await TokenManager.isTokenExpired()) {
+      console.log('🔄 Access token expired, refreshing before request');
+      await this.refreshSession();
+    }
   }
 
   /**
-   * Upload file with FormData
+   * React to a 401: refresh the session and retry, unless this already was the retry
+   * @param {boolean} retried
+   * @param {function} retry - Repeats the original request
+   * @returns {Promise<{success: boolean, data?: any, error?: string, code?: string}>}
    */
-  static async uploadFile(endpoint, formData) {
-    try {
-      const authHeaders = await TokenManager.getAuthHeaders();
+  static async handleUnauthorized(retried, retry) {
+    if (retried) {
+      console.warn('⚠️ 401 Unauthorized after refresh');
+      return this.errorResult(this.ERROR_TYPES.AUTH, null, {
+        code: 'UNAUTHORIZED',
+        status: 401
+      });
+    }
 
-      // Don't set Content-Type for FormData - browser sets it automatically with boundary
-      const headers = {
-        'Authorization': authHeaders.Authorization
-      };
+    console.warn('⚠️ 401 Unauthorized - refreshing session');
+    const refreshed = await this.refreshSession();
 
-      const url = `${CONFIG.API_BASE_URL}${endpoint}`;
+    // A refresh that couldn't reach the backend isn't a logout
+    if (!refreshed.success) {
+      const errorType = refreshed.code === 'REFRESH_FAILED' ? this.ERROR_TYPES.NETWORK : this.ERROR_TYPES.AUTH;
+      return this.errorResult(errorType, refreshed.error, {
+        code: refreshed.code,
+        status: 401
+      });
+    }
 
-      console.log('📤 Uploading file:', { url });
+    return retry();
+  }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: formData,
-        signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+  /**
+   * Renew the access token with the stored refresh token
+   * Concurrent callers share a single refresh request, and other extension pages
+   * wait on REFRESH_LOCK. Auth is only cleared when the backend rejects the
+   * refresh token - a network error or 5xx leaves the session (and any
+   * recording in progress) alone.
+   * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+   */
+  static refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshWithLock().finally(() => {
+        this.refreshPromise = null;
       });
+    }
 
-      if (response.status === 401) {
-        console.warn('⚠️ 401 Unauthorized - clearing auth');
-        await TokenManager.clearAuth();
-        return {
-          success: false,
-          error: 'Session expired. Please login again.',
-          code: 'UNAUTHORIZED'
-        };
-      }
+    return this.refreshPromise;
+  }
 
-      const data = await response.json();
+  /**
+   * Refresh while holding REFRESH_LOCK
+   * The stored refresh token is read again once the lock is ours: if another
+   * page rotated it while we waited, its new tokens are used instead of
+   * sending the spent one (which the backend would reject, signing the vet out).
+   * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+   */
+  static async refreshWithLock() {
+    const seenToken = await TokenManager.getRefreshToken();
 
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Upload failed',
-          status: response.status
-        };
+    const refresh = async () => {
+      const storedToken = await TokenManager.getRefreshToken();
+      if (seenToken && storedToken && storedToken !== seenToken) {
+        console.log('✅ Session already refreshed by another page');
+        return { success: true };
       }
+      return this.performRefresh();
+    };
 
-      console.log('✅ Upload successful');
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return refresh();
+    }
+    return navigator.locks.request(this.REFRESH_LOCK, refresh);
+  }
 
+  /**
+   * Call the refresh endpoint and store the new tokens
+   * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+   */
+  static async performRefresh() {
+    const refreshToken = await TokenManager.getRefreshToken();
+
+    if (!refreshToken) {
+      console.warn('⚠️ No refresh token - clearing auth');
+      await TokenManager.clearAuth();
       return {
-        success: true,
-        data: data.data || data
+        success: false,
+        error: 'Session expired. Please login again.',
+        code: 'UNAUTHORIZED'
       };
+    }
 
-    } catch (error) {
-      console.error('❌ Upload error:', error);
+    console.log('🔄 Refreshing session...');
+
+    const result = await this.post(CONFIG.ENDPOINTS.REFRESH, { refresh_token: refreshToken }, {
+      auth: false,
+      bypassCircuit: true
+    });
+
+    if (!result.success) {
+      const rejected = result.errorType === this.ERROR_TYPES.AUTH ||
+        result.errorType === this.ERROR_TYPES.VALIDATION;
+
+      if (!rejected) {
+        console.warn('⚠️ Session refresh failed:', result.error);
+        return {
+          success: false,
+          error: 'Could not renew your session - please try again',
+          code: 'REFRESH_FAILED'
+        };
+      }
+
+      console.warn('⚠️ Refresh token rejected - clearing auth');
+      await TokenManager.clearAuth();
       return {
         success: false,
-        error: error.message || 'Upload failed'
+        error: 'Session expired. Please login again.',
+        code: 'UNAUTHORIZED'
       };
     }
+
+    const { access_token, refresh_token, user } = result.data;
+    await TokenManager.updateTokens(access_token, refresh_token, user);
+
+    console.log('✅ Session refreshed');
+    return { success: true };
+  }
+
+  /**
+   * GET request
+   */
+  static async get(endpoint, options = {}) {
+    return this.request(endpoint, { ...options, method: 'GET' });
+  }
+
+  /**
+   * POST request
+   */
+  static async post(endpoint, body, options = {}) {
+    return this.request(endpoint, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * PUT request
+   */
+  static async put(endpoint, body, options = {}) {
+    return this.request(endpoint, { ...options, method: 'PUT', body });
+  }
+
+  /**
+   * PATCH request
+   */
+  static async patch(endpoint, body, options = {}) {
+    return this.request(endpoint, { ...options, method: 'PATCH', body });
+  }
+
+  /**
+   * DELETE request
+   */
+  static async delete(endpoint, options = {}) {
+    return this.request(endpoint, { ...options, method: 'DELETE' });
+  }
+
+  /**
+   * Upload file with FormData
+   */
+  static async uploadFile(endpoint, formData, options = {}) {
+    return this.request(endpoint, { ...options, method: 'POST', body: formData });
   }
 }
 
@@ -185,3 +571,8 @@ class APIClient {
 if (typeof window !== 'undefined') {
   window.APIClient = APIClient;
 }
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = APIClient;
+}
@@ -4,228 +4,141 @@
 class ConsultationService {
   /**
    * Create a new consultation for the current patient
-   * @param {object} patient - Patient information
-   * @returns {Promise<{success: boolean, consultation?: object, error?: string}>}
+   * Signalment goes with it so the summary can open with it.
+   * @param {object} patient - { name, id, species, breed, sex, age, dateOfBirth, weight: { value, unit, recordedOn }, clientName } from EzyVetPatientExtractor
+   * @returns {Promise<{success: boolean, consultation?: object, error?: string, errorType?: string}>}
    */
   static async createConsultation(patient) {
-    try {
-      console.log('📝 Creating consultation for:', patient.name);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(`${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.CONSULTATIONS}`, {
-        method: 'POST',
-        headers: {
-          ...authHeaders,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          patient_name: patient.name,
-          patient_id: patient.id,
-          species: patient.species,
-          visit_date: new Date().toISOString(),
-          status: 'in_progress'
-        })
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Consultation creation failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to create consultation'
-        };
-      }
-
-      console.log('✅ Consultation created:', data.data.id);
+    console.log('📝 Creating consultation for:', patient.name);
+
+    const result = await APIClient.post(CONFIG.ENDPOINTS.CONSULTATIONS, {
+      patient_name: patient.name,
+      patient_id: patient.id,
+      species: patient.species,
+      breed: patient.breed || null,
+      sex: patient.sex || null,
+      age: patient.age || null,
+      date_of_birth: patient.dateOfBirth || null,
+      weight: patient.weight?.value ?? null,
+      weight_unit: patient.weight?.unit || null,
+      weight_recorded_on: patient.weight?.recordedOn || null,
+      client_name: patient.clientName || null,
+      visit_date: new Date().toISOString(),
+      status: 'in_progress'
+    });
+
+    if (!result.success) {
+      console.error('❌ Consultation creation failed:', result.error);
+      return result;
+    }
 
-      return {
-        success: true,
-        consultation: data.data
-      };
+    console.log('✅ Consultation created:', result.data.id);
 
-    } catch (error) {
-      console.error('❌ Consultation creation error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error'
-      };
-    }
+    return {
+      success: true,
+      consultation: result.data
+    };
   }
 
   /**
    * Get consultation by ID
    * @param {string} consultationId
-   * @returns {Promise<{success: boolean, consultation?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, consultation?: object, error?: string, errorType?: string, status?: number}>}
    */
   static async getConsultation(consultationId) {
-    try {
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.CONSULTATION_BY_ID(consultationId)}`,
-        {
-          method: 'GET',
-          headers: authHeaders
-        }
-      );
-
-      const data = await response.json();
+    const result = await APIClient.get(CONFIG.ENDPOINTS.CONSULTATION_BY_ID(consultationId));
 
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to get consultation'
-        };
-      }
-
-      return {
-        success: true,
-        consultation: data.data
-      };
-
-    } catch (error) {
-      console.error('❌ Get consultation error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      consultation: result.data
+    };
   }
 
   /**
    * Update consultation status
    * @param {string} consultationId
    * @param {string} status - 'in_progress', 'completed', etc.
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string}>}
    */
   static async updateConsultationStatus(consultationId, status) {
-    try {
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.CONSULTATION_BY_ID(consultationId)}`,
-        {
-          method: 'PATCH',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ status })
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to update consultation'
-        };
-      }
+    const result = await APIClient.patch(CONFIG.ENDPOINTS.CONSULTATION_BY_ID(consultationId), { status });
 
-      return {
-        success: true
-      };
-
-    } catch (error) {
-      console.error('❌ Update consultation error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      console.error('❌ Update consultation error:', result.error);
+      return result;
     }
+
+    return {
+      success: true
+    };
   }
 
   /**
    * Generate AI summary for consultation
    * @param {string} consultationId
-   * @returns {Promise<{success: boolean, summary?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, summary?: string, error?: string, errorType?: string}>}
    */
   static async generateSummary(consultationId) {
-    try {
-      console.log('🤖 TRIGGER: Generating AI summary for consultation:', consultationId);
+    console.log('🤖 TRIGGER: Generating AI summary for consultation:', consultationId);
 
-      const authHeaders = await TokenManager.getAuthHeaders();
+    const result = await APIClient.post(CONFIG.ENDPOINTS.GENERATE_SUMMARY(consultationId));
 
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.GENERATE_SUMMARY(consultationId)}`,
-        {
-          method: 'POST',
-          headers: authHeaders
-        }
-      );
-
-      const data = await response.json();
+    if (!result.success) {
+      console.error('❌ Summary generation failed:', result.error);
+      return result;
+    }
 
-      if (!response.ok) {
-        console.error('❌ Summary generation failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to generate summary'
-        };
-      }
+    console.log('✅ Summary generated:', result.data?.summary?.length, 'characters');
 
-      console.log('✅ Summary generated:', data.data?.summary?.length, 'characters');
+    return {
+      success: true,
+      summary: result.data.summary
+    };
+  }
 
-      return {
-        success: true,
-        summary: data.data.summary
-      };
+  /**
+   * Get the post-submit processing pipeline status
+   * @param {string} consultationId
+   * @returns {Promise<{success: boolean, processing?: object, error?: string, errorType?: string, status?: number}>}
+   */
+  static async getProcessingStatus(consultationId) {
+    const result = await APIClient.get(CONFIG.ENDPOINTS.PROCESSING_STATUS(consultationId));
 
-    } catch (error) {
-      console.error('❌ Summary generation error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error'
-      };
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      processing: result.data
+    };
   }
 
   /**
    * Complete consultation (triggers summary generation)
    * Matches webapp's POST /consultations/:id/complete
    * @param {string} consultationId
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, data?: object, error?: string, errorType?: string}>}
    */
   static async completeConsultation(consultationId) {
-    try {
-      console.log('🎯 Completing consultation:', consultationId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}/consultations/${consultationId}/complete`,
-        {
-          method: 'POST',
-          headers: authHeaders
-        }
-      );
+    console.log('🎯 Completing consultation:', consultationId);
 
-      const data = await response.json();
+    const result = await APIClient.post(CONFIG.ENDPOINTS.COMPLETE_CONSULTATION(consultationId));
 
-      if (!response.ok) {
-        console.error('❌ Consultation completion failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to complete consultation'
-        };
-      }
-
-      console.log('✅ Consultation completed successfully');
-      return {
-        success: true,
-        data: data.data
-      };
-
-    } catch (error) {
-      console.error('❌ Consultation completion error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      console.error('❌ Consultation completion failed:', result.error);
+      return result;
     }
+
+    console.log('✅ Consultation completed successfully');
+    return {
+      success: true,
+      data: result.data
+    };
   }
 
   /**
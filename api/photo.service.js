@@ -4,10 +4,11 @@
 class PhotoService {
   /**
    * Upload photo to consultation
+   * Transient failures are retried by APIClient's shared policy.
    * @param {string} consultationId - Current consultation ID
    * @param {File} photoFile - Image file from file input
    * @param {string} caption - Optional photo caption
-   * @returns {Promise<{success: boolean, photo?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, photo?: object, error?: string, errorType?: string}>}
    */
   static async uploadPhoto(consultationId, photoFile, caption = '') {
     try {
@@ -22,7 +23,8 @@ class PhotoService {
       if (!photoFile.type.startsWith('image/')) {
         return {
           success: false,
-          error: 'Please select an image file'
+          error: 'Please select an image file',
+          errorType: APIClient.ERROR_TYPES.VALIDATION
         };
       }
 
@@ -31,56 +33,41 @@ class PhotoService {
       if (photoFile.size > maxSize) {
         return {
           success: false,
-          error: 'Image must be smaller than 10MB'
+          error: 'Image must be smaller than 10MB',
+          errorType: APIClient.ERROR_TYPES.VALIDATION
         };
       }
 
       // Convert photo to base64
       const base64Photo = await this.fileToBase64(photoFile);
 
-      // Get auth headers
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      // Upload as JSON with base64 data
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.UPLOAD_PHOTO(consultationId)}`,
-        {
-          method: 'POST',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'  // JSON instead of multipart
-          },
-          body: JSON.stringify({
-            photo: base64Photo,           // Base64 encoded image
-            filename: photoFile.name,     // Original filename
-            mimeType: photoFile.type,     // Image MIME type
-            caption: caption || photoFile.name
-          })
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Photo upload failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to upload photo'
-        };
+      // Upload as JSON with base64 data (not multipart)
+      const result = await APIClient.post(CONFIG.ENDPOINTS.UPLOAD_PHOTO(consultationId), {
+        photo: base64Photo,           // Base64 encoded image
+        filename: photoFile.name,     // Original filename
+        mimeType: photoFile.type,     // Image MIME type
+        caption: caption || photoFile.name
+      });
+
+      if (!result.success) {
+        console.error('❌ Photo upload failed:', result.error);
+        return result;
       }
 
-      console.log('✅ Photo uploaded:', data.data?.id);
+      console.log('✅ Photo uploaded:', result.data?.id);
 
       return {
         success: true,
-        photo: data.data
+        photo: result.data
       };
 
     } catch (error) {
+      // Only reading the file can throw - APIClient reports its own failures
       console.error('❌ Photo upload error:', error);
       return {
         success: false,
-        error: error.message || 'Network error'
+        error: error.message,
+        errorType: APIClient.ERROR_TYPES.VALIDATION
       };
     }
   }
@@ -106,117 +93,45 @@ class PhotoService {
     });
   }
 
-  /**
-   * Upload photo with retry logic
-   * @param {string} consultationId
-   * @param {File} photoFile
-   * @param {string} caption
-   * @param {number} maxRetries
-   * @returns {Promise<{success: boolean, photo?: object, error?: string}>}
-   */
-  static async uploadPhotoWithRetry(consultationId, photoFile, caption = '', maxRetries = 3) {
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      const result = await this.uploadPhoto(consultationId, photoFile, caption);
-
-      if (result.success) {
-        return result;
-      }
-
-      // If this was the last attempt, return the error
-      if (attempt === maxRetries - 1) {
-        return result;
-      }
-
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = Math.pow(2, attempt) * 1000;
-      console.warn(`⚠️ Retry ${attempt + 1}/${maxRetries} for photo upload after ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-
   /**
    * Get all photos for a consultation
    * @param {string} consultationId
-   * @returns {Promise<{success: boolean, photos?: array, error?: string}>}
+   * @returns {Promise<{success: boolean, photos?: array, error?: string, errorType?: string}>}
    */
   static async getPhotos(consultationId) {
-    try {
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.UPLOAD_PHOTO(consultationId)}`,
-        {
-          method: 'GET',
-          headers: authHeaders
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to get photos'
-        };
-      }
+    const result = await APIClient.get(CONFIG.ENDPOINTS.UPLOAD_PHOTO(consultationId));
 
-      return {
-        success: true,
-        photos: data.data || []
-      };
-
-    } catch (error) {
-      console.error('❌ Get photos error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      photos: Array.isArray(result.data) ? result.data : []
+    };
   }
 
   /**
    * Delete a photo
    * @param {string} consultationId
    * @param {string} photoId
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string}>}
    */
   static async deletePhoto(consultationId, photoId) {
-    try {
-      console.log('🗑️ Deleting photo:', photoId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.UPLOAD_PHOTO(consultationId)}/${photoId}`,
-        {
-          method: 'DELETE',
-          headers: authHeaders
-        }
-      );
+    console.log('🗑️ Deleting photo:', photoId);
 
-      const data = await response.json();
+    const result = await APIClient.delete(CONFIG.ENDPOINTS.PHOTO_BY_ID(consultationId, photoId));
 
-      if (!response.ok) {
-        console.error('❌ Photo deletion failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to delete photo'
-        };
-      }
+    if (!result.success) {
+      console.error('❌ Photo deletion failed:', result.error);
+      return result;
+    }
 
-      console.log('✅ Photo deleted successfully');
+    console.log('✅ Photo deleted successfully');
 
-      return {
-        success: true
-      };
-
-    } catch (error) {
-      console.error('❌ Photo deletion error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true
+    };
   }
 }
 
@@ -6,56 +6,30 @@ class RecordingService {
    * Create a new recording session
    * @param {string} consultationId
    * @param {object} options - { mode: 'summary', templateId: null }
-   * @returns {Promise<{success: boolean, session?: object, recordingToken?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, session?: object, recordingToken?: string, error?: string, errorType?: string}>}
    */
   static async createSession(consultationId, options = {}) {
-    try {
-      console.log('🎤 Creating recording session for consultation:', consultationId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.CREATE_RECORDING_SESSION}`,
-        {
-          method: 'POST',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            consultationId,
-            mode: options.mode || 'summary',
-            templateId: options.templateId || null
-          })
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Recording session creation failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to create recording session'
-        };
-      }
+    console.log('🎤 Creating recording session for consultation:', consultationId);
+
+    const result = await APIClient.post(CONFIG.ENDPOINTS.CREATE_RECORDING_SESSION, {
+      consultationId,
+      mode: options.mode || 'summary',
+      templateId: options.templateId || null
+    });
 
-      console.log('✅ Recording session created:', data.data.session.id);
-      console.log('🔑 Recording token received');
-
-      return {
-        success: true,
-        session: data.data.session,
-        recordingToken: data.data.recordingToken
-      };
-
-    } catch (error) {
-      console.error('❌ Recording session creation error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error'
-      };
+    if (!result.success) {
+      console.error('❌ Recording session creation failed:', result.error);
+      return result;
     }
+
+    console.log('✅ Recording session created:', result.data.session.id);
+    console.log('🔑 Recording token received');
+
+    return {
+      success: true,
+      session: result.data.session,
+      recordingToken: result.data.recordingToken
+    };
   }
 
   /**
@@ -63,237 +37,287 @@ class RecordingService {
    * Mimics webapp's Supabase client update to prevent cleanup deletion
    * @param {string} sessionId
    * @param {string} status - 'completed', 'paused', etc.
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {object} details - Extra session fields to update (e.g. { duration } in seconds on completion)
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string}>}
    */
-  static async updateSessionStatus(sessionId, status) {
-    try {
-      console.log(`📊 Updating session ${sessionId} status to: ${status}`);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}/recordings/sessions/${sessionId}`,
-        {
-          method: 'PUT',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ status })
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Session status update failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to update session status'
-        };
-      }
+  static async updateSessionStatus(sessionId, status, details = {}) {
+    console.log(`📊 Updating session ${sessionId} status to: ${status}`);
+
+    const result = await APIClient.put(CONFIG.ENDPOINTS.RECORDING_SESSION_BY_ID(sessionId), { status, ...details });
 
-      console.log('✅ Session status updated successfully');
-      return {
-        success: true
-      };
-
-    } catch (error) {
-      console.error('❌ Session status update error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      console.error('❌ Session status update failed:', result.error);
+      return result;
     }
+
+    console.log('✅ Session status updated successfully');
+    return {
+      success: true
+    };
   }
 
   /**
    * Upload a single audio chunk
+   * Transient failures are retried by APIClient's shared policy.
    * @param {string} sessionId
    * @param {Blob} audioBlob
    * @param {number} chunkNumber
-   * @param {number} duration - in seconds
+   * @param {number} duration - in seconds of captured audio (paused time excluded)
    * @param {string} recordingToken
-   * @returns {Promise<{success: boolean, chunk?: object, error?: string}>}
+   * @param {object} options - { gaps, timing, checksum }
+   *   checksum: SHA-256 (hex) of the audio, lets the backend reject a corrupted upload
+   *   gaps: paused stretches in this chunk, [{ offset, duration, reason }] in seconds
+   *   timing: { startOffset, endOffset, overlap, captureId } in seconds from the start of capture;
+   *   overlap is audio at the start of this chunk that is also at the end of the previous one;
+   *   captureId changes when capture restarts, starting a new sequence with offsets from zero
+   * @returns {Promise<{success: boolean, chunk?: object, error?: string, errorType?: string}>}
    */
-  static async uploadChunk(sessionId, audioBlob, chunkNumber, duration, recordingToken) {
-    try {
-      console.log(`📤 Uploading chunk ${chunkNumber}:`, {
-        size: audioBlob.size,
-        duration,
-        type: audioBlob.type
-      });
+  static async uploadChunk(sessionId, audioBlob, chunkNumber, duration, recordingToken, options = {}) {
+    console.log(`📤 Uploading chunk ${chunkNumber}:`, {
+      size: audioBlob.size,
+      duration,
+      type: audioBlob.type
+    });
+
+    const formData = new FormData();
+    formData.append('audio', audioBlob, `chunk_${chunkNumber}.webm`);
+    formData.append('chunkNumber', chunkNumber.toString());
+    formData.append('sequenceOrder', chunkNumber.toString());
+    formData.append('duration', duration.toString());
+    formData.append('fileSize', audioBlob.size.toString());
+
+    if (options.checksum) {
+      formData.append('checksum', options.checksum);
+    }
 
-      const formData = new FormData();
-      formData.append('audio', audioBlob, `chunk_${chunkNumber}.webm`);
-      formData.append('chunkNumber', chunkNumber.toString());
-      formData.append('sequenceOrder', chunkNumber.toString());
-      formData.append('duration', duration.toString());
-      formData.append('fileSize', audioBlob.size.toString());
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.UPLOAD_CHUNK(sessionId)}`,
-        {
-          method: 'POST',
-          headers: {
-            'x-recording-token': recordingToken
-          },
-          body: formData
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error(`❌ Chunk ${chunkNumber} upload failed:`, data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to upload chunk'
-        };
-      }
+    const gaps = options.gaps || [];
+    if (gaps.length > 0) {
+      formData.append('skippedDuration', this.getSkippedDuration(gaps).toString());
+      formData.append('gaps', JSON.stringify(gaps));
+    }
 
-      console.log(`✅ Chunk ${chunkNumber} uploaded:`, data.data.id);
+    if (options.timing) {
+      formData.append('startOffset', options.timing.startOffset.toString());
+      formData.append('endOffset', options.timing.endOffset.toString());
+      formData.append('overlap', options.timing.overlap.toString());
+      if (options.timing.captureId) {
+        formData.append('captureId', options.timing.captureId.toString());
+      }
+    }
 
-      return {
-        success: true,
-        chunk: data.data
-      };
+    // Authorised by the session's recording token, not the user's JWT
+    const result = await APIClient.uploadFile(CONFIG.ENDPOINTS.UPLOAD_CHUNK(sessionId), formData, {
+      auth: false,
+      headers: {
+        'x-recording-token': recordingToken
+      }
+    });
 
-    } catch (error) {
-      console.error(`❌ Chunk ${chunkNumber} upload error:`, error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      console.error(`❌ Chunk ${chunkNumber} upload failed:`, result.error);
+      return result;
     }
+
+    console.log(`✅ Chunk ${chunkNumber} uploaded:`, result.data.id);
+
+    return {
+      success: true,
+      chunk: result.data
+    };
   }
 
   /**
-   * Upload chunk with retry logic
+   * Upload several audio chunks in one multipart request
+   * Used to catch up on a backlog after a network outage. The backend reports
+   * per-chunk results so partial success can be handled chunk by chunk.
    * @param {string} sessionId
-   * @param {Blob} audioBlob
-   * @param {number} chunkNumber
-   * @param {number} duration
+   * @param {Array<{blob: Blob, chunkNumber: number, duration: number, gaps?: Array, timing?: object, checksum?: string}>} chunks
    * @param {string} recordingToken
-   * @param {number} maxRetries
-   * @returns {Promise<{success: boolean, chunk?: object, error?: string}>}
+   * Each failed chunk carries an errorType like a single upload's result: the
+   * server's per-chunk status is classified, a chunk it rejected without one is
+   * VALIDATION, and one it never mentioned is SERVER (worth sending again).
+   * @returns {Promise<{success: boolean, uploaded?: number[], failed?: Array<{chunkNumber: number, error: string, errorType: string}>, error?: string, errorType?: string, status?: number}>}
    */
-  static async uploadChunkWithRetry(sessionId, audioBlob, chunkNumber, duration, recordingToken, maxRetries = 3) {
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      const result = await this.uploadChunk(sessionId, audioBlob, chunkNumber, duration, recordingToken);
-
-      if (result.success) {
-        return result;
+  static async uploadChunkBatch(sessionId, chunks, recordingToken) {
+    console.log(`📤 Uploading batch of ${chunks.length} chunks:`, chunks.map(c => c.chunkNumber));
+
+    const formData = new FormData();
+    const metadata = chunks.map(chunk => ({
+      chunkNumber: chunk.chunkNumber,
+      sequenceOrder: chunk.chunkNumber,
+      duration: chunk.duration,
+      fileSize: chunk.blob.size,
+      checksum: chunk.checksum || null,
+      skippedDuration: this.getSkippedDuration(chunk.gaps || []),
+      gaps: chunk.gaps || [],
+      ...(chunk.timing || {})
+    }));
+
+    chunks.forEach(chunk => {
+      formData.append('audio', chunk.blob, `chunk_${chunk.chunkNumber}.webm`);
+    });
+    formData.append('chunks', JSON.stringify(metadata));
+
+    // 207 Multi-Status (some chunks stored, some rejected) counts as success here
+    const result = await APIClient.uploadFile(CONFIG.ENDPOINTS.UPLOAD_CHUNK_BATCH(sessionId), formData, {
+      auth: false,
+      headers: {
+        'x-recording-token': recordingToken
       }
+    });
 
-      // If this was the last attempt, return the error
-      if (attempt === maxRetries - 1) {
-        return result;
-      }
+    if (!result.success) {
+      console.error('❌ Chunk batch upload failed:', result.error);
+      return result;
+    }
+
+    const requested = chunks.map(chunk => chunk.chunkNumber);
+    const failed = (result.data?.failed || []).map(item => ({
+      chunkNumber: Number(item.chunkNumber),
+      error: item.error || 'Rejected by server',
+      errorType: item.status
+        ? APIClient.classifyStatus(Number(item.status))
+        : APIClient.ERROR_TYPES.VALIDATION
+    }));
+    const failedNumbers = new Set(failed.map(item => item.chunkNumber));
+
+    // Prefer the server's explicit list; otherwise everything not failed was stored
+    const uploaded = Array.isArray(result.data?.uploaded)
+      ? result.data.uploaded.map(item => Number(item.chunkNumber ?? item))
+      : requested.filter(number => !failedNumbers.has(number));
+
+    // Anything the server didn't mention is treated as failed so it gets retried
+    const accounted = new Set([...uploaded, ...failedNumbers]);
+    requested
+      .filter(number => !accounted.has(number))
+      .forEach(number => failed.push({
+        chunkNumber: number,
+        error: 'Missing from batch response',
+        errorType: APIClient.ERROR_TYPES.SERVER
+      }));
+
+    console.log(`✅ Chunk batch uploaded: ${uploaded.length} stored, ${failed.length} failed`);
+
+    return {
+      success: true,
+      uploaded,
+      failed
+    };
+  }
 
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = Math.pow(2, attempt) * 1000;
-      console.warn(`⚠️ Retry ${attempt + 1}/${maxRetries} for chunk ${chunkNumber} after ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  /**
+   * Total paused time in a chunk
+   * @param {Array<{duration: number}>} gaps
+   * @returns {number} seconds
+   */
+  static getSkippedDuration(gaps) {
+    return Math.round(gaps.reduce((total, gap) => total + gap.duration, 0) * 1000) / 1000;
+  }
+
+  /**
+   * Tell the backend recording has stopped and how many chunks to expect
+   * Lets it start merging as soon as the last chunk is in, and report any
+   * chunk numbers it never received through the processing status.
+   * @param {string} sessionId
+   * @param {object} details - { totalChunks, duration } (duration in seconds)
+   * @returns {Promise<{success: boolean, data?: object, error?: string, errorType?: string, status?: number}>}
+   */
+  static async stopSession(sessionId, details = {}) {
+    console.log('🛑 Stopping recording session:', sessionId, details);
+
+    const result = await APIClient.post(CONFIG.ENDPOINTS.STOP_RECORDING(sessionId), {
+      totalChunks: details.totalChunks,
+      duration: details.duration
+    });
+
+    if (!result.success) {
+      console.error('❌ Session stop failed:', result.error);
+      return result;
     }
+
+    console.log('✅ Session stopped:', result.data);
+    return {
+      success: true,
+      data: result.data
+    };
   }
 
   /**
    * Complete recording session (triggers summary generation)
    * @param {string} sessionId
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, data?: object, error?: string, errorType?: string}>}
    */
-  static async completeSession(sessionId, retries = 2) {
-    try {
-      console.log('✅ Completing recording session:', sessionId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.COMPLETE_RECORDING(sessionId)}`,
-        {
-          method: 'POST',
-          headers: authHeaders
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Session completion failed');
-        console.error('❌ Status:', response.status);
-        console.error('❌ Full response:', data);
-        console.error('❌ Error message:', data.error);
-        console.error('❌ Error details:', data.details);
-
-        // Retry on 500 errors (backend issue)
-        if (response.status === 500 && retries > 0) {
-          console.log(`🔄 Retrying completion... (${retries} retries left)`);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          return this.completeSession(sessionId, retries - 1);
-        }
+  static async completeSession(sessionId) {
+    console.log('✅ Completing recording session:', sessionId);
 
-        return {
-          success: false,
-          error: data.error || 'Failed to complete session'
-        };
-      }
+    const result = await APIClient.post(CONFIG.ENDPOINTS.COMPLETE_RECORDING(sessionId));
 
-      console.log('✅ Session completed:', data.data);
-      console.log('🎯 Summary generation started in background');
+    if (!result.success) {
+      console.error('❌ Session completion failed:', {
+        status: result.status,
+        error: result.error,
+        details: result.details
+      });
+      return result;
+    }
 
-      return {
-        success: true,
-        data: data.data
-      };
+    console.log('✅ Session completed:', result.data);
+    console.log('🎯 Summary generation started in background');
 
-    } catch (error) {
-      console.error('❌ Session completion error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true,
+      data: result.data
+    };
   }
 
   /**
    * Get chunks for a session (with transcription progress)
    * @param {string} sessionId
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, data?: object, error?: string, errorType?: string, status?: number}>}
    */
   static async getChunks(sessionId) {
-    try {
-      const authHeaders = await TokenManager.getAuthHeaders();
+    const result = await APIClient.get(CONFIG.ENDPOINTS.GET_CHUNKS(sessionId));
+
+    if (!result.success) {
+      console.error('❌ Get chunks error:', result.error);
+      return result;
+    }
 
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.GET_CHUNKS(sessionId)}`,
-        {
-          method: 'GET',
-          headers: authHeaders
-        }
-      );
+    return {
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * What the backend holds for a session, in the same shape as ChunkStore.getManifest
+   * Accepts the chunk list as data.chunks or data itself, in camelCase or snake_case.
+   * @param {string} sessionId
+   * @returns {Promise<{success: boolean, chunks?: Array<{chunkNumber: number, size: number|null, checksum: string|null}>, error?: string, status?: number}>}
+   */
+  static async getChunkManifest(sessionId) {
+    const result = await this.getChunks(sessionId);
 
-      const data = await response.json();
+    if (!result.success) {
+      return result;
+    }
 
-      if (!response.ok) {
+    const list = Array.isArray(result.data) ? result.data : (result.data?.chunks || []);
+    const chunks = list
+      .map(chunk => {
+        const size = chunk.fileSize ?? chunk.file_size ?? chunk.size;
         return {
-          success: false,
-          error: data.error || 'Failed to get chunks'
+          chunkNumber: Number(chunk.chunkNumber ?? chunk.chunk_number ?? chunk.sequenceOrder ?? chunk.sequence_order),
+          size: size == null ? null : Number(size),
+          checksum: chunk.checksum || chunk.sha256 || null
         };
-      }
+      })
+      .filter(chunk => Number.isInteger(chunk.chunkNumber));
 
-      return {
-        success: true,
-        data: data.data
-      };
-
-    } catch (error) {
-      console.error('❌ Get chunks error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true,
+      chunks
+    };
   }
 }
 
@@ -301,3 +325,8 @@ class RecordingService {
 if (typeof window !== 'undefined') {
   window.RecordingService = RecordingService;
 }
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecordingService;
+}
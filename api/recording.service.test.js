@@ -0,0 +1,53 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.CONFIG = require('../config.js');
+global.APIClient = require('./api-client.js');
+const RecordingService = require('./recording.service.js');
+
+const chunk = (chunkNumber) => ({ chunkNumber, blob: new Blob(['audio']), duration: 10 });
+
+test('uploadChunkBatch sorts stored and rejected chunks from a partial response', async (t) => {
+  t.mock.method(APIClient, 'uploadFile', async () => ({
+    success: true,
+    data: {
+      uploaded: [{ chunkNumber: 0 }, 1],
+      failed: [
+        { chunkNumber: '2', error: 'Checksum mismatch', status: 422 },
+        { chunkNumber: 3, status: 503 },
+        { chunkNumber: 4 }
+      ]
+    }
+  }));
+
+  const result = await RecordingService.uploadChunkBatch('session-1', [0, 1, 2, 3, 4, 5].map(chunk), 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.uploaded, [0, 1]);
+  assert.deepStrictEqual(result.failed, [
+    { chunkNumber: 2, error: 'Checksum mismatch', errorType: APIClient.ERROR_TYPES.VALIDATION },
+    { chunkNumber: 3, error: 'Rejected by server', errorType: APIClient.ERROR_TYPES.SERVER },
+    { chunkNumber: 4, error: 'Rejected by server', errorType: APIClient.ERROR_TYPES.VALIDATION },
+    { chunkNumber: 5, error: 'Missing from batch response', errorType: APIClient.ERROR_TYPES.SERVER }
+  ]);
+});
+
+test('uploadChunkBatch counts everything not failed as stored when the server lists no uploads', async (t) => {
+  t.mock.method(APIClient, 'uploadFile', async () => ({
+    success: true,
+    data: { failed: [{ chunkNumber: 1, error: 'Too large' }] }
+  }));
+
+  const result = await RecordingService.uploadChunkBatch('session-1', [0, 1, 2].map(chunk), 'token');
+
+  assert.deepStrictEqual(result.uploaded, [0, 2]);
+  assert.deepStrictEqual(result.failed.map(item => item.chunkNumber), [1]);
+});
+
+test('uploadChunkBatch passes a failed request through', async (t) => {
+  const failure = { success: false, error: 'Not found', errorType: APIClient.ERROR_TYPES.VALIDATION, code: 'ROUTE_NOT_FOUND' };
+  t.mock.method(APIClient, 'uploadFile', async () => failure);
+
+  assert.strictEqual(await RecordingService.uploadChunkBatch('session-1', [chunk(0)], 'token'), failure);
+});
@@ -5,145 +5,75 @@ class TemplateService {
   /**
    * Get all templates for the authenticated user
    * Matches: GET /api/v1/templates
-   * @returns {Promise<{success: boolean, templates?: array, error?: string}>}
+   * @returns {Promise<{success: boolean, templates?: array, error?: string, errorType?: string}>}
    */
   static async getTemplates() {
-    try {
-      console.log('📋 Fetching user templates...');
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.TEMPLATES}`,
-        {
-          method: 'GET',
-          headers: authHeaders
-        }
-      );
+    console.log('📋 Fetching user templates...');
 
-      const data = await response.json();
+    const result = await APIClient.get(CONFIG.ENDPOINTS.TEMPLATES);
 
-      if (!response.ok) {
-        console.error('❌ Failed to fetch templates:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to fetch templates'
-        };
-      }
-
-      console.log('✅ Templates fetched:', data.data?.templates?.length || 0);
+    if (!result.success) {
+      console.error('❌ Failed to fetch templates:', result.error);
+      return result;
+    }
 
-      return {
-        success: true,
-        templates: data.data?.templates || []
-      };
+    console.log('✅ Templates fetched:', result.data?.templates?.length || 0);
 
-    } catch (error) {
-      console.error('❌ Get templates error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error'
-      };
-    }
+    return {
+      success: true,
+      templates: result.data?.templates || []
+    };
   }
 
   /**
    * Get a specific template by ID
    * Matches: GET /api/v1/templates/:id
    * @param {string} templateId
-   * @returns {Promise<{success: boolean, template?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, template?: object, error?: string, errorType?: string}>}
    */
   static async getTemplateById(templateId) {
-    try {
-      console.log('📋 Fetching template:', templateId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
+    console.log('📋 Fetching template:', templateId);
 
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId)}`,
-        {
-          method: 'GET',
-          headers: authHeaders
-        }
-      );
+    const result = await APIClient.get(CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId));
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to fetch template'
-        };
-      }
-
-      return {
-        success: true,
-        template: data.data
-      };
-
-    } catch (error) {
-      console.error('❌ Get template error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      template: result.data
+    };
   }
 
   /**
    * Create a new template
    * Matches: POST /api/v1/templates
    * @param {object} templateData - { name, prompt, description?, category? }
-   * @returns {Promise<{success: boolean, template?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, template?: object, error?: string, errorType?: string}>}
    */
   static async createTemplate(templateData) {
-    try {
-      console.log('📝 Creating template:', templateData.name);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.TEMPLATES}`,
-        {
-          method: 'POST',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            name: templateData.name,
-            prompt: templateData.prompt,
-            description: templateData.description || '',
-            category: templateData.category || 'general',
-            isActive: true
-          })
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Template creation failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Failed to create template'
-        };
-      }
-
-      console.log('✅ Template created:', data.data.id);
+    console.log('📝 Creating template:', templateData.name);
+
+    const result = await APIClient.post(CONFIG.ENDPOINTS.TEMPLATES, {
+      name: templateData.name,
+      prompt: templateData.prompt,
+      description: templateData.description || '',
+      category: templateData.category || 'general',
+      isActive: true
+    });
+
+    if (!result.success) {
+      console.error('❌ Template creation failed:', result.error);
+      return result;
+    }
 
-      return {
-        success: true,
-        template: data.data
-      };
+    console.log('✅ Template created:', result.data.id);
 
-    } catch (error) {
-      console.error('❌ Create template error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true,
+      template: result.data
+    };
   }
 
   /**
@@ -151,91 +81,43 @@ class TemplateService {
    * Matches: PUT /api/v1/templates/:id
    * @param {string} templateId
    * @param {object} updates - { name?, prompt?, description?, category?, isActive? }
-   * @returns {Promise<{success: boolean, template?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, template?: object, error?: string, errorType?: string}>}
    */
   static async updateTemplate(templateId, updates) {
-    try {
-      console.log('✏️ Updating template:', templateId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId)}`,
-        {
-          method: 'PUT',
-          headers: {
-            ...authHeaders,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(updates)
-        }
-      );
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to update template'
-        };
-      }
+    console.log('✏️ Updating template:', templateId);
 
-      return {
-        success: true,
-        template: data.data
-      };
+    const result = await APIClient.put(CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId), updates);
 
-    } catch (error) {
-      console.error('❌ Update template error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      template: result.data
+    };
   }
 
   /**
    * Delete a template
    * Matches: DELETE /api/v1/templates/:id
    * @param {string} templateId
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string}>}
    */
   static async deleteTemplate(templateId) {
-    try {
-      console.log('🗑️ Deleting template:', templateId);
-
-      const authHeaders = await TokenManager.getAuthHeaders();
-
-      const response = await fetch(
-        `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId)}`,
-        {
-          method: 'DELETE',
-          headers: authHeaders
-        }
-      );
-
-      const data = await response.json();
+    console.log('🗑️ Deleting template:', templateId);
 
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data.error || 'Failed to delete template'
-        };
-      }
+    const result = await APIClient.delete(CONFIG.ENDPOINTS.TEMPLATE_BY_ID(templateId));
 
-      console.log('✅ Template deleted');
+    if (!result.success) {
+      return result;
+    }
 
-      return {
-        success: true
-      };
+    console.log('✅ Template deleted');
 
-    } catch (error) {
-      console.error('❌ Delete template error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true
+    };
   }
 
   /**
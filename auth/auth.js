@@ -6,53 +6,33 @@ class Auth {
    * Login user with email and password
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<{success: boolean, user?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, user?: object, error?: string, errorType?: string}>}
    */
   static async login(email, password) {
-    try {
-      console.log('🔐 Starting login...', { email });
-
-      const response = await fetch(`${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.LOGIN}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ email, password })
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        console.error('❌ Login failed:', data.error);
-        return {
-          success: false,
-          error: data.error || 'Login failed'
-        };
-      }
+    console.log('🔐 Starting login...', { email });
 
-      // Extract tokens and user from response
-      const { access_token, refresh_token, user } = data.data;
+    const result = await APIClient.post(CONFIG.ENDPOINTS.LOGIN, { email, password }, { auth: false });
 
-      // Store tokens securely
-      await TokenManager.storeTokens(access_token, refresh_token, user);
+    if (!result.success) {
+      console.error('❌ Login failed:', result.error);
+      return result;
+    }
 
-      console.log('✅ Login successful', {
-        userId: user.id,
-        email: user.email
-      });
+    // Extract tokens and user from response
+    const { access_token, refresh_token, user } = result.data;
 
-      return {
-        success: true,
-        user
-      };
+    // Store tokens securely
+    await TokenManager.storeTokens(access_token, refresh_token, user);
 
-    } catch (error) {
-      console.error('❌ Login error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error'
-      };
-    }
+    console.log('✅ Login successful', {
+      userId: user.id,
+      email: user.email
+    });
+
+    return {
+      success: true,
+      user
+    };
   }
 
   /**
@@ -67,29 +47,25 @@ class Auth {
       const accessToken = await TokenManager.getAccessToken();
 
       // Call backend logout endpoint to clear server-side caches
+      // (token passed explicitly - an expired session shouldn't be refreshed just to end it)
       if (accessToken) {
-        try {
-          const response = await fetch(`${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.LOGOUT}`, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ token: accessToken })
-          });
-
-          if (response.ok) {
-            console.log('✅ Backend session cleared');
-          } else {
-            console.warn('⚠️ Backend logout failed, continuing with local cleanup');
+        const result = await APIClient.post(CONFIG.ENDPOINTS.LOGOUT, { token: accessToken }, {
+          auth: false,
+          headers: {
+            'Authorization': `Bearer ${accessToken}`
           }
-        } catch (error) {
-          console.warn('⚠️ Backend logout error, continuing with local cleanup:', error);
+        });
+
+        if (result.success) {
+          console.log('✅ Backend session cleared');
+        } else {
+          console.warn('⚠️ Backend logout failed, continuing with local cleanup:', result.error);
         }
       }
 
       // CRITICAL: Clear all local storage regardless of backend response
       await TokenManager.clearAuth();
+      await ConsultationStore.clear();
 
       console.log('✅ Comprehensive logout complete - all session data cleared');
 
@@ -123,39 +99,38 @@ class Auth {
         return { authenticated: false };
       }
 
-      // Check if token is expired
+      // Renew an expired access token instead of logging out
       const isExpired = await TokenManager.isTokenExpired();
 
       if (isExpired) {
-        console.warn('⚠️ Token expired, clearing auth');
-        await TokenManager.clearAuth();
-        return { authenticated: false };
+        console.log('🔄 Access token expired, refreshing session');
+        const refreshed = await APIClient.refreshSession();
+
+        if (!refreshed.success) {
+          console.warn('⚠️ Session could not be renewed:', refreshed.error);
+          return { authenticated: false };
+        }
       }
 
-      // Verify token with backend
-      const accessToken = await TokenManager.getAccessToken();
+      // Verify token with backend (a 401 gets one refresh and retry)
+      const result = await APIClient.get(CONFIG.ENDPOINTS.ME);
 
-      const response = await fetch(`${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.ME}`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
+      if (!result.success) {
+        if (result.status === 401 && result.code === 'UNAUTHORIZED') {
+          // Token invalid - clear auth
+          console.warn('⚠️ Token invalid, clearing auth');
+          await TokenManager.clearAuth();
         }
-      });
-
-      if (!response.ok) {
-        // Token invalid - clear auth
-        console.warn('⚠️ Token invalid, clearing auth');
-        await TokenManager.clearAuth();
         return { authenticated: false };
       }
 
-      const data = await response.json();
       const user = await TokenManager.getUser();
 
       console.log('✅ Auth check passed', { userId: user?.id });
 
       return {
         authenticated: true,
-        user: user || data.data.user
+        user: user || result.data.user
       };
 
     } catch (error) {
@@ -15,8 +15,8 @@ class TokenManager {
       });
 
       console.log('✅ Tokens stored successfully', {
-        userId: user.id,
-        email: user.email
+        userId: user?.id,
+        email: user?.email
       });
 
       return true;
@@ -76,6 +76,8 @@ class TokenManager {
   /**
    * Clear all authentication data (logout)
    * COMPREHENSIVE CLEARING: tokens, user data, patient data, session state
+   * Paused consultations are kept - an expired session or environment switch
+   * must not lose them. Auth.logout clears them explicitly.
    */
   static async clearAuth() {
     try {
@@ -101,27 +103,60 @@ class TokenManager {
   }
 
   /**
-   * Check if token is expired (7-day expiry)
+   * Read the payload of a JWT without verifying it
+   * @param {string} token
+   * @returns {object|null}
    */
-  static async isTokenExpired() {
+  static decodeToken(token) {
     try {
-      const result = await chrome.storage.local.get('tokenStoredAt');
-      const tokenStoredAt = result.tokenStoredAt;
+      const payload = token.split('.')[1];
+      const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+      const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+      return JSON.parse(atob(padded));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if the access token is expired (or about to be) from its JWT exp claim
+   * Tokens without a readable exp are treated as valid and left to the backend.
+   * @param {number} marginMs - Count the token as expired this long before exp
+   */
+  static async isTokenExpired(marginMs = CONFIG.TOKEN_REFRESH_MARGIN) {
+    try {
+      const accessToken = await this.getAccessToken();
 
-      if (!tokenStoredAt) {
+      if (!accessToken) {
         return true; // No token stored
       }
 
-      const now = Date.now();
-      const elapsed = now - tokenStoredAt;
+      const payload = this.decodeToken(accessToken);
 
-      return elapsed > CONFIG.TOKEN_EXPIRY;
+      if (typeof payload?.exp !== 'number') {
+        return false;
+      }
+
+      return payload.exp * 1000 - marginMs <= Date.now();
     } catch (error) {
       console.error('❌ Failed to check token expiry:', error);
       return true; // Assume expired on error
     }
   }
 
+  /**
+   * Replace the tokens after a refresh, keeping the stored user if none was returned
+   * @param {string} accessToken
+   * @param {string} refreshToken - New refresh token if the backend rotated it
+   * @param {object} user
+   */
+  static async updateTokens(accessToken, refreshToken, user) {
+    const currentRefreshToken = await this.getRefreshToken();
+    const currentUser = await this.getUser();
+
+    return this.storeTokens(accessToken, refreshToken || currentRefreshToken, user || currentUser);
+  }
+
   /**
    * Get auth headers for API requests
    */
@@ -1,6 +1,24 @@
 console.log('🐾 BrobyVets: Background STARTED - VERSION 3.0 (SETUP PAGE FIX)');
 console.log('✅ Offscreen message forwarding enabled');
 
+// Durable chunk queue + drainer for audio left behind by a closed side panel,
+// and the local audio archive (retention purge)
+importScripts(
+  'config.js',
+  'utils/environment-profiles.js',
+  'auth/token-manager.js',
+  'api/api-client.js',
+  'api/recording.service.js',
+  'utils/chunk-store.js',
+  'utils/audio-archive.js',
+  'utils/ezyvet-tabs.js',
+  'recording/chunk-drainer.js'
+);
+
+// Talk to the backend the developer page selected (production by default)
+const environmentReady = EnvironmentProfiles.apply();
+EnvironmentProfiles.watch();
+
 // Open setup page on install or update
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('📦 Extension installed/updated:', details.reason);
@@ -19,25 +37,58 @@ chrome.runtime.onInstalled.addListener((details) => {
       }
     });
   }
+
+  // Upload any audio chunks a previous version/session never delivered
+  environmentReady.then(() => ChunkDrainer.drain());
+  AudioArchive.purgeExpired();
+});
+
+// Browser launch - resume uploads for sessions interrupted by a crash or restart
+chrome.runtime.onStartup.addListener(() => {
+  console.log('🚀 Browser started - draining pending audio chunks');
+  environmentReady.then(() => ChunkDrainer.drain());
+  AudioArchive.purgeExpired();
 });
 
 // Offscreen document management
-let offscreenDocumentCreated = false;
+// The service worker can be suspended and restarted at any time, so whether the
+// offscreen document exists is always asked of Chrome, never kept in a variable.
+const OFFSCREEN_URL = chrome.runtime.getURL('offscreen.html');
+let creatingOffscreenDocument = null; // In-flight createDocument() (concurrent callers share it)
+
+async function hasOffscreenDocument() {
+  if (chrome.runtime.getContexts) {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [OFFSCREEN_URL]
+    });
+    return contexts.length > 0;
+  }
+
+  // Chrome < 116 has no getContexts - offscreen documents show up as clients
+  const matchedClients = await clients.matchAll();
+  return matchedClients.some(client => client.url === OFFSCREEN_URL);
+}
 
 async function createOffscreenDocument() {
-  if (offscreenDocumentCreated) {
+  if (await hasOffscreenDocument()) {
     console.log('ℹ️ Offscreen document already exists');
     return;
   }
 
+  if (creatingOffscreenDocument) {
+    await creatingOffscreenDocument;
+    return;
+  }
+
   try {
     console.log('📝 Creating offscreen document with USER_MEDIA reason...');
-    await chrome.offscreen.createDocument({
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
       url: 'offscreen.html',
       reasons: ['USER_MEDIA'],
       justification: 'Recording audio for veterinary consultation summaries'
     });
-    offscreenDocumentCreated = true;
+    await creatingOffscreenDocument;
     console.log('✅ Offscreen document created successfully');
 
     // Wait a bit for offscreen document to initialize
@@ -48,23 +99,44 @@ async function createOffscreenDocument() {
     console.error('❌ Error name:', error.name);
     console.error('❌ Error message:', error.message);
     throw error;
+  } finally {
+    creatingOffscreenDocument = null;
   }
 }
 
 async function closeOffscreenDocument() {
-  if (!offscreenDocumentCreated) {
+  if (!(await hasOffscreenDocument())) {
     return;
   }
 
   try {
     await chrome.offscreen.closeDocument();
-    offscreenDocumentCreated = false;
     console.log('✅ Offscreen document closed');
   } catch (error) {
     console.error('❌ Failed to close offscreen document:', error);
   }
 }
 
+/**
+ * Answer a recorder heartbeat from the sidebar's RecordingSupervisor
+ * @returns {Promise<{alive: boolean, reason?: string, state?: string, sessionId?: string, capturing?: boolean, nextChunkNumber?: number}>}
+ */
+async function getRecorderStatus() {
+  if (!(await hasOffscreenDocument())) {
+    return { alive: false, reason: 'Recorder document is gone' };
+  }
+
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+    if (!status?.success) {
+      return { alive: false, reason: status?.error || 'Recorder did not answer' };
+    }
+    return { alive: true, ...status };
+  } catch (error) {
+    return { alive: false, reason: error.message };
+  }
+}
+
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
   .then(() => console.log('✅ Side panel ready'))
   .catch(e => console.error('❌ Side panel error:', e));
@@ -74,9 +146,80 @@ chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
     console.log('✅ EzyVet tab detected:', tabId);
     chrome.sidePanel.setOptions({ tabId, enabled: true });
   }
+
+  // A tab that left EzyVet no longer shows its patient
+  if (info.url && !info.url.includes('ezyvet.com')) {
+    EzyVetTabs.forget(tabId).catch(() => {});
+  }
+});
+
+/**
+ * Store the patient an EzyVet tab is showing; the sidebar picks it up via storage.onChanged
+ * @param {object} patient
+ * @param {number} tabId - Tab that reported it (consultations are bound to it)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function storePatient(patient, tabId) {
+  console.log('💾 STORING PATIENT:', patient, 'from tab', tabId);
+
+  if (tabId === undefined) {
+    return { success: false, error: 'Patient reported outside an EzyVet tab' };
+  }
+
+  const result = await EzyVetTabs.record(tabId, patient);
+  if (result.success) {
+    console.log('✅ STORED TO CHROME.STORAGE:', patient?.name, result.current ? '(current tab)' : '(background tab)');
+  } else {
+    console.error('❌ STORAGE ERROR:', result.error);
+  }
+  return result;
+}
+
+// EzyVet tabs push patient changes over a long-lived port (content.js)
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'ezyvet-patient') return;
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'PATIENT_CHANGED') {
+      storePatient(message.patient, port.sender?.tab?.id);
+    }
+  });
+});
+
+// The side panel follows the EzyVet tab the vet is looking at
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  EzyVetTabs.activate(tabId).catch(error => {
+    console.error('❌ Failed to switch to tab patient:', error);
+  });
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  EzyVetTabs.activateWindow(windowId).catch(error => {
+    console.error('❌ Failed to switch to window patient:', error);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  EzyVetTabs.forget(tabId).catch(() => {});
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Level meter updates go straight from offscreen to the sidebar (8/sec) - don't log them
+  if (message.type === 'AUDIO_LEVEL') {
+    return false;
+  }
+
+  // Silence and capture-loss notifications also go straight from offscreen to the sidebar
+  if (message.type === 'SILENCE_DETECTED' || message.type === 'SILENCE_ENDED' || message.type === 'CAPTURE_STOPPED') {
+    return false;
+  }
+
+  // Heartbeats are frequent while recording - answer without logging
+  if (message.type === 'RECORDER_HEARTBEAT') {
+    getRecorderStatus().then(status => sendResponse(status));
+    return true;
+  }
+
   console.log('📨 BACKGROUND RECEIVED MESSAGE:', message);
 
   if (message.type === 'PING') {
@@ -86,22 +229,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'PATIENT_CHANGED') {
-    console.log('💾 STORING PATIENT:', message.patient);
-
-    chrome.storage.local.set({
-      currentPatient: message.patient,
-      lastUpdate: Date.now()
-    }).then(() => {
-      console.log('✅ STORED TO CHROME.STORAGE:', message.patient.name);
-      sendResponse({ success: true });
-    }).catch(error => {
-      console.error('❌ STORAGE ERROR:', error);
-      sendResponse({ success: false, error: error.message });
-    });
-
+    storePatient(message.patient, sender.tab?.id).then(sendResponse);
     return true; // Keep channel open for async response
   }
 
+  // Latest EzyVet selector self-test (ezyvet-selectors.js), shown on the developer page
+  if (message.type === 'EZYVET_SELECTOR_REPORT') {
+    chrome.storage.local.set({ [CONFIG.STORAGE_KEYS.SELECTOR_REPORT]: message.report })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'DRAIN_CHUNK_QUEUE') {
+    environmentReady
+      .then(() => ChunkDrainer.drain())
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Offscreen document control messages
   if (message.type === 'CREATE_OFFSCREEN') {
     createOffscreenDocument()
@@ -122,6 +269,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       message.type === 'STOP_RECORDING' ||
       message.type === 'PAUSE_RECORDING' ||
       message.type === 'RESUME_RECORDING' ||
+      message.type === 'UPDATE_RECORDING_SETTINGS' ||
       message.type === 'GET_STATE') {
 
     console.log(`🔄 Forwarding ${message.type} to offscreen document`);
@@ -140,16 +288,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 
-  // Forward audio chunks from offscreen to sidebar
-  // ONLY forward if coming from offscreen document (sender.url contains 'offscreen.html')
+  // Audio chunks go from offscreen straight to the sidebar (runtime messages
+  // reach every extension page) and the audio itself travels via ChunkStore.
+  // Re-broadcasting here would deliver every chunk twice.
   if (message.type === 'AUDIO_CHUNK') {
-    if (sender.url && sender.url.includes('offscreen.html')) {
-      console.log('📦 Forwarding audio chunk from offscreen to sidebar');
-      // Broadcast to sidebar
-      chrome.runtime.sendMessage(message);
-    } else {
-      console.log('⚠️ Ignoring AUDIO_CHUNK from non-offscreen source');
-    }
     return false;
   }
 
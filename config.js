@@ -2,9 +2,22 @@
 // Production backend configuration
 
 const CONFIG = {
-  // Production backend URL
+  // Backend URL in use - production unless EnvironmentProfiles.apply() picks
+  // another profile (see utils/environment-profiles.js)
   BACKEND_URL: 'https://backend-production-a35dc.up.railway.app',
 
+  // Built-in backend profiles; more (e.g. staging) can be added on the developer page
+  ENVIRONMENTS: {
+    production: {
+      label: 'Production',
+      url: 'https://backend-production-a35dc.up.railway.app'
+    },
+    local: {
+      label: 'Local',
+      url: 'http://localhost:3000'
+    }
+  },
+
   // NOTE: HTTP SSE streaming used for summaries (not WebSocket)
 
   // API version
@@ -20,15 +33,18 @@ const CONFIG = {
     // Auth
     LOGIN: '/auth/login',
     LOGOUT: '/auth/logout',
+    REFRESH: '/auth/refresh',
     ME: '/auth/me',
 
     // Consultations
     CONSULTATIONS: '/consultations',
     CONSULTATION_BY_ID: (id) => `/consultations/${id}`,
+    COMPLETE_CONSULTATION: (id) => `/consultations/${id}/complete`,
     GENERATE_SUMMARY: (id) => `/consultations/${id}/generate-summary`,
     GENERATE_SUMMARY_STREAM: (id) => `/consultations/${id}/generate-summary-stream`,
     PROCESSING_STATUS: (id) => `/consultations/${id}/processing-status`,
     UPLOAD_PHOTO: (id) => `/consultations/${id}/photos`,
+    PHOTO_BY_ID: (id, photoId) => `/consultations/${id}/photos/${photoId}`,
 
     // Recordings
     CREATE_RECORDING_SESSION: '/recordings/sessions/new',
@@ -37,6 +53,7 @@ const CONFIG = {
     COMPLETE_RECORDING: (sessionId) => `/recordings/sessions/${sessionId}/complete`,
     STOP_RECORDING: (sessionId) => `/recordings/sessions/${sessionId}/stop`,
     GET_CHUNKS: (sessionId) => `/recordings/sessions/${sessionId}/chunks`,
+    RECORDING_SESSION_BY_ID: (sessionId) => `/recordings/sessions/${sessionId}`,
 
     // Templates
     TEMPLATES: '/templates',
@@ -49,14 +66,75 @@ const CONFIG = {
     REFRESH_TOKEN: 'refresh_token',
     USER: 'user',
     CURRENT_PATIENT: 'currentPatient',
-    LAST_UPDATE: 'lastUpdate'
+    LAST_UPDATE: 'lastUpdate',
+    ACTIVE_CONSULTATIONS: 'activeConsultations',
+    MIC_DEVICE: 'micDevice',
+    SILENCE_DETECTION: 'silenceDetection',
+    RECORDING_SETTINGS: 'recordingSettings',
+    AUDIO_ARCHIVE: 'audioArchive',
+    ENVIRONMENT: 'environment',
+    SETTINGS: 'settings',
+    SELECTOR_REPORT: 'ezyvetSelectorReport',
+    TAB_PATIENTS: 'ezyvetTabPatients'
+  },
+
+  // Workflow and summary defaults. Clinics can override them through
+  // user.clinicSettings in the profile, vets on the options page
+  // (see utils/settings-store.js).
+  SETTINGS: {
+    AUTO_INJECT: false,
+    DEFAULT_TEMPLATE_ID: null,
+    FILLER_WORD_CLEANUP: false,
+    SUMMARY_FORMAT: 'markdown', // 'markdown' as generated, 'plain' for EzyVet's plain text fields
+    FILLER_WORDS: ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'hmm', 'mhm']
   },
 
-  // Token expiry (7 days in milliseconds)
-  TOKEN_EXPIRY: 7 * 24 * 60 * 60 * 1000,
+  // Opt-in local copy of full consultation recordings (see utils/audio-archive.js)
+  AUDIO_ARCHIVE: {
+    ENABLED: false,
+    RETENTION_DAYS: 7
+  },
+
+  // Chunking and encoding defaults. Clinics can override them through
+  // user.recordingSettings in the profile, vets through the settings panel.
+  // The offscreen recorder clamps whatever it gets to these ranges.
+  RECORDING: {
+    CHUNK_DURATION_MS: 15000,
+    AUDIO_BITS_PER_SECOND: 128000,
+    CHUNK_DURATION_RANGE: [5000, 120000],
+    BITRATE_RANGE: {
+      opus: [6000, 510000],
+      other: [32000, 320000]
+    }
+  },
+
+  // Sustained silence handling while recording (vet stepped out of the room)
+  // MODE: 'prompt' asks the vet, 'auto-pause' pauses straight away, 'off' disables
+  SILENCE_DETECTION: {
+    MODE: 'prompt',
+    THRESHOLD_RMS: 0.01, // ~ -40 dBFS
+    DURATION_MS: 60 * 1000
+  },
+
+  // Access tokens are renewed this long before their JWT exp (1 minute)
+  TOKEN_REFRESH_MARGIN: 60 * 1000,
 
   // Request timeout (30 seconds)
-  REQUEST_TIMEOUT: 30000
+  REQUEST_TIMEOUT: 30000,
+
+  // Shared retry policy for transient failures (network, timeout, 5xx, 429)
+  RETRY: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 30000
+  },
+
+  // Stop calling the backend after this many consecutive transient failures,
+  // then let one trial request through every COOLDOWN_MS
+  CIRCUIT_BREAKER: {
+    FAILURE_THRESHOLD: 5,
+    COOLDOWN_MS: 30000
+  }
 };
 
 // Make CONFIG available globally for other scripts
@@ -30,7 +30,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Support both summaryText and summary properties
     const summaryText = message.summaryText || message.summary;
 
-    handleInjectionRequest(summaryText, photos)
+    handleInjectionRequest(summaryText, photos, message.patientId)
       .then(result => {
         console.log('✅ Injection result:', result);
         sendResponse(result);
@@ -53,9 +53,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  // Unknown action
-  console.warn('⚠️ Unknown action:', message.action, message.type);
-  sendResponse({ success: false, error: 'Unknown action' });
+  // Anything else (patient requests) is answered by content.js
   return false;
 });
 
@@ -63,9 +61,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * Handle injection request with validation
  * @param {string} summaryText
  * @param {Array} photos - Array of photo objects
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {string} patientId - Patient the consultation was recorded for
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
  */
-async function handleInjectionRequest(summaryText, photos = []) {
+async function handleInjectionRequest(summaryText, photos = [], patientId) {
   try {
     // Validate summary text
     if (!summaryText || typeof summaryText !== 'string') {
@@ -76,6 +75,13 @@ async function handleInjectionRequest(summaryText, photos = []) {
       throw new Error('Summary text is empty');
     }
 
+    // The tab must still show the consultation's patient before anything is clicked
+    const check = EzyVetPatientExtractor.verify(patientId);
+    if (!check.success) {
+      console.error('❌', check.error);
+      return check;
+    }
+
     console.log('🎤 Starting injection for summary:', summaryText.substring(0, 100) + '...');
     if (photos && photos.length > 0) {
       console.log(`📸 Injection includes ${photos.length} photo(s)`);
@@ -86,7 +92,7 @@ async function handleInjectionRequest(summaryText, photos = []) {
 
     // ✅ NEW: Pass photos to injector
     // Perform injection
-    const result = await injectorInstance.injectSummary(summaryText, photos);
+    const result = await injectorInstance.injectSummary(summaryText, photos, patientId);
 
     if (result.success) {
       console.log('✅ Summary injected successfully into EzyVet');
@@ -10,45 +10,27 @@ if (!window.brobyVetsInitialized) {
 
   // Store references so we can clean them up
   let observer = null;
-  let checkInterval = null;
+  let checkTimer = null;
+  let fallbackInterval = null;
+  let port = null; // Long-lived connection to the background for patient updates
 
-  function extractPatientInfo() {
-    const popupTitle = document.querySelector('.popupFormHeader .titleHolder');
-
-    if (popupTitle) {
-      const titleText = popupTitle.textContent.trim();
-      const match = titleText.match(/New History for (.+?) \((\d+)\)/);
-
-      if (match) {
-        return {
-          name: match[1].trim(),
-          id: match[2],
-          species: extractSpecies(),
-          date: new Date().toLocaleDateString()
-        };
-      }
-    }
-
-    const allText = document.body.innerText;
-    const patientMatch = allText.match(/Patient\s+([^\n]+)\s+Animal ID:\s*_?(\d+)/);
+  // Wait for EzyVet to stop re-rendering before re-reading the patient
+  const CHECK_DEBOUNCE_MS = 400;
 
-    if (patientMatch) {
-      return {
-        name: patientMatch[1].trim(),
-        id: patientMatch[2],
-        species: extractSpecies(),
-        date: new Date().toLocaleDateString()
-      };
-    }
+  // Slow re-check for pages where no patient container resolves (the observer
+  // can't see an in-app patient switch there)
+  const FALLBACK_CHECK_MS = 5000;
+  const PORT_NAME = 'ezyvet-patient';
 
-    return null;
+  // Identity plus signalment from the animal record (ezyvet-patient-extractor.js)
+  function extractPatientInfo() {
+    return EzyVetPatientExtractor.extract();
   }
 
-  function extractSpecies() {
-    const text = document.body.textContent;
-    if (text.includes('Canine') || text.includes('Dog')) return 'Dog';
-    if (text.includes('Feline') || text.includes('Cat')) return 'Cat';
-    return 'Unknown';
+  // Signalment without the per-day date, to notice the record panel filling in
+  function signalmentKey(patient) {
+    const { date, ...details } = patient;
+    return JSON.stringify(details);
   }
 
   function handleInvalidContext() {
@@ -56,15 +38,15 @@ if (!window.brobyVetsInitialized) {
       isExtensionValid = false;
       console.log('⚠️ BrobyVets: Extension reloaded. Patient detection paused.');
 
-      // Stop observer and intervals to prevent error spam
+      // Stop observer and pending checks to prevent error spam
       if (observer) {
         observer.disconnect();
         observer = null;
       }
-      if (checkInterval) {
-        clearInterval(checkInterval);
-        checkInterval = null;
-      }
+      clearTimeout(checkTimer);
+      clearInterval(fallbackInterval);
+      fallbackInterval = null;
+      port = null;
 
       // Attempt reconnection
       attemptReconnect();
@@ -111,17 +93,51 @@ if (!window.brobyVetsInitialized) {
       return;
     }
 
-    chrome.runtime.sendMessage({
-      type: 'PATIENT_CHANGED',
-      patient: patient
-    }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.log('⚠️ Message failed:', chrome.runtime.lastError.message);
+    try {
+      getPort().postMessage({ type: 'PATIENT_CHANGED', patient });
+    } catch (error) {
+      // The service worker restarted and dropped the port - reconnect once
+      console.log('⚠️ Patient port closed, reconnecting:', error.message);
+      port = null;
+      try {
+        getPort().postMessage({ type: 'PATIENT_CHANGED', patient });
+      } catch (retryError) {
+        handleInvalidContext();
+      }
+    }
+  }
+
+  // Connect lazily; the background may drop the port when its worker is suspended
+  function getPort() {
+    if (port) return port;
+
+    port = chrome.runtime.connect({ name: PORT_NAME });
+    port.onDisconnect.addListener(() => {
+      port = null;
+      if (!chrome.runtime?.id) {
         handleInvalidContext();
-      } else {
-        console.log('✅ Background confirmed receipt:', response);
       }
     });
+    return port;
+  }
+
+  function scheduleCheck(delay = CHECK_DEBOUNCE_MS) {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(checkPatient, delay);
+  }
+
+  // Only changes in or around the patient containers can change the patient
+  function isPatientMutation(mutation, containers) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    if (target?.closest(containers)) return true;
+
+    const changed = [...mutation.addedNodes, ...mutation.removedNodes];
+    return changed.some(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(containers) || node.querySelector(containers))
+    );
   }
 
   function checkPatient() {
@@ -135,6 +151,11 @@ if (!window.brobyVetsInitialized) {
         console.log('🎯 NEW PATIENT:', patient.name, 'ID:', patient.id);
         currentPatient = patient;
         notifyPatientChange(patient);
+      } else if (signalmentKey(currentPatient) !== signalmentKey(patient)) {
+        // Same animal - the record panel loaded after the header, or a new weight was entered
+        console.log('🩺 PATIENT DETAILS UPDATED:', patient.name, patient.species, patient.breed);
+        currentPatient = patient;
+        notifyPatientChange(patient);
       }
     }
   }
@@ -142,61 +163,66 @@ if (!window.brobyVetsInitialized) {
   function initialize() {
     console.log('🚀 Initializing patient detection...');
 
-    // Setup message listener
+    // Setup message listener. Summary injection is answered by content-script.js -
+    // only claim the messages handled here so its response isn't pre-empted.
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.type === 'REQUEST_PATIENT') {
         console.log('🔄 Sidebar requested patient');
         checkPatient();
         sendResponse({ success: true });
+        return true;
       }
 
-      if (message.type === 'INSERT_SUMMARY') {
-        console.log('📝 Inserting summary into EzyVet');
-
-        // Find the textarea in EzyVet (this may need adjustment based on actual EzyVet DOM)
-        const textarea = document.querySelector('textarea[name="notes"]') ||
-                         document.querySelector('textarea') ||
-                         document.querySelector('[contenteditable="true"]');
-
-        if (textarea) {
-          textarea.value = message.summary;
-          // Trigger input event so EzyVet knows the field changed
-          textarea.dispatchEvent(new Event('input', { bubbles: true }));
-          textarea.dispatchEvent(new Event('change', { bubbles: true }));
-          console.log('✅ Summary inserted');
-          sendResponse({ success: true });
-        } else {
-          console.error('❌ Could not find textarea');
-          sendResponse({ success: false, error: 'Textarea not found' });
-        }
+      // Which patient this tab shows right now (checked before injecting)
+      if (message.type === 'GET_PATIENT') {
+        sendResponse({ success: true, patient: EzyVetPatientExtractor.extract() });
+        return true;
       }
 
-      return true;
+      return false;
     });
 
     // Initial patient checks
     setTimeout(checkPatient, 1000);
     setTimeout(checkPatient, 2000);
 
-    // Setup mutation observer
-    observer = new MutationObserver(() => {
-      if (!isExtensionValid) return;
+    // Report which EzyVet selectors resolve once the page has settled
+    setTimeout(() => EzyVetSelectors.report(), 3000);
 
-      if (document.querySelector('.popupFormHeader') && !currentPatient) {
-        setTimeout(checkPatient, 300);
-      }
+    // Re-read the patient when EzyVet navigates or redraws a patient container.
+    // Busy pages mutate constantly - everything else is ignored, and checks are
+    // debounced so a burst of re-renders costs one extraction.
+    const containers = EzyVetSelectors.selectorList(EzyVetSelectors.PATIENT_CONTAINERS);
+
+    if (observer) {
+      observer.disconnect();
+    }
+    observer = new MutationObserver((mutations) => {
+      if (!isExtensionValid) return;
 
       if (location.href !== window.lastUrl) {
         window.lastUrl = location.href;
         currentPatient = null;
-        setTimeout(checkPatient, 500);
+        scheduleCheck();
+        return;
+      }
+
+      if (mutations.some(mutation => isPatientMutation(mutation, containers))) {
+        scheduleCheck();
       }
     });
 
-    observer.observe(document.body, { subtree: true, childList: true });
+    observer.observe(document.body, { subtree: true, childList: true, characterData: true });
 
-    // Periodic check
-    checkInterval = setInterval(checkPatient, 5000);
+    // EzyVet layouts the registry doesn't know yet - fall back to checking on a timer
+    if (!fallbackInterval) {
+      fallbackInterval = setInterval(() => {
+        if (!isExtensionValid) return;
+        if (!EzyVetSelectors.query('patientHeader') && !EzyVetSelectors.query('animalRecordPanel')) {
+          checkPatient();
+        }
+      }, FALLBACK_CHECK_MS);
+    }
 
     console.log('✅ Patient detection initialized');
   }
@@ -0,0 +1,161 @@
+console.log('🛠️ Developer options loaded');
+
+const envList = document.getElementById('envList');
+const envIdInput = document.getElementById('envId');
+const envUrlInput = document.getElementById('envUrl');
+const addEnvBtn = document.getElementById('addEnvBtn');
+const statusDiv = document.getElementById('status');
+
+function showStatus(message, type = 'info') {
+  statusDiv.innerHTML = '';
+  const p = document.createElement('p');
+  p.className = `status-${type}`;
+  p.textContent = message;
+  statusDiv.appendChild(p);
+}
+
+// List every profile with the active one selected
+async function renderProfiles() {
+  const profiles = await EnvironmentProfiles.getProfiles();
+  const active = await EnvironmentProfiles.getActive();
+
+  envList.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'env-row';
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'environment';
+    radio.id = `env-${profile.id}`;
+    radio.checked = profile.id === active.id;
+    radio.addEventListener('change', () => switchEnvironment(profile, active));
+
+    const label = document.createElement('label');
+    label.htmlFor = radio.id;
+    label.textContent = profile.label;
+
+    const url = document.createElement('span');
+    url.className = 'env-url';
+    url.textContent = profile.url;
+    label.appendChild(url);
+
+    row.appendChild(radio);
+    row.appendChild(label);
+
+    if (!profile.builtIn) {
+      const remove = document.createElement('button');
+      remove.className = 'env-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        if (profile.id === active.id) {
+          if (!confirm(`${profile.label} is in use. Remove it and switch back to production?\n\nYou will be signed out.`)) return;
+          await TokenManager.clearAuth();
+        }
+        await EnvironmentProfiles.removeProfile(profile.id);
+        showStatus(`Removed ${profile.label}`);
+        renderProfiles();
+      });
+      row.appendChild(remove);
+    }
+
+    envList.appendChild(row);
+  });
+}
+
+// Switch backend - asks for host access first and signs out of the old one.
+// The permission request comes before the confirm and any await so Chrome still sees the click.
+async function switchEnvironment(profile, active) {
+  if (profile.id === active.id) return;
+
+  const granted = await EnvironmentProfiles.ensurePermission(profile.url);
+  if (!granted) {
+    showStatus(`Permission to reach ${profile.url} was not granted`, 'error');
+    renderProfiles();
+    return;
+  }
+
+  if (!confirm(`Switch to ${profile.label}?\n\nYou will be signed out. Recordings still waiting to upload stay on this computer and are only sent to ${active.label} once you switch back.`)) {
+    renderProfiles();
+    return;
+  }
+
+  await TokenManager.clearAuth();
+  await EnvironmentProfiles.setActive(profile.id);
+
+  console.log('🌐 Switched environment to', profile.label);
+  showStatus(`Now using ${profile.label}. Sign in again from the side panel.`, 'info');
+  renderProfiles();
+}
+
+addEnvBtn.addEventListener('click', async () => {
+  const id = envIdInput.value.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  if (!id) {
+    showStatus('Give the profile a name', 'error');
+    return;
+  }
+
+  let url;
+  try {
+    url = EnvironmentProfiles.normalizeUrl(envUrlInput.value);
+  } catch (error) {
+    showStatus(error.message || 'That is not a valid URL', 'error');
+    return;
+  }
+
+  // Ask while we still have the click's user gesture
+  const granted = await EnvironmentProfiles.ensurePermission(url);
+  if (!granted) {
+    showStatus(`Permission to reach ${url} was not granted`, 'error');
+    return;
+  }
+
+  const saved = await EnvironmentProfiles.saveProfile(id, { label: envIdInput.value.trim(), url });
+  if (!saved) {
+    showStatus('Could not save the profile', 'error');
+    return;
+  }
+
+  envIdInput.value = '';
+  envUrlInput.value = '';
+  showStatus(`Saved ${id}`);
+  renderProfiles();
+});
+
+// Latest selector self-test from an EzyVet tab (ezyvet-selectors.js)
+async function renderSelectorReport() {
+  const key = CONFIG.STORAGE_KEYS.SELECTOR_REPORT;
+  const report = (await chrome.storage.local.get(key))[key];
+  if (!report) return;
+
+  const container = document.getElementById('selectorReport');
+  document.getElementById('selectorMeta').textContent =
+    `Registry v${report.version} · ${new Date(report.checkedAt).toLocaleString()} · ${report.url}`;
+
+  container.innerHTML = '';
+  Object.values(report.results).forEach(result => {
+    const row = document.createElement('div');
+    row.className = 'selector-row';
+
+    const label = document.createElement('span');
+    label.className = `selector-${result.status}`;
+    label.textContent = `${result.label}: ${result.status}`;
+
+    const detail = document.createElement('code');
+    detail.textContent = result.selector || (result.tried || []).join(' | ');
+
+    row.appendChild(label);
+    row.appendChild(detail);
+    container.appendChild(row);
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CONFIG.STORAGE_KEYS.SELECTOR_REPORT]) {
+    renderSelectorReport();
+  }
+});
+
+renderProfiles();
+renderSelectorReport();
@@ -1,9 +1,11 @@
 // EzyVet History Injection Service
 // Handles automatic injection of AI-generated summaries into EzyVet's History form
+// Elements are looked up through EzyVetSelectors (ezyvet-selectors.js), which
+// throws a descriptive error when EzyVet's layout no longer matches.
 
 class EzyVetHistoryInjector {
   constructor() {
-    this.observer = null;
+    this.popupForm = null;
     this.currentTabNumber = null;
     this.isInjecting = false;
   }
@@ -12,9 +14,11 @@ class EzyVetHistoryInjector {
    * Main injection method - orchestrates the complete flow
    * @param {string} summaryText - The AI-generated summary to inject
    * @param {Array} photos - Array of photo objects to inject
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {string} patientId - Patient the consultation was recorded for
+   * @returns {Promise<{success: boolean, error?: string, code?: string, patient?: object}>}
+   *   code 'PATIENT_MISMATCH'/'PATIENT_NOT_FOUND' when the popup is for someone else
    */
-  async injectSummary(summaryText, photos = []) {
+  async injectSummary(summaryText, photos = [], patientId) {
     if (this.isInjecting) {
       return {
         success: false,
@@ -28,39 +32,41 @@ class EzyVetHistoryInjector {
       console.log('🎯 Starting EzyVet history injection...');
 
       // Step 1: Click "Add History" button
-      const addHistoryBtn = await this.waitForElement('[data-testid="AddHistory"]', 5000);
-      if (!addHistoryBtn) {
-        throw new Error('Add History button not found');
-      }
+      const addHistoryBtn = await EzyVetSelectors.waitFor('addHistoryButton', { timeout: 5000 });
 
       console.log('✅ Found Add History button');
       addHistoryBtn.click();
 
       // Step 2: Wait for popup form to appear
-      const popupForm = await this.waitForPopupForm(10000);
-      if (!popupForm) {
-        throw new Error('Popup form did not appear');
-      }
+      this.popupForm = await EzyVetSelectors.waitFor('popupForm', { visible: true, timeout: 10000 });
 
       console.log('✅ Popup form appeared');
 
       // Step 3: Extract dynamic tab number
-      this.currentTabNumber = this.extractTabNumber(popupForm);
+      this.currentTabNumber = EzyVetSelectors.tabNumber(this.popupForm);
       if (!this.currentTabNumber) {
-        throw new Error('Could not extract tab number from popup form');
+        console.warn('⚠️ Could not extract tab number from popup form - using the popup\'s own fields');
       }
 
       console.log('✅ Extracted tab number:', this.currentTabNumber);
 
-      // Step 4: Fill in the comment textarea
-      const textarea = await this.fillComment(summaryText);
-      if (!textarea) {
-        throw new Error('Failed to fill comment textarea');
+      // Step 4: Make sure the popup is this consultation's patient's history -
+      // EzyVet may have opened it for whoever the page switched to meanwhile
+      const check = EzyVetPatientExtractor.verify(patientId, { root: this.popupForm });
+      if (!check.success) {
+        console.error('❌ History popup is for another patient:', check.error);
+        this.closePopup();
+        return check;
       }
 
+      console.log('✅ History popup is for', check.patient.name);
+
+      // Step 5: Fill in the comment textarea
+      await this.fillComment(summaryText);
+
       console.log('✅ Filled comment textarea');
 
-      // ✅ NEW STEP 5: Inject photos if provided
+      // Step 6: Inject photos if provided
       if (photos && photos.length > 0) {
         console.log(`📸 Injecting ${photos.length} photo(s)...`);
         const photoResult = await this.injectPhotos(photos);
@@ -74,7 +80,7 @@ class EzyVetHistoryInjector {
         }
       }
 
-      // Step 6: Submit the form
+      // Step 7: Submit the form
       const submitted = await this.submitForm();
       if (!submitted) {
         throw new Error('Failed to submit form');
@@ -88,9 +94,16 @@ class EzyVetHistoryInjector {
 
     } catch (error) {
       console.error('❌ EzyVet injection failed:', error);
+
+      // Record which selectors still resolve, for whoever updates the registry
+      if (error.code === 'SELECTOR_NOT_FOUND') {
+        EzyVetSelectors.report();
+      }
+
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     } finally {
       this.cleanup();
@@ -98,106 +111,17 @@ class EzyVetHistoryInjector {
     }
   }
 
-  /**
-   * Wait for popup form to appear using MutationObserver
-   * @param {number} timeout - Maximum time to wait (ms)
-   * @returns {Promise<HTMLElement>}
-   */
-  waitForPopupForm(timeout = 10000) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-
-      // Check if already exists
-      const existing = document.querySelector('[id^="popupForm-"]');
-      if (existing && this.isElementVisible(existing)) {
-        resolve(existing);
-        return;
-      }
-
-      // Set up observer
-      this.observer = new MutationObserver((mutations) => {
-        const popupForm = document.querySelector('[id^="popupForm-"]');
-        if (popupForm && this.isElementVisible(popupForm)) {
-          this.observer.disconnect();
-          resolve(popupForm);
-        }
-      });
-
-      // Start observing
-      this.observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      // Timeout fallback
-      setTimeout(() => {
-        if (this.observer) {
-          this.observer.disconnect();
-        }
-        const popupForm = document.querySelector('[id^="popupForm-"]');
-        resolve(popupForm || null);
-      }, timeout);
-    });
-  }
-
-  /**
-   * Wait for a specific element to appear
-   * @param {string} selector - CSS selector
-   * @param {number} timeout - Maximum time to wait (ms)
-   * @returns {Promise<HTMLElement>}
-   */
-  waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve) => {
-      const existing = document.querySelector(selector);
-      if (existing) {
-        resolve(existing);
-        return;
-      }
-
-      const observer = new MutationObserver(() => {
-        const element = document.querySelector(selector);
-        if (element) {
-          observer.disconnect();
-          resolve(element);
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      setTimeout(() => {
-        observer.disconnect();
-        resolve(null);
-      }, timeout);
-    });
-  }
-
-  /**
-   * Extract tab number from popup form ID
-   * @param {HTMLElement} popupForm
-   * @returns {string|null}
-   */
-  extractTabNumber(popupForm) {
-    const id = popupForm.id;
-    const match = id.match(/popupForm-(-?\d+)/);
-    return match ? match[1] : null;
-  }
-
   /**
    * Fill the comment textarea with summary text
    * @param {string} summaryText
    * @returns {Promise<HTMLElement>}
+   * @throws {Error} code SELECTOR_NOT_FOUND when the popup has no comment box
    */
   async fillComment(summaryText) {
-    const textareaId = `visithistorydata_comments-${this.currentTabNumber}`;
-    const textarea = document.getElementById(textareaId);
-
-    if (!textarea) {
-      console.error('❌ Textarea not found:', textareaId);
-      return null;
-    }
+    const textarea = EzyVetSelectors.require('historyComments', {
+      root: this.popupForm,
+      tabNumber: this.currentTabNumber
+    });
 
     // Set value using multiple methods for compatibility
     textarea.value = summaryText;
@@ -224,15 +148,13 @@ class EzyVetHistoryInjector {
   /**
    * Submit the form using multiple fallback methods
    * @returns {Promise<boolean>}
+   * @throws {Error} code SELECTOR_NOT_FOUND when the popup has no save button
    */
   async submitForm() {
-    const saveButtonId = `saveRecord-${this.currentTabNumber}`;
-    const saveButton = document.getElementById(saveButtonId);
-
-    if (!saveButton) {
-      console.error('❌ Save button not found:', saveButtonId);
-      return false;
-    }
+    const saveButton = EzyVetSelectors.require('saveButton', {
+      root: this.popupForm,
+      tabNumber: this.currentTabNumber
+    });
 
     // Method 1: Try custom buttonClick event (EzyVet pattern)
     try {
@@ -294,20 +216,16 @@ class EzyVetHistoryInjector {
     try {
       console.log(`📸 Starting photo injection for ${photos.length} photo(s)...`);
 
-      // TODO: REPLACE THIS ID PATTERN WITH YOUR DISCOVERED PATTERN
-      // Examples of possible patterns:
-      // - `photo_upload-${this.currentTabNumber}`
-      // - `attachment_field-${this.currentTabNumber}`
-      // - `visithistorydata_photos-${this.currentTabNumber}`
-
-      const photoUploadElementId = `photo_upload_field-${this.currentTabNumber}`;
-      const uploadElement = document.getElementById(photoUploadElementId);
+      // Photos are optional - a missing field is reported but doesn't stop the summary
+      const uploadOptions = { root: this.popupForm, tabNumber: this.currentTabNumber };
+      const uploadElement = EzyVetSelectors.query('photoUpload', uploadOptions);
 
       if (!uploadElement) {
-        console.warn('⚠️ Photo upload element not found:', photoUploadElementId);
+        const error = EzyVetSelectors.notFound('photoUpload', uploadOptions);
+        console.warn('⚠️', error.message);
         return {
           success: false,
-          error: 'Photo upload element not found'
+          error: error.message
         };
       }
 
@@ -399,26 +317,29 @@ class EzyVetHistoryInjector {
   }
 
   /**
-   * Check if element is visible
-   * @param {HTMLElement} element
-   * @returns {boolean}
+   * Close the history popup we opened without saving it
+   * Falls back to Escape when EzyVet shows no close button.
    */
-  isElementVisible(element) {
-    if (!element) return false;
-    const style = window.getComputedStyle(element);
-    return style.display !== 'none' &&
-           style.visibility !== 'hidden' &&
-           element.offsetParent !== null;
+  closePopup() {
+    const closeButton = EzyVetSelectors.query('closeButton', {
+      root: this.popupForm,
+      tabNumber: this.currentTabNumber
+    });
+
+    if (closeButton) {
+      closeButton.click();
+    } else {
+      this.popupForm.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    console.log('🚪 Closed the unsaved history popup');
   }
 
   /**
    * Cleanup resources
    */
   cleanup() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
+    this.popupForm = null;
     this.currentTabNumber = null;
   }
 }
@@ -0,0 +1,304 @@
+// EzyVet Patient Extractor
+// Reads the patient's identity and signalment (species, breed, sex, age/date of
+// birth, latest weight, client) from EzyVet's animal record panel. Fields are
+// found by their labels inside the panel rather than by scanning page text, so
+// other animals and free-text notes on the page can't leak into the result.
+// The panel, label and popup title selectors live in EzyVetSelectors.
+
+class EzyVetPatientExtractor {
+  // Accepted label text per field (lower case, without the trailing colon)
+  static FIELD_LABELS = {
+    species: ['species'],
+    breed: ['breed'],
+    sex: ['sex', 'gender', 'sex/desexed'],
+    age: ['age'],
+    dateOfBirth: ['date of birth', 'dob', 'birth date', 'birthdate'],
+    weight: ['weight', 'latest weight', 'last weight', 'current weight'],
+    clientName: ['owner', 'client', 'owner name', 'client name', 'primary owner']
+  };
+
+  // EzyVet species names (and common variants) to what vets call them
+  static SPECIES = {
+    canine: 'Dog', dog: 'Dog',
+    feline: 'Cat', cat: 'Cat',
+    equine: 'Horse', horse: 'Horse', pony: 'Horse', donkey: 'Donkey',
+    lagomorph: 'Rabbit', rabbit: 'Rabbit',
+    bovine: 'Cattle', cattle: 'Cattle', cow: 'Cattle',
+    ovine: 'Sheep', sheep: 'Sheep',
+    caprine: 'Goat', goat: 'Goat',
+    porcine: 'Pig', pig: 'Pig',
+    camelid: 'Camelid', alpaca: 'Alpaca', llama: 'Llama',
+    avian: 'Bird', bird: 'Bird',
+    'guinea pig': 'Guinea Pig', cavy: 'Guinea Pig',
+    ferret: 'Ferret',
+    rodent: 'Rodent', rat: 'Rat', mouse: 'Mouse', hamster: 'Hamster',
+    reptile: 'Reptile', lizard: 'Lizard', snake: 'Snake', tortoise: 'Tortoise', turtle: 'Turtle'
+  };
+
+  // Abbreviated sex codes EzyVet lists show
+  static SEX = {
+    m: 'Male', f: 'Female',
+    mn: 'Male Neutered', me: 'Male Entire',
+    fn: 'Female Spayed', fs: 'Female Spayed', fe: 'Female Entire',
+    u: 'Unknown'
+  };
+
+  /**
+   * Identify the patient on the page and read its signalment
+   * @returns {{name: string, id: string, species: string, breed: string|null, sex: string|null, age: string|null, dateOfBirth: string|null, weight: {value: number, unit: string, recordedOn: string|null}|null, clientName: string|null, pageUrl: string, date: string}|null}
+   *   pageUrl is the EzyVet page the patient was read from (used to reopen them)
+   */
+  static extract() {
+    const identity = this.extractIdentity();
+    if (!identity) return null;
+
+    return {
+      ...identity,
+      ...this.extractSignalment(),
+      pageUrl: location.href,
+      date: new Date().toLocaleDateString()
+    };
+  }
+
+  /**
+   * Check the page (or one history popup) shows a patient before writing to their record
+   * @param {string} patientId - Animal ID the consultation was recorded for
+   * @param {object} [options] - { root } to read only that popup form
+   * @returns {{success: boolean, patient?: object, error?: string, code?: string}}
+   *   code 'PATIENT_NOT_FOUND' or 'PATIENT_MISMATCH'
+   */
+  static verify(patientId, options = {}) {
+    // Without the consultation's patient there is nothing to compare against
+    if (patientId === undefined || patientId === null || patientId === '') {
+      return {
+        success: false,
+        error: 'The summary was sent without its consultation\'s patient, so nothing was written.',
+        code: 'PATIENT_NOT_FOUND'
+      };
+    }
+
+    const patient = this.extractIdentity(options.root);
+    const where = options.root ? 'The open history form' : 'This EzyVet tab';
+
+    if (!patient) {
+      return {
+        success: false,
+        error: `Could not tell which patient ${where.toLowerCase()} is for, so nothing was written. Open the patient's record and try again.`,
+        code: 'PATIENT_NOT_FOUND'
+      };
+    }
+
+    if (String(patient.id) !== String(patientId)) {
+      return {
+        success: false,
+        error: `${where} is for ${patient.name} (${patient.id}), not the patient this summary was recorded for (${patientId}). Nothing was written.`,
+        code: 'PATIENT_MISMATCH',
+        patient
+      };
+    }
+
+    return { success: true, patient };
+  }
+
+  /**
+   * Patient name and animal ID (history popup title, else the patient header)
+   * The header text is read from the patient containers when EzyVet rendered
+   * them; the whole page is only read as a last resort. With a root (a popup
+   * form) only that popup's title counts - the page behind it may show someone else.
+   * @param {ParentNode} [root]
+   * @returns {{name: string, id: string}|null}
+   */
+  static extractIdentity(root) {
+    const popupTitle = EzyVetSelectors.query('popupTitle', { root });
+
+    if (popupTitle) {
+      const match = popupTitle.textContent.trim().match(/New History for (.+?) \((\d+)\)/);
+      if (match) {
+        return { name: match[1].trim(), id: match[2] };
+      }
+    }
+
+    if (root) return null;
+
+    const header = EzyVetSelectors.query('patientHeader') ||
+      EzyVetSelectors.query('animalRecordPanel') ||
+      document.body;
+    const patientMatch = header.innerText.match(/Patient\s+([^\n]+)\s+Animal ID:\s*_?(\d+)/);
+    if (patientMatch) {
+      return { name: patientMatch[1].trim(), id: patientMatch[2] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read signalment fields from the animal record panel
+   * Without a panel every field is empty - labels elsewhere on the page (a
+   * client's other animals, for one) belong to someone else.
+   * @returns {{species: string, breed: string|null, sex: string|null, age: string|null, dateOfBirth: string|null, weight: object|null, clientName: string|null}}
+   */
+  static extractSignalment() {
+    const panel = this.findPanel();
+    const fields = panel ? this.readFields(panel) : {};
+
+    const dateOfBirth = fields.dateOfBirth || null;
+
+    return {
+      species: this.normalizeSpecies(fields.species),
+      breed: fields.breed || null,
+      sex: this.normalizeSex(fields.sex),
+      age: fields.age || this.ageFromDateOfBirth(dateOfBirth),
+      dateOfBirth,
+      weight: this.parseWeight(fields.weight),
+      clientName: fields.clientName || null
+    };
+  }
+
+  /**
+   * The animal record panel
+   * @returns {Element|null} null when EzyVet didn't render one
+   */
+  static findPanel() {
+    return EzyVetSelectors.query('animalRecordPanel');
+  }
+
+  /**
+   * Collect label -> value text for the known fields (first match wins)
+   * @param {ParentNode} root
+   * @returns {object} Keyed like FIELD_LABELS
+   */
+  static readFields(root) {
+    const fields = {};
+
+    // Label elements; the value is the element that follows each one
+    EzyVetSelectors.queryAll('fieldLabel', { root }).forEach(labelEl => {
+      const label = labelEl.textContent.trim().replace(/:$/, '').toLowerCase();
+      const key = Object.keys(this.FIELD_LABELS).find(field =>
+        !fields[field] && this.FIELD_LABELS[field].includes(label)
+      );
+      if (!key) return;
+
+      const value = this.valueFor(labelEl);
+      if (value) {
+        fields[key] = value;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Value text belonging to a label element
+   * @param {Element} labelEl
+   * @returns {string|null}
+   */
+  static valueFor(labelEl) {
+    // <label for="..."> pointing at an input
+    const target = labelEl.htmlFor && document.getElementById(labelEl.htmlFor);
+    if (target) {
+      return this.cleanText(target.value ?? target.textContent);
+    }
+
+    // <th>/<td>, <dt>/<dd> and label/value sibling pairs
+    const sibling = labelEl.nextElementSibling;
+    if (sibling) {
+      const input = sibling.matches('input, select, textarea') ? sibling : sibling.querySelector('input, select, textarea');
+      if (input) {
+        return this.cleanText(input.tagName === 'SELECT' ? input.options[input.selectedIndex]?.textContent : input.value);
+      }
+      return this.cleanText(sibling.textContent);
+    }
+
+    // "Label: value" in one element
+    const inline = labelEl.parentElement?.textContent.split(':').slice(1).join(':');
+    return this.cleanText(inline);
+  }
+
+  /**
+   * @param {string} [text]
+   * @returns {string|null} Collapsed whitespace, null when empty
+   */
+  static cleanText(text) {
+    const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+    return cleaned || null;
+  }
+
+  /**
+   * @param {string|null} text - e.g. 'Canine', 'Equine', 'Bearded Dragon'
+   * @returns {string} 'Unknown' when the record has no species
+   */
+  static normalizeSpecies(text) {
+    if (!text) return 'Unknown';
+
+    const key = text.toLowerCase();
+    if (this.SPECIES[key]) return this.SPECIES[key];
+
+    // "Canine - Dog", "Feline (Domestic)" - longest name first so guinea pig isn't read as pig
+    const known = Object.keys(this.SPECIES)
+      .sort((a, b) => b.length - a.length)
+      .find(name => new RegExp(`\\b${name}\\b`).test(key));
+    return known ? this.SPECIES[known] : text;
+  }
+
+  /**
+   * @param {string|null} text - e.g. 'FS', 'Male Neutered'
+   * @returns {string|null}
+   */
+  static normalizeSex(text) {
+    if (!text) return null;
+    return this.SEX[text.toLowerCase().replace(/[^a-z]/g, '')] || text;
+  }
+
+  /**
+   * @param {string|null} text - e.g. '12.4 kg', '850g (03/02/2025)', '22 lbs'
+   * @returns {{value: number, unit: string, recordedOn: string|null}|null}
+   */
+  static parseWeight(text) {
+    const match = text?.match(/(\d+(?:[.,]\d+)?)\s*(kg|g|lbs?|oz)\b/i);
+    if (!match) return null;
+
+    const recordedOn = text.match(/(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2})/);
+
+    return {
+      value: Number(match[1].replace(',', '.')),
+      unit: match[2].toLowerCase().replace(/^lbs$/, 'lb'),
+      recordedOn: recordedOn ? recordedOn[1] : null
+    };
+  }
+
+  /**
+   * Age text from a date of birth when EzyVet doesn't show one
+   * Dates are read day-first (dd/mm/yyyy) or ISO, as EzyVet displays them.
+   * @param {string|null} text
+   * @returns {string|null} e.g. '4y 2m', '7m', '3w'
+   */
+  static ageFromDateOfBirth(text) {
+    if (!text) return null;
+
+    let born = null;
+    const iso = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+    const dayFirst = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+    if (iso) {
+      born = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    } else if (dayFirst) {
+      born = new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1]));
+    }
+    if (!born || Number.isNaN(born.getTime()) || born > new Date()) return null;
+
+    const now = new Date();
+    let months = (now.getFullYear() - born.getFullYear()) * 12 + now.getMonth() - born.getMonth();
+    if (now.getDate() < born.getDate()) months--;
+
+    if (months >= 12) {
+      const years = Math.floor(months / 12);
+      return months % 12 ? `${years}y ${months % 12}m` : `${years}y`;
+    }
+    if (months >= 1) return `${months}m`;
+    return `${Math.max(0, Math.floor((now - born) / (7 * 24 * 60 * 60 * 1000)))}w`;
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EzyVetPatientExtractor;
+}
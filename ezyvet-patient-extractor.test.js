@@ -0,0 +1,51 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const EzyVetPatientExtractor = require('./ezyvet-patient-extractor.js');
+
+test('normalizeSpecies maps EzyVet species names', () => {
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Feline (Domestic)'), 'Cat');
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Canine - Dog'), 'Dog');
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Equine'), 'Horse');
+});
+
+test('normalizeSpecies prefers the longest name so a guinea pig is not a pig', () => {
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('guinea pig'), 'Guinea Pig');
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Guinea Pig (Cavia)'), 'Guinea Pig');
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Pig'), 'Pig');
+});
+
+test('normalizeSpecies keeps unknown species and defaults a missing one', () => {
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies('Bearded Dragon'), 'Bearded Dragon');
+  assert.strictEqual(EzyVetPatientExtractor.normalizeSpecies(null), 'Unknown');
+});
+
+test('parseWeight reads grams with the date it was recorded', () => {
+  assert.deepStrictEqual(EzyVetPatientExtractor.parseWeight('850g (03/02/2025)'), {
+    value: 850, unit: 'g', recordedOn: '03/02/2025'
+  });
+});
+
+test('parseWeight normalizes pounds and decimal commas', () => {
+  assert.deepStrictEqual(EzyVetPatientExtractor.parseWeight('22 lbs'), { value: 22, unit: 'lb', recordedOn: null });
+  assert.deepStrictEqual(EzyVetPatientExtractor.parseWeight('12,4 kg'), { value: 12.4, unit: 'kg', recordedOn: null });
+  assert.strictEqual(EzyVetPatientExtractor.parseWeight('Not weighed'), null);
+});
+
+test('ageFromDateOfBirth reads dates day-first', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 5, 15) });
+
+  // 3 February 2021, not 2 March
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('03/02/2021'), '4y 4m');
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('2021-02-03'), '4y 4m');
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('20.11.2024'), '6m');
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('01/06/2025'), '2w');
+});
+
+test('ageFromDateOfBirth ignores future and unreadable dates', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 5, 15) });
+
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('01/01/2026'), null);
+  assert.strictEqual(EzyVetPatientExtractor.ageFromDateOfBirth('Unknown'), null);
+});
@@ -0,0 +1,356 @@
+// EzyVet Selector Registry
+// Every EzyVet element the extension touches, with fallbacks in order of
+// preference. When EzyVet ships UI changes, fix them here (and bump VERSION)
+// instead of hunting for literals. Lookups remember which selector matched, and
+// the self-test reports that per element, so a stale primary selector shows up
+// before it breaks, and a missing element fails with its name and what was tried.
+//
+// Selectors can be functions of the lookup context ({ tabNumber }) for elements
+// whose IDs carry the popup form's tab number; they return null without one.
+
+class EzyVetSelectors {
+  static VERSION = 1;
+
+  static REGISTRY = {
+    addHistoryButton: {
+      label: 'Add History button',
+      scope: 'page',
+      selectors: [
+        '[data-testid="AddHistory"]',
+        'button[title="Add History"]',
+        '[data-testid*="AddHistory"]'
+      ]
+    },
+    popupForm: {
+      label: 'History popup form',
+      scope: 'page',
+      selectors: [
+        '[id^="popupForm-"]',
+        '.popupForm'
+      ]
+    },
+    popupTitle: {
+      label: 'History popup title',
+      scope: 'page',
+      selectors: [
+        '.popupFormHeader .titleHolder',
+        '.popupFormHeader h1',
+        '.popupFormHeader'
+      ]
+    },
+    historyComments: {
+      label: 'History comment box',
+      scope: 'popup',
+      selectors: [
+        ({ tabNumber }) => tabNumber && `[id="visithistorydata_comments-${tabNumber}"]`,
+        '[id^="visithistorydata_comments-"]',
+        'textarea[name*="comments"]'
+      ]
+    },
+    saveButton: {
+      label: 'History save button',
+      scope: 'popup',
+      selectors: [
+        ({ tabNumber }) => tabNumber && `[id="saveRecord-${tabNumber}"]`,
+        '[id^="saveRecord-"]',
+        '[data-testid="SaveRecord"]'
+      ]
+    },
+    photoUpload: {
+      label: 'History photo upload field',
+      scope: 'popup',
+      selectors: [
+        ({ tabNumber }) => tabNumber && `[id="photo_upload_field-${tabNumber}"]`,
+        '[id^="photo_upload_field-"]',
+        'input[type="file"]'
+      ]
+    },
+    closeButton: {
+      label: 'History popup close button',
+      scope: 'popup',
+      selectors: [
+        ({ tabNumber }) => tabNumber && `[id="cancelRecord-${tabNumber}"]`,
+        '[id^="cancelRecord-"]',
+        '[data-testid="ClosePopup"]',
+        'button[title="Close"]'
+      ]
+    },
+    patientHeader: {
+      label: 'Patient header',
+      scope: 'page',
+      selectors: [
+        '[data-testid="PatientHeader"]',
+        '.patientHeader',
+        '.animalHeader'
+      ]
+    },
+    animalRecordPanel: {
+      label: 'Animal record panel',
+      scope: 'page',
+      selectors: [
+        '[data-testid="AnimalRecord"]',
+        '[data-testid="AnimalDetails"]',
+        '.animalRecord',
+        '.animalDetails',
+        '[id^="animalRecord"]',
+        '[id^="animal-"]'
+      ]
+    },
+    fieldLabel: {
+      label: 'Record field labels',
+      scope: 'page',
+      selectors: [
+        'label, th, dt, .label, .fieldLabel, [class*="Label"]'
+      ]
+    }
+  };
+
+  // Elements whose changes can mean a different patient (content.js watches these)
+  static PATIENT_CONTAINERS = ['popupTitle', 'patientHeader', 'animalRecordPanel'];
+
+  // Popup form IDs end in EzyVet's (sometimes negative) tab number
+  static TAB_NUMBER_PATTERN = /popupForm-(-?\d+)/;
+
+  // name -> selector that matched last time (for the self-test and fallback warnings)
+  static resolved = {};
+
+  /**
+   * Selectors for an element, with context filled in
+   * @param {string} name - Registry key
+   * @param {object} [context] - { tabNumber }
+   * @returns {string[]}
+   */
+  static selectorsFor(name, context = {}) {
+    const entry = this.REGISTRY[name];
+    if (!entry) {
+      throw new Error(`Unknown EzyVet element "${name}" (selector registry v${this.VERSION})`);
+    }
+
+    return entry.selectors
+      .map(selector => typeof selector === 'function' ? selector(context) : selector)
+      .filter(Boolean);
+  }
+
+  /**
+   * All selectors of several elements as one selector list (for closest/matches)
+   * Context-dependent selectors are left out.
+   * @param {string[]} names - Registry keys
+   * @returns {string}
+   */
+  static selectorList(names) {
+    return names.flatMap(name => this.selectorsFor(name)).join(', ');
+  }
+
+  /**
+   * First element matching the element's selectors, in order
+   * @param {string} name - Registry key
+   * @param {object} [options] - { root, tabNumber, visible }
+   * @returns {Element|null}
+   */
+  static query(name, options = {}) {
+    const root = options.root || document;
+
+    for (const [index, selector] of this.selectorsFor(name, options).entries()) {
+      const element = [...root.querySelectorAll(selector)].find(candidate =>
+        !options.visible || this.isVisible(candidate)
+      );
+      if (element) {
+        this.remember(name, selector, index);
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * All elements matching the first selector that matches anything
+   * @param {string} name
+   * @param {object} [options] - { root, tabNumber }
+   * @returns {Element[]}
+   */
+  static queryAll(name, options = {}) {
+    const root = options.root || document;
+
+    for (const [index, selector] of this.selectorsFor(name, options).entries()) {
+      const elements = [...root.querySelectorAll(selector)];
+      if (elements.length > 0) {
+        this.remember(name, selector, index);
+        return elements;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Like query(), but throws a descriptive error instead of returning null
+   * @param {string} name
+   * @param {object} [options] - { root, tabNumber, visible }
+   * @returns {Element}
+   */
+  static require(name, options = {}) {
+    const element = this.query(name, options);
+    if (!element) {
+      throw this.notFound(name, options);
+    }
+    return element;
+  }
+
+  /**
+   * Wait for an element to appear, rejecting with a descriptive error on timeout
+   * @param {string} name
+   * @param {object} [options] - { root, tabNumber, visible, timeout }
+   * @returns {Promise<Element>}
+   */
+  static waitFor(name, options = {}) {
+    const timeout = options.timeout || 5000;
+
+    return new Promise((resolve, reject) => {
+      const existing = this.query(name, options);
+      if (existing) {
+        resolve(existing);
+        return;
+      }
+
+      let timer = null;
+      const observer = new MutationObserver(() => {
+        const element = this.query(name, options);
+        if (element) {
+          observer.disconnect();
+          clearTimeout(timer);
+          resolve(element);
+        }
+      });
+
+      observer.observe(options.root || document.body, {
+        childList: true,
+        subtree: true,
+        attributes: !!options.visible
+      });
+
+      timer = setTimeout(() => {
+        observer.disconnect();
+        reject(this.notFound(name, options, timeout));
+      }, timeout);
+    });
+  }
+
+  /**
+   * EzyVet tab number from a popup form's ID
+   * @param {Element} popupForm
+   * @returns {string|null}
+   */
+  static tabNumber(popupForm) {
+    const match = popupForm?.id?.match(this.TAB_NUMBER_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Check every registered element on the current page
+   * Popup elements are only checked while a history popup is open.
+   * @returns {{version: number, url: string, checkedAt: number, results: object}}
+   *   results: name -> { label, status: 'ok'|'fallback'|'not-found'|'skipped', selector?, tried? }
+   */
+  static selfTest() {
+    const popup = this.query('popupForm', { visible: true });
+    const popupContext = popup ? { root: popup, tabNumber: this.tabNumber(popup) } : null;
+    const results = {};
+
+    Object.entries(this.REGISTRY).forEach(([name, entry]) => {
+      if (entry.scope === 'popup' && !popupContext) {
+        results[name] = { label: entry.label, status: 'skipped' };
+        return;
+      }
+
+      const options = entry.scope === 'popup' ? popupContext : {};
+      const selectors = this.selectorsFor(name, options);
+      const element = this.query(name, options);
+
+      if (!element) {
+        results[name] = { label: entry.label, status: 'not-found', tried: selectors };
+        return;
+      }
+
+      const { selector, index } = this.resolved[name];
+      results[name] = { label: entry.label, status: index === 0 ? 'ok' : 'fallback', selector };
+    });
+
+    const report = {
+      version: this.VERSION,
+      url: location.href,
+      checkedAt: Date.now(),
+      results
+    };
+
+    const problems = Object.entries(results).filter(([, result]) =>
+      result.status === 'fallback' || result.status === 'not-found'
+    );
+    if (problems.length > 0) {
+      console.warn(`⚠️ EzyVet selector self-test (v${this.VERSION}):`, Object.fromEntries(problems));
+    } else {
+      console.log(`✅ EzyVet selector self-test (v${this.VERSION}) passed`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Run the self-test and hand the report to the background (shown on the developer page)
+   * @returns {object} The report
+   */
+  static report() {
+    const report = this.selfTest();
+
+    try {
+      chrome.runtime.sendMessage({ type: 'EZYVET_SELECTOR_REPORT', report }).catch(() => {
+        // Extension reloaded - the next page load reports again
+      });
+    } catch (error) {
+      console.log('⚠️ Could not send selector report:', error.message);
+    }
+
+    return report;
+  }
+
+  /**
+   * Remember which selector matched and warn once when a fallback was needed
+   * @param {string} name
+   * @param {string} selector
+   * @param {number} index - Position in the element's selector list
+   */
+  static remember(name, selector, index) {
+    if (index > 0 && this.resolved[name]?.selector !== selector) {
+      console.warn(`⚠️ EzyVet ${this.REGISTRY[name].label} found by fallback "${selector}" - primary selector may be out of date (registry v${this.VERSION})`);
+    }
+    this.resolved[name] = { selector, index };
+  }
+
+  /**
+   * Error for an element that couldn't be found
+   * @param {string} name
+   * @param {object} options - Lookup options (for the selectors tried)
+   * @param {number} [waitedMs]
+   * @returns {Error} With code 'SELECTOR_NOT_FOUND' and element
+   */
+  static notFound(name, options, waitedMs) {
+    const tried = this.selectorsFor(name, options);
+    const waited = waitedMs ? ` after ${Math.round(waitedMs / 1000)}s` : '';
+    const error = new Error(
+      `EzyVet ${this.REGISTRY[name].label} not found${waited}. EzyVet may have changed its layout ` +
+      `(selector registry v${this.VERSION}, tried: ${tried.join(' | ')})`
+    );
+    error.code = 'SELECTOR_NOT_FOUND';
+    error.element = name;
+    return error;
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  static isVisible(element) {
+    const style = window.getComputedStyle(element);
+    return style.display !== 'none' &&
+           style.visibility !== 'hidden' &&
+           element.offsetParent !== null;
+  }
+}
@@ -5,22 +5,64 @@ console.log('🎙️ Offscreen audio recorder loaded - VERSION 2.0');
 console.log('🎙️ Ready to receive recording messages');
 
 // Audio recording state
-let mediaRecorder = null;
+// Each chunk is recorded by its own MediaRecorder ("segment") on the shared stream
 let audioStream = null;
-let chunkNumber = 0;
+let activeSegment = null;  // Segment currently capturing
+let closingSegment = null; // Previous segment, still capturing during the boundary overlap
+let chunkNumber = 0;       // Number the next segment will get
 let chunkTimer = null;
-let chunkStartTime = 0;
-let currentChunks = [];  // Collect Blob fragments for current chunk
+let captureStartTime = 0;  // Chunk offsets are measured from here; also identifies the capture
 let isSwapping = false;  // Track if we're currently swapping recorders
-const chunkDuration = 15000; // 15 seconds
+let sessionId = null;    // Recording session chunks belong to (ChunkStore key)
+let recordingSettings = null; // { mimeType, chunkDurationMs, audioBitsPerSecond } after validation
+
+// Pause-aware recording clock - the one source of truth for how long a consult
+// has been recorded (sidebar timer and the duration sent at completion)
+let recordedBaseMs = 0;     // Time recorded by earlier captures of this session
+let clockElapsedMs = 0;     // Time recorded by this capture before the current stretch
+let clockRunningSince = null; // Start of the current unpaused stretch (null while paused/stopped)
+
+// Consecutive chunks overlap by roughly this much so no audio is lost at the
+// boundary. The measured overlap is sent with each chunk for the server-side merge.
+const CHUNK_OVERLAP_MS = 500;
+
+// How long to wait for a recorder that stopped by itself to deliver its stop event
+const STOP_EVENT_TIMEOUT = 1000;
+
+// Optional continuous recorder feeding the local AudioArchive (one part per capture)
+let archiveRecorder = null;
+let archiveWrites = Promise.resolve(); // Keeps fragment writes in order
+const ARCHIVE_TIMESLICE_MS = 5000;
+
+// Input level metering (drives the sidebar waveform and mic warnings)
+let audioContext = null;
+let levelAnalyser = null;
+let levelTimer = null;
+const LEVEL_INTERVAL = 125; // 8 updates per second - enough for a meter, cheap on messaging
+
+// Sustained silence detection ({ threshold, durationMs } from the sidebar, null = off)
+let silenceSettings = null;
+let silentSince = null;
+let silenceReported = false;
 
 // Listen for messages from sidebar
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('📨 Offscreen received message:', message.type);
+  // GET_STATE drives the sidebar clock every second - don't log it
+  if (message.type !== 'GET_STATE') {
+    console.log('📨 Offscreen received message:', message.type);
+  }
 
   switch (message.type) {
     case 'START_RECORDING':
-      startRecording()
+      startRecording({
+        sessionId: message.sessionId,
+        startChunkNumber: message.startChunkNumber,
+        deviceId: message.deviceId,
+        silence: message.silence,
+        recording: message.recording,
+        archive: message.archive,
+        recordedMs: message.recordedMs
+      })
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep channel open for async response
@@ -32,7 +74,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'PAUSE_RECORDING':
-      pauseRecording();
+      pauseRecording(message.reason);
       sendResponse({ success: true });
       return true;
 
@@ -41,15 +83,77 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       return true;
 
+    case 'UPDATE_RECORDING_SETTINGS':
+      sendResponse(updateRecordingSettings(message.recording));
+      return true;
+
     case 'GET_STATE':
+      // Also serves as the supervisor heartbeat (via background.js)
       sendResponse({
         success: true,
-        state: mediaRecorder ? mediaRecorder.state : 'inactive'
+        state: activeSegment ? activeSegment.recorder.state : 'inactive',
+        sessionId,
+        capturing: isCapturing(),
+        nextChunkNumber: chunkNumber,
+        recordedMs: getRecordedMs()
       });
       return true;
   }
 });
 
+/**
+ * Whether audio is actually flowing into the recorder right now
+ * (a paused recorder on a live track still counts)
+ * @returns {boolean}
+ */
+function isCapturing() {
+  const track = audioStream?.getAudioTracks()[0];
+  return !!activeSegment &&
+    activeSegment.recorder.state !== 'inactive' &&
+    track?.readyState === 'live';
+}
+
+/**
+ * Recorded time of the current session, excluding pauses
+ * @returns {number} Milliseconds
+ */
+function getRecordedMs() {
+  const running = clockRunningSince ? Date.now() - clockRunningSince : 0;
+  return recordedBaseMs + clockElapsedMs + running;
+}
+
+/**
+ * Stop the recording clock (pause or stop), keeping what was recorded so far
+ */
+function stopClock() {
+  if (clockRunningSince) {
+    clockElapsedMs += Date.now() - clockRunningSince;
+    clockRunningSince = null;
+  }
+}
+
+/**
+ * The microphone went away mid-recording (unplugged, revoked, device error)
+ * Hand over whatever was recorded and tell the sidebar so its supervisor can
+ * restart capture in the same session.
+ * @param {string} reason
+ */
+async function handleCaptureLost(reason) {
+  if (!activeSegment) return;
+
+  const lostSessionId = sessionId;
+  console.error('❌ Capture lost:', reason);
+
+  await stopRecording();
+
+  chrome.runtime.sendMessage({
+    type: 'CAPTURE_STOPPED',
+    sessionId: lostSessionId,
+    reason,
+    recordedMs: getRecordedMs()
+  }).catch(() => {});
+}
+
 /**
  * Get supported MIME type for audio recording
  */
@@ -72,56 +176,272 @@ function getSupportedMimeType() {
 }
 
 /**
- * Setup event handlers for MediaRecorder
- * Centralized to avoid duplicate handlers
+ * Validate requested recording settings against what this browser can record
+ * Unsupported formats fall back to the best supported one; duration and bitrate
+ * are clamped to CONFIG.RECORDING ranges (bitrate range depends on the codec).
+ * @param {object} requested - { mimeType, chunkDurationMs, audioBitsPerSecond }
+ * @returns {{mimeType: string, chunkDurationMs: number, audioBitsPerSecond: number, adjustments: string[]}}
  */
-function setupRecorderHandlers(recorder, mimeType) {
-  // Handle data available - collect Blob fragments
-  recorder.ondataavailable = (event) => {
-    if (event.data && event.data.size > 0) {
-      console.log(`📦 Blob fragment received: ${event.data.size} bytes`);
-      currentChunks.push(event.data);
+function resolveRecordingSettings(requested = {}) {
+  const adjustments = [];
+
+  let mimeType;
+  if (requested.mimeType && MediaRecorder.isTypeSupported(requested.mimeType)) {
+    mimeType = requested.mimeType;
+  } else {
+    if (requested.mimeType) {
+      adjustments.push(`${requested.mimeType} is not supported here`);
     }
+    mimeType = getSupportedMimeType();
+  }
+
+  const clamp = (value, fallback, [min, max], label) => {
+    const number = Number(value);
+    if (!value || !Number.isFinite(number)) {
+      return fallback;
+    }
+    const clamped = Math.min(max, Math.max(min, Math.round(number)));
+    if (clamped !== number) {
+      adjustments.push(`${label} ${number} adjusted to ${clamped}`);
+    }
+    return clamped;
   };
 
-  // Handle recording stop - process complete chunk
-  recorder.onstop = () => {
-    console.log('🛑 MediaRecorder stopped, processing complete chunk');
+  const chunkDurationMs = clamp(
+    requested.chunkDurationMs,
+    CONFIG.RECORDING.CHUNK_DURATION_MS,
+    CONFIG.RECORDING.CHUNK_DURATION_RANGE,
+    'Chunk duration (ms)'
+  );
+
+  const bitrateRange = mimeType.includes('opus')
+    ? CONFIG.RECORDING.BITRATE_RANGE.opus
+    : CONFIG.RECORDING.BITRATE_RANGE.other;
+
+  const audioBitsPerSecond = clamp(
+    requested.audioBitsPerSecond,
+    Math.min(bitrateRange[1], Math.max(bitrateRange[0], CONFIG.RECORDING.AUDIO_BITS_PER_SECOND)),
+    bitrateRange,
+    'Bitrate (bps)'
+  );
+
+  if (adjustments.length > 0) {
+    console.warn('⚠️ Recording settings adjusted:', adjustments);
+  }
 
-    if (currentChunks.length > 0) {
-      const actualMimeType = currentChunks[0]?.type || mimeType;
-      const combinedBlob = new Blob(currentChunks, { type: actualMimeType });
-      const durationInSeconds = (Date.now() - chunkStartTime) / 1000;
+  return { mimeType, chunkDurationMs, audioBitsPerSecond, adjustments };
+}
 
-      console.log(`✅ Complete chunk ${chunkNumber} ready:`, {
-        fragments: currentChunks.length,
-        totalSize: combinedBlob.size,
-        duration: durationInSeconds,
-        type: combinedBlob.type
+/**
+ * Start measuring input level on the microphone stream
+ * Sends RMS and peak (0..1, linear) to the sidebar as AUDIO_LEVEL messages.
+ * @param {MediaStream} stream
+ */
+function startLevelMeter(stream) {
+  stopLevelMeter();
+
+  try {
+    audioContext = new AudioContext();
+    const source = audioContext.createMediaStreamSource(stream);
+    levelAnalyser = audioContext.createAnalyser();
+    levelAnalyser.fftSize = 2048;
+    source.connect(levelAnalyser);
+
+    const samples = new Float32Array(levelAnalyser.fftSize);
+
+    levelTimer = setInterval(() => {
+      if (!levelAnalyser || audioContext.state !== 'running') return;
+
+      levelAnalyser.getFloatTimeDomainData(samples);
+
+      let sumSquares = 0;
+      let peak = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        sumSquares += value * value;
+        if (value > peak) peak = value;
+      }
+
+      const rms = Math.sqrt(sumSquares / samples.length);
+      trackSilence(rms);
+
+      // Metering keeps running during a silence pause (to notice the vet is back),
+      // but the waveform only needs levels while audio is being captured
+      if (activeSegment?.recorder.state === 'paused') return;
+
+      chrome.runtime.sendMessage({
+        type: 'AUDIO_LEVEL',
+        level: {
+          rms,
+          peak,
+          timestamp: Date.now()
+        }
+      }).catch(() => {
+        // Sidebar closed - nothing is listening
       });
+    }, LEVEL_INTERVAL);
+
+    console.log('📈 Input level meter started');
+  } catch (error) {
+    // Metering is a diagnostic aid - never fail the recording because of it
+    console.warn('⚠️ Could not start level meter:', error);
+  }
+}
+
+/**
+ * Detect sustained silence and the end of it
+ * Sends SILENCE_DETECTED once the input has stayed below the threshold for the
+ * configured duration, and SILENCE_ENDED when sound comes back afterwards.
+ * @param {number} rms - Current input level (linear 0..1)
+ */
+function trackSilence(rms) {
+  if (!silenceSettings) return;
+
+  const now = Date.now();
+
+  if (rms < silenceSettings.threshold) {
+    silentSince = silentSince || now;
+
+    if (!silenceReported && now - silentSince >= silenceSettings.durationMs) {
+      silenceReported = true;
+      console.log(`🔇 Sustained silence detected (${Math.round((now - silentSince) / 1000)}s)`);
+      chrome.runtime.sendMessage({
+        type: 'SILENCE_DETECTED',
+        silentSince,
+        silentForMs: now - silentSince
+      }).catch(() => {});
+    }
+    return;
+  }
+
+  if (silenceReported) {
+    console.log('🔊 Sound detected after silence');
+    chrome.runtime.sendMessage({
+      type: 'SILENCE_ENDED',
+      silentSince,
+      silentForMs: now - silentSince
+    }).catch(() => {});
+  }
 
+  silentSince = null;
+  silenceReported = false;
+}
+
+/**
+ * Stop input level metering and release the audio context
+ */
+function stopLevelMeter() {
+  if (levelTimer) {
+    clearInterval(levelTimer);
+    levelTimer = null;
+  }
+  if (audioContext) {
+    audioContext.close().catch(() => {});
+    audioContext = null;
+  }
+  levelAnalyser = null;
+}
+
+/**
+ * Hand a finished chunk to the side panel
+ * The Blob is written straight into the shared ChunkStore (IndexedDB is shared
+ * by all extension pages), so only a small notification crosses runtime
+ * messaging - no base64 encoding and no copy of the audio through background.js.
+ * Falls back to the legacy base64 payload if IndexedDB is unavailable.
+ * @param {Blob} blob
+ * @param {number} number - Chunk number
+ * @param {object} meta - { duration, gaps, timing } (see finishSegment)
+ * @returns {Promise<void>}
+ */
+async function emitChunk(blob, number, meta) {
+  const chunk = {
+    sessionId,
+    mimeType: blob.type,
+    duration: meta.duration,
+    chunkNumber: number,
+    size: blob.size,
+    gaps: meta.gaps,
+    timing: meta.timing
+  };
+
+  try {
+    if (!sessionId) {
+      throw new Error('No session ID for chunk store');
+    }
+
+    await ChunkStore.putChunk({
+      sessionId,
+      chunkNumber: number,
+      blob,
+      duration: meta.duration,
+      gaps: meta.gaps,
+      timing: meta.timing
+    });
+
+    chrome.runtime.sendMessage({
+      type: 'AUDIO_CHUNK',
+      chunk: { ...chunk, stored: true }
+    });
+  } catch (error) {
+    console.warn(`⚠️ Chunk store unavailable, sending chunk ${number} inline:`, error);
+
+    const dataUrl = await new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onloadend = () => {
-        const base64data = reader.result.split(',')[1];
-
-        chrome.runtime.sendMessage({
-          type: 'AUDIO_CHUNK',
-          chunk: {
-            data: base64data,
-            mimeType: combinedBlob.type,
-            duration: durationInSeconds,
-            chunkNumber: chunkNumber,
-            size: combinedBlob.size
-          }
-        });
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
 
-        chunkNumber++;
-        currentChunks = [];
-      };
-      reader.readAsDataURL(combinedBlob);
+    chrome.runtime.sendMessage({
+      type: 'AUDIO_CHUNK',
+      chunk: { ...chunk, data: dataUrl.split(',')[1] }
+    });
+  }
+}
+
+/**
+ * Start a new segment (one MediaRecorder = one standalone chunk file)
+ * @param {string} mimeType
+ * @returns {object} segment
+ */
+function startSegment(mimeType) {
+  const recorder = new MediaRecorder(audioStream, {
+    mimeType,
+    audioBitsPerSecond: recordingSettings.audioBitsPerSecond
+  });
+
+  const segment = {
+    recorder,
+    mimeType,
+    number: chunkNumber++,
+    fragments: [],
+    startedAt: Date.now(),
+    stoppedAt: null,
+    previousStoppedAt: null, // When the previous chunk's recorder stopped (overlap end)
+    gaps: [],                // [{ offset, duration, reason }] paused stretches, in seconds
+    pauseStartedAt: null,
+    pauseOffset: 0,          // Recorded seconds into the chunk when the pause began
+    pauseReason: null,
+    recorderStopped: false   // Native stop event fired (the final dataavailable came before it)
+  };
+
+  recorder.addEventListener('stop', () => {
+    segment.recorderStopped = true;
+  });
+
+  // Collect Blob fragments for this chunk
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      console.log(`📦 Blob fragment received for chunk ${segment.number}: ${event.data.size} bytes`);
+      segment.fragments.push(event.data);
     }
   };
 
+  // Capture actually began - use this for the chunk's start offset
+  recorder.onstart = () => {
+    segment.startedAt = Date.now();
+  };
+
   // Handle errors
   recorder.onerror = (event) => {
     console.error('❌ MediaRecorder error:', event.error);
@@ -130,13 +450,234 @@ function setupRecorderHandlers(recorder, mimeType) {
       error: event.error.message
     });
   };
+
+  // Start recording WITHOUT timeslice (webapp pattern)
+  recorder.start();
+  return segment;
+}
+
+/**
+ * Close the segment's open pause (if any) as a gap
+ * @param {object} segment
+ * @param {number} endTime
+ */
+function closePauseGap(segment, endTime) {
+  if (!segment.pauseStartedAt) return;
+
+  segment.gaps.push({
+    offset: segment.pauseOffset,
+    duration: (endTime - segment.pauseStartedAt) / 1000,
+    reason: segment.pauseReason || 'manual'
+  });
+  segment.pauseStartedAt = null;
+  segment.pauseReason = null;
+}
+
+/**
+ * Start the continuous archive recorder for this capture
+ * Its timeslice fragments concatenate into one valid file, unlike the chunks.
+ * Archiving is best effort - a failure here never affects the recording.
+ * @param {string} mimeType
+ */
+function startArchiveRecorder(mimeType) {
+  const archiveSessionId = sessionId;
+  const part = Date.now();
+  let seq = 0;
+
+  try {
+    archiveRecorder = new MediaRecorder(audioStream, {
+      mimeType,
+      audioBitsPerSecond: recordingSettings.audioBitsPerSecond
+    });
+
+    archiveRecorder.ondataavailable = (event) => {
+      if (!event.data || event.data.size === 0) return;
+
+      const fragment = { sessionId: archiveSessionId, part, seq: seq++, blob: event.data };
+      archiveWrites = archiveWrites
+        .then(() => AudioArchive.appendFragment(fragment))
+        .catch(error => console.warn('⚠️ Failed to archive audio fragment:', error));
+    };
+
+    archiveRecorder.start(ARCHIVE_TIMESLICE_MS);
+    console.log('🗄️ Local audio archive recording');
+  } catch (error) {
+    console.warn('⚠️ Could not start archive recorder:', error);
+    archiveRecorder = null;
+  }
+}
+
+/**
+ * Stop the archive recorder and wait for its last fragment to be written
+ * @returns {Promise<void>}
+ */
+function stopArchiveRecorder() {
+  const recorder = archiveRecorder;
+  archiveRecorder = null;
+
+  if (!recorder || recorder.state === 'inactive') {
+    return archiveWrites;
+  }
+
+  return new Promise((resolve) => {
+    recorder.onstop = () => archiveWrites.then(resolve);
+    recorder.stop();
+  });
+}
+
+/**
+ * Stop a segment and hand its audio over as a chunk
+ * Duration excludes paused time; the paused stretches go along as gaps. Timing
+ * is relative to the start of capture: startOffset/endOffset place the chunk on
+ * the timeline and overlap is how many seconds at its start were also recorded
+ * at the end of the previous chunk, so the server can trim them deterministically.
+ * Safe to call twice - the second call resolves immediately.
+ * @param {object} segment
+ * @returns {Promise<void>} Resolves once the chunk has been emitted
+ */
+function finishSegment(segment) {
+  if (segment.stoppedAt) {
+    return Promise.resolve();
+  }
+
+  const stoppedAt = Date.now();
+  segment.stoppedAt = stoppedAt;
+
+  return new Promise((resolve) => {
+    let emitted = false;
+
+    const emit = () => {
+      // The native stop event and the safety timer below may both get here
+      if (emitted) return;
+      emitted = true;
+
+      if (segment.fragments.length === 0) {
+        console.warn(`⚠️ No audio data recorded in chunk ${segment.number}`);
+        resolve();
+        return;
+      }
+
+      const combinedBlob = new Blob(segment.fragments, {
+        type: segment.fragments[0]?.type || segment.mimeType
+      });
+
+      closePauseGap(segment, stoppedAt);
+      const skipped = segment.gaps.reduce((total, gap) => total + gap.duration, 0);
+      const duration = Math.max(0, (stoppedAt - segment.startedAt) / 1000 - skipped);
+      const timing = {
+        startOffset: (segment.startedAt - captureStartTime) / 1000,
+        endOffset: (stoppedAt - captureStartTime) / 1000,
+        captureId: captureStartTime,
+        overlap: segment.previousStoppedAt
+          ? Math.max(0, (segment.previousStoppedAt - segment.startedAt) / 1000)
+          : 0
+      };
+
+      console.log(`✅ Complete chunk ${segment.number} ready:`, {
+        fragments: segment.fragments.length,
+        totalSize: combinedBlob.size,
+        duration,
+        gaps: segment.gaps.length,
+        overlap: timing.overlap,
+        type: combinedBlob.type
+      });
+
+      emitChunk(combinedBlob, segment.number, { duration, gaps: segment.gaps, timing })
+        .catch(error => console.error(`❌ Failed to emit chunk ${segment.number}:`, error))
+        .finally(resolve);
+    };
+
+    if (segment.recorder.state !== 'inactive') {
+      segment.recorder.onstop = emit;
+      segment.recorder.stop();
+    } else if (segment.recorderStopped) {
+      emit();
+    } else {
+      // The recorder went inactive by itself (track ended) - its last
+      // dataavailable and stop event are still queued, so wait for them
+      segment.recorder.onstop = emit;
+      setTimeout(emit, STOP_EVENT_TIMEOUT);
+    }
+  });
+}
+
+/**
+ * Finish the previous segment if it is still inside its overlap window
+ * @returns {Promise<void>}
+ */
+function finishClosingSegment() {
+  const previous = closingSegment;
+  if (!previous) {
+    return Promise.resolve();
+  }
+
+  closingSegment = null;
+  const finished = finishSegment(previous);
+
+  if (activeSegment) {
+    activeSegment.previousStoppedAt = previous.stoppedAt;
+  }
+
+  return finished;
+}
+
+/**
+ * Open the microphone stream
+ * Uses the saved device when it is connected, otherwise falls back to the
+ * system default and reports the fallback so the sidebar can tell the vet.
+ * @param {string|null} deviceId - Preferred input device
+ * @returns {Promise<{stream: MediaStream, deviceFallback: boolean}>}
+ */
+async function openMicrophone(deviceId) {
+  const audioConstraints = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    sampleRate: 48000
+  };
+
+  if (deviceId) {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const isConnected = devices.some(device => device.kind === 'audioinput' && device.deviceId === deviceId);
+
+    if (isConnected) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: { ...audioConstraints, deviceId: { exact: deviceId } }
+        });
+        return { stream, deviceFallback: false };
+      } catch (error) {
+        if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError' && error.name !== 'NotReadableError') {
+          throw error;
+        }
+        console.warn('⚠️ Preferred microphone failed, using default:', error.name);
+      }
+    } else {
+      console.warn('⚠️ Preferred microphone not connected, using default');
+    }
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+  return { stream, deviceFallback: !!deviceId };
 }
 
 /**
  * Start audio recording
+ * @param {object} options - { sessionId, startChunkNumber, deviceId, silence, recording, archive, recordedMs } (startChunkNumber continues numbering within an existing session; silence is { threshold, durationMs } or null; recording is { chunkDurationMs, audioBitsPerSecond, mimeType }; archive turns on the local full-length copy; recordedMs is the time earlier captures of the session already recorded)
  */
-async function startRecording() {
+async function startRecording(options = {}) {
   try {
+    // A restart after a lost capture may find leftovers - finish them first
+    if (activeSegment || audioStream) {
+      console.warn('⚠️ Recorder still has an open capture, stopping it before starting again');
+      await stopRecording();
+    }
+
+    sessionId = options.sessionId || null;
+    silenceSettings = options.silence || null;
+    silentSince = null;
+    silenceReported = false;
+
     console.log('🎤 Requesting microphone access...');
     console.log('🔍 Checking if getUserMedia is available...');
     console.log('🔍 navigator.mediaDevices:', navigator.mediaDevices);
@@ -160,46 +701,48 @@ async function startRecording() {
       // Continue anyway, getUserMedia will show the prompt
     }
 
-    // Request microphone access
+    // Request microphone access (preferred device if it's still connected)
     console.log('📞 Calling getUserMedia...');
-    audioStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        sampleRate: 48000
-      }
-    });
-
-    console.log('✅ Microphone access granted');
+    const { stream, deviceFallback } = await openMicrophone(options.deviceId);
+    audioStream = stream;
 
-    const mimeType = getSupportedMimeType();
+    const activeTrack = audioStream.getAudioTracks()[0];
+    console.log('✅ Microphone access granted:', activeTrack?.label);
 
-    mediaRecorder = new MediaRecorder(audioStream, {
-      mimeType,
-      audioBitsPerSecond: 128000
-    });
+    if (activeTrack) {
+      activeTrack.onended = () => handleCaptureLost('Microphone disconnected');
+    }
 
-    chunkNumber = 0;
-    currentChunks = [];
-    chunkStartTime = Date.now();
+    startLevelMeter(audioStream);
 
-    // Setup event handlers (centralized function)
-    setupRecorderHandlers(mediaRecorder, mimeType);
+    recordingSettings = resolveRecordingSettings(options.recording);
+    const { mimeType, chunkDurationMs } = recordingSettings;
 
-    // Start recording WITHOUT timeslice (webapp pattern)
-    mediaRecorder.start();
-    console.log(`✅ Recording started (continuous, manual ${chunkDuration}ms chunks)`);
+    chunkNumber = options.startChunkNumber || 0;
+    captureStartTime = Date.now();
+    recordedBaseMs = options.recordedMs || 0;
+    clockElapsedMs = 0;
+    clockRunningSince = captureStartTime;
+    closingSegment = null;
+    activeSegment = startSegment(mimeType);
+    if (options.archive && sessionId) {
+      startArchiveRecorder(mimeType);
+    }
+    console.log(`✅ Recording started (${chunkDurationMs}ms chunks, ${CHUNK_OVERLAP_MS}ms overlap, ${recordingSettings.audioBitsPerSecond}bps)`);
 
-    // Start manual chunk timer (webapp pattern)
-    chunkTimer = setInterval(() => {
-      console.log('⏰ Chunk timer triggered - swapping recorder');
-      swapRecorder(mimeType);
-    }, chunkDuration);
+    startChunkTimer(chunkDurationMs);
 
     return {
       success: true,
-      mimeType
+      mimeType,
+      deviceLabel: activeTrack?.label || '',
+      deviceFallback,
+      archiving: !!archiveRecorder,
+      recording: {
+        ...recordingSettings,
+        // What the encoder actually settled on (browsers may round the request)
+        audioBitsPerSecond: activeSegment.recorder.audioBitsPerSecond || recordingSettings.audioBitsPerSecond
+      }
     };
 
   } catch (error) {
@@ -228,8 +771,52 @@ async function startRecording() {
   }
 }
 
+/**
+ * Rotate to a new segment every chunkDurationMs (webapp pattern: manual chunk timer)
+ * @param {number} chunkDurationMs
+ */
+function startChunkTimer(chunkDurationMs) {
+  if (chunkTimer) {
+    clearInterval(chunkTimer);
+  }
+
+  chunkTimer = setInterval(() => {
+    if (activeSegment?.recorder.state === 'paused') {
+      // Nothing is being captured - keep the chunk open until recording resumes
+      return;
+    }
+    console.log('⏰ Chunk timer triggered - rotating recorder');
+    rotateSegment();
+  }, chunkDurationMs);
+}
+
+/**
+ * Apply changed chunk duration and bitrate to the running capture
+ * The current chunk finishes as it is; the next one uses the new settings. The
+ * format stays the same for the whole session.
+ * @param {object} requested - { chunkDurationMs, audioBitsPerSecond }
+ * @returns {{success: boolean, recording?: object, error?: string}}
+ */
+function updateRecordingSettings(requested = {}) {
+  if (!activeSegment || !recordingSettings) {
+    return { success: false, error: 'Not recording' };
+  }
+
+  const previous = recordingSettings;
+  recordingSettings = resolveRecordingSettings({ ...requested, mimeType: previous.mimeType });
+
+  if (recordingSettings.chunkDurationMs !== previous.chunkDurationMs) {
+    startChunkTimer(recordingSettings.chunkDurationMs);
+  }
+
+  console.log(`🎚️ Recording settings updated (${recordingSettings.chunkDurationMs}ms chunks, ${recordingSettings.audioBitsPerSecond}bps) - applies from the next chunk`);
+  return { success: true, recording: recordingSettings };
+}
+
 /**
  * Stop recording
+ * Finishes the segment still in its overlap window (if any) and the active one,
+ * and resolves once both chunks have been handed over.
  */
 async function stopRecording() {
   // Clear chunk timer first
@@ -239,108 +826,62 @@ async function stopRecording() {
     console.log('⏱️ Chunk timer cleared');
   }
 
-  // Wait for any pending swap to complete
-  let waitCount = 0;
-  while (isSwapping && waitCount < 20) {  // Max 2 seconds
-    console.log('⏳ Waiting for recorder swap to complete...');
-    await new Promise(resolve => setTimeout(resolve, 100));
-    waitCount++;
-  }
+  console.log('🛑 Stopping recording...');
 
-  if (isSwapping) {
-    console.warn('⚠️ Swap still in progress, forcing stop');
+  const closing = finishClosingSegment();
+  const active = activeSegment;
+  activeSegment = null;
+
+  if (active) {
+    await Promise.all([closing, finishSegment(active)]);
+    console.log('✅ Final chunk sent, cleaning up');
+  } else {
+    await closing;
   }
 
-  return new Promise((resolve) => {
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-      console.log('🛑 Stopping recording...');
-
-      mediaRecorder.onstop = () => {
-        console.log('✅ Recording stopped, processing final chunk');
-
-        // CRITICAL: Process any remaining audio in currentChunks
-        if (currentChunks.length > 0) {
-          const mimeType = currentChunks[0]?.type || 'audio/webm;codecs=opus';
-          const combinedBlob = new Blob(currentChunks, { type: mimeType });
-          const durationInSeconds = (Date.now() - chunkStartTime) / 1000;
-
-          console.log(`📦 Final chunk ${chunkNumber} ready:`, {
-            fragments: currentChunks.length,
-            totalSize: combinedBlob.size,
-            duration: durationInSeconds,
-            type: combinedBlob.type
-          });
-
-          const reader = new FileReader();
-          reader.onloadend = () => {
-            const base64data = reader.result.split(',')[1];
-
-            chrome.runtime.sendMessage({
-              type: 'AUDIO_CHUNK',
-              chunk: {
-                data: base64data,
-                mimeType: combinedBlob.type,
-                duration: durationInSeconds,
-                chunkNumber: chunkNumber,
-                size: combinedBlob.size
-              }
-            });
-
-            console.log('✅ Final chunk sent, cleaning up');
-
-            // Now clean up
-            if (audioStream) {
-              audioStream.getTracks().forEach(track => track.stop());
-              audioStream = null;
-            }
-
-            mediaRecorder = null;
-            chunkNumber = 0;
-            currentChunks = [];
-            isSwapping = false;
-
-            resolve({ success: true });
-          };
-          reader.readAsDataURL(combinedBlob);
-        } else {
-          console.warn('⚠️ No audio data recorded in final chunk');
-
-          // Clean up anyway
-          if (audioStream) {
-            audioStream.getTracks().forEach(track => track.stop());
-            audioStream = null;
-          }
-
-          mediaRecorder = null;
-          chunkNumber = 0;
-          currentChunks = [];
-          isSwapping = false;
-
-          resolve({ success: true });
-        }
-      };
+  await stopArchiveRecorder();
+  stopClock();
 
-      mediaRecorder.stop();
-    } else {
-      // Stop all audio tracks even if recorder inactive
-      if (audioStream) {
-        audioStream.getTracks().forEach(track => track.stop());
-        audioStream = null;
-      }
+  // Stop all audio tracks
+  if (audioStream) {
+    audioStream.getTracks().forEach(track => track.stop());
+    stopLevelMeter();
+    audioStream = null;
+  }
 
-      isSwapping = false;
-      resolve({ success: true });
-    }
-  });
+  chunkNumber = 0;
+  isSwapping = false;
+
+  return { success: true, recordedMs: getRecordedMs() };
 }
 
 /**
  * Pause recording
+ * @param {string} reason - 'manual' (vet pressed pause) or 'silence' (room went quiet)
  */
-function pauseRecording() {
-  if (mediaRecorder && mediaRecorder.state === 'recording') {
-    mediaRecorder.pause();
-    console.log('⏸️ Recording paused');
+function pauseRecording(reason = 'manual') {
+  if (activeSegment && activeSegment.recorder.state === 'recording') {
+    // Mid-boundary: close the previous chunk now rather than pausing two recorders
+    finishClosingSegment();
+
+    const now = Date.now();
+    const skippedSoFar = activeSegment.gaps.reduce((total, gap) => total + gap.duration, 0);
+
+    activeSegment.recorder.pause();
+    activeSegment.pauseStartedAt = now;
+    activeSegment.pauseOffset = Math.max(0, (now - activeSegment.startedAt) / 1000 - skippedSoFar);
+    activeSegment.pauseReason = reason;
+    stopClock();
+
+    if (archiveRecorder?.state === 'recording') {
+      archiveRecorder.pause();
+    }
+
+    // Keep metering through a silence pause so we can tell when the vet is back
+    if (reason !== 'silence') {
+      audioContext?.suspend();
+    }
+    console.log(`⏸️ Recording paused (${reason})`);
   }
 }
 
@@ -348,60 +889,51 @@ function pauseRecording() {
  * Resume recording
  */
 function resumeRecording() {
-  if (mediaRecorder && mediaRecorder.state === 'paused') {
-    mediaRecorder.resume();
+  if (activeSegment && activeSegment.recorder.state === 'paused') {
+    activeSegment.recorder.resume();
+    closePauseGap(activeSegment, Date.now());
+    clockRunningSince = Date.now();
+
+    if (archiveRecorder?.state === 'paused') {
+      archiveRecorder.resume();
+    }
+    silentSince = null;
+    silenceReported = false;
+    audioContext?.resume();
     console.log('▶️ Recording resumed');
   }
 }
 
 /**
- * Swap recorder to create chunk boundary (webapp pattern)
- * Stops current recorder → waits → starts new recorder
+ * Create a chunk boundary without losing audio
+ * Starts the next segment first and only stops the current one after
+ * CHUNK_OVERLAP_MS, so both recorders capture the boundary instead of neither
+ * (the old stop → wait → start swap dropped ~200ms every chunk).
  */
-async function swapRecorder(mimeType) {
-  if (!mediaRecorder || mediaRecorder.state === 'inactive') {
-    console.warn('⚠️ Cannot swap recorder - not active');
+async function rotateSegment() {
+  if (!activeSegment || activeSegment.recorder.state !== 'recording') {
+    console.warn('⚠️ Cannot rotate recorder - not recording');
     return;
   }
 
   if (isSwapping) {
-    console.warn('⚠️ Already swapping recorder, skipping');
+    console.warn('⚠️ Already rotating recorder, skipping');
     return;
   }
 
   isSwapping = true;
-  console.log('🔄 Swapping recorder to create chunk boundary');
+  console.log('🔄 Rotating recorder to create chunk boundary');
 
   try {
-    // Stop current recorder (this will trigger onstop → chunk processing)
-    mediaRecorder.stop();
-
-    // Wait for stop to process completely and chunk to upload
-    await new Promise(resolve => setTimeout(resolve, 200));
-
-    // Check if we're still recording (not stopped by user)
-    if (!audioStream) {
-      console.log('⚠️ Stream closed, aborting swap');
-      isSwapping = false;
-      return;
-    }
-
-    // Start new recorder for next chunk
-    mediaRecorder = new MediaRecorder(audioStream, {
-      mimeType,
-      audioBitsPerSecond: 128000
-    });
-
-    // Reset chunk collection
-    currentChunks = [];
-    chunkStartTime = Date.now();
+    const previous = activeSegment;
+    activeSegment = startSegment(previous.mimeType);
+    closingSegment = previous;
 
-    // Setup event handlers (centralized function)
-    setupRecorderHandlers(mediaRecorder, mimeType);
+    await new Promise(resolve => setTimeout(resolve, CHUNK_OVERLAP_MS));
 
-    // Start recording again (continuous, no timeslice)
-    mediaRecorder.start();
-    console.log('✅ New recorder started for next chunk');
+    // A pause or stop during the overlap already finished the previous segment
+    await finishClosingSegment();
+    console.log(`✅ Chunk ${previous.number} closed, chunk ${activeSegment?.number} recording`);
   } finally {
     isSwapping = false;
   }
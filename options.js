@@ -0,0 +1,135 @@
+console.log('⚙️ Options page loaded');
+
+const statusDiv = document.getElementById('status');
+const templateSelect = document.getElementById('defaultTemplateSelect');
+const templateHint = document.getElementById('templateHint');
+const micSelect = document.getElementById('micSelect');
+const chunkDurationSelect = document.getElementById('chunkDurationSelect');
+
+// Selects bound straight to a SettingsStore key ('' = clinic default)
+const settingSelects = [...document.querySelectorAll('select[data-setting]')];
+
+function showStatus(message, type = 'info') {
+  statusDiv.innerHTML = '';
+  const p = document.createElement('p');
+  p.className = `status-${type}`;
+  p.textContent = message;
+  statusDiv.appendChild(p);
+}
+
+/**
+ * Turn a select value back into the setting's type
+ * @param {string} key - SettingsStore key
+ * @param {string} value
+ * @returns {*} null for "Clinic default"
+ */
+function parseSetting(key, value) {
+  if (value === '') return null;
+  return SettingsStore.SCHEMA[key].type === 'boolean' ? value === 'true' : value;
+}
+
+/**
+ * Label the "Clinic default" option with what that default currently is
+ * @param {HTMLSelectElement} select
+ * @param {*} clinicValue
+ */
+function labelClinicDefault(select, clinicValue) {
+  const option = [...select.options].find(item => item.value === String(clinicValue));
+  select.options[0].textContent = option
+    ? `Clinic default - ${option.textContent}`
+    : 'Clinic default';
+}
+
+// Templates need the vet's account - without it only the current choice is kept
+async function renderTemplates(overrides, clinic) {
+  templateSelect.innerHTML = '';
+
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    templateSelect.appendChild(option);
+  };
+
+  addOption('', 'Clinic default');
+  addOption(SettingsStore.NO_TEMPLATE, 'No template');
+
+  let templates = [];
+  if (await TokenManager.isAuthenticated()) {
+    const result = await TemplateService.getTemplatesWithCache();
+    if (result.success) {
+      templates = result.templates || [];
+    } else {
+      console.error('❌ Failed to load templates:', result.error);
+    }
+    templateHint.textContent = result.success ? '' : 'Could not load your templates - try again later.';
+  } else {
+    templateHint.textContent = 'Sign in from the side panel to choose from your templates.';
+  }
+
+  templates.forEach(template => addOption(template.id, template.name));
+
+  const current = overrides.defaultTemplateId;
+  if (current && current !== SettingsStore.NO_TEMPLATE && !templates.some(template => template.id === current)) {
+    addOption(current, 'Saved template (not available)');
+  }
+
+  const clinicTemplate = templates.find(template => template.id === clinic.defaultTemplateId);
+  templateSelect.options[0].textContent = `Clinic default - ${clinicTemplate ? clinicTemplate.name : 'No template'}`;
+
+  templateSelect.value = current || '';
+}
+
+async function render() {
+  const [overrides, clinic, recording] = await Promise.all([
+    SettingsStore.getOverrides(),
+    SettingsStore.getClinicDefaults(),
+    RecordingPreferences.getOverrides()
+  ]);
+
+  settingSelects.forEach(select => {
+    const key = select.dataset.setting;
+    labelClinicDefault(select, clinic[key]);
+    select.value = overrides[key] === undefined ? '' : String(overrides[key]);
+  });
+
+  chunkDurationSelect.value = recording.chunkDurationMs ? String(recording.chunkDurationMs) : '';
+
+  await Promise.all([
+    renderTemplates(overrides, clinic),
+    MicrophonePreferences.populateSelect(micSelect)
+  ]);
+}
+
+settingSelects.forEach(select => {
+  select.addEventListener('change', async () => {
+    const key = select.dataset.setting;
+    const saved = await SettingsStore.set({ [key]: parseSetting(key, select.value) });
+    showStatus(saved ? 'Saved' : 'Could not save that setting', saved ? 'info' : 'error');
+  });
+});
+
+templateSelect.addEventListener('change', async () => {
+  const saved = await SettingsStore.set({ defaultTemplateId: parseSetting('defaultTemplateId', templateSelect.value) });
+  showStatus(saved ? 'Saved' : 'Could not save that setting', saved ? 'info' : 'error');
+});
+
+micSelect.addEventListener('change', async () => {
+  const option = micSelect.options[micSelect.selectedIndex];
+  const saved = await MicrophonePreferences.setPreferred(micSelect.value, option?.textContent || '');
+  showStatus(saved ? 'Saved' : 'Could not save that setting', saved ? 'info' : 'error');
+});
+
+chunkDurationSelect.addEventListener('change', async () => {
+  const saved = await RecordingPreferences.set({
+    chunkDurationMs: chunkDurationSelect.value ? Number(chunkDurationSelect.value) : null
+  });
+  showStatus(saved ? 'Saved' : 'Could not save that setting', saved ? 'info' : 'error');
+});
+
+// Refresh microphone list when devices are plugged in or removed
+navigator.mediaDevices?.addEventListener('devicechange', () => {
+  MicrophonePreferences.populateSelect(micSelect);
+});
+
+EnvironmentProfiles.apply().then(render);
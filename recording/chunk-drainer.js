@@ -0,0 +1,117 @@
+// Chunk Drainer
+// Runs in the background service worker and uploads chunks left behind in
+// ChunkStore by a side panel that closed, crashed or lost its connection.
+
+class ChunkDrainer {
+  static isDraining = false;
+
+  /**
+   * Upload every pending chunk for sessions no recorder is currently working on
+   * @returns {Promise<{success: boolean, uploaded: number, remaining: number}>}
+   */
+  static async drain() {
+    if (this.isDraining) {
+      console.log('ℹ️ Chunk drain already in progress');
+      return { success: true, uploaded: 0, remaining: 0 };
+    }
+
+    this.isDraining = true;
+    let uploaded = 0;
+    let remaining = 0;
+
+    try {
+      await ChunkStore.purgeUploaded().catch(error => console.warn('⚠️ Failed to purge uploaded chunk copies:', error));
+
+      const sessionIds = await ChunkStore.getPendingSessionIds();
+
+      if (sessionIds.length === 0) {
+        return { success: true, uploaded, remaining };
+      }
+
+      console.log(`🚰 Draining chunks for ${sessionIds.length} session(s)...`);
+
+      for (const sessionId of sessionIds) {
+        const result = await this.drainSession(sessionId);
+        uploaded += result.uploaded;
+        remaining += result.remaining;
+      }
+
+      console.log(`✅ Chunk drain finished: ${uploaded} uploaded, ${remaining} still pending`);
+      return { success: true, uploaded, remaining };
+
+    } catch (error) {
+      console.error('❌ Chunk drain failed:', error);
+      return { success: false, uploaded, remaining, error: error.message };
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Upload one session's pending chunks in order, stopping at the first failure
+   * @param {string} sessionId
+   * @returns {Promise<{uploaded: number, remaining: number}>}
+   */
+  static async drainSession(sessionId) {
+    const session = await ChunkStore.getSession(sessionId);
+    const chunks = await ChunkStore.getChunks(sessionId);
+
+    if (!session || !session.recordingToken) {
+      console.warn('⚠️ No recording token for session, cannot drain:', sessionId);
+      return { uploaded: 0, remaining: chunks.length };
+    }
+
+    // Recorded against another environment - keep it until that one is selected again
+    if (!ChunkStore.belongsToBackend(session)) {
+      console.log(`ℹ️ Session belongs to ${session.backendUrl || 'production'}, not ${CONFIG.BACKEND_URL} - skipping:`, sessionId);
+      return { uploaded: 0, remaining: chunks.length };
+    }
+
+    const owner = ChunkStore.LEASE_OWNERS.DRAINER;
+    if (!await ChunkStore.tryClaimLease(sessionId, owner)) {
+      console.log('ℹ️ Session is owned by an active recorder, skipping:', sessionId);
+      return { uploaded: 0, remaining: chunks.length };
+    }
+
+    let uploaded = 0;
+
+    for (const chunk of chunks) {
+      // A recorder that picked the session up again takes over from here
+      if (!await ChunkStore.tryClaimLease(sessionId, owner)) {
+        console.log(`ℹ️ Recorder took over session ${sessionId}, drain stopped at chunk ${chunk.chunkNumber}`);
+        break;
+      }
+
+      const result = await RecordingService.uploadChunk(
+        sessionId,
+        chunk.blob,
+        chunk.chunkNumber,
+        chunk.duration,
+        session.recordingToken,
+        { gaps: chunk.gaps || [], timing: chunk.timing || null, checksum: chunk.checksum || null }
+      );
+
+      if (!result.success) {
+        console.warn(`⚠️ Drain stopped at chunk ${chunk.chunkNumber} of session ${sessionId}:`, result.error);
+        break;
+      }
+
+      await ChunkStore.markUploaded(sessionId, chunk.chunkNumber, session.recordingToken);
+      uploaded++;
+    }
+
+    await ChunkStore.releaseLease(sessionId, owner);
+
+    const remaining = chunks.length - uploaded;
+    if (remaining === 0) {
+      await ChunkStore.removeSession(sessionId);
+    }
+
+    return { uploaded, remaining };
+  }
+}
+
+// Make ChunkDrainer available globally
+if (typeof window !== 'undefined') {
+  window.ChunkDrainer = ChunkDrainer;
+}
@@ -5,7 +5,11 @@ class MediaRecorderService {
   constructor() {
     console.log('🎤 MediaRecorderService constructor - VERSION 2.0 (OFFSCREEN)');
     this.chunkCallback = null;
+    this.levelCallback = null; // Receives { rms, peak, timestamp } from the offscreen level meter
+    this.silenceCallback = null; // Receives { state: 'detected'|'ended', silentSince, silentForMs }
+    this.captureLostCallback = null; // Receives { sessionId, reason, recordedMs } when capture ends without a stop request
     this.isActive = false;
+    this.isPausedState = false;
     this.setupMessageListener();
   }
 
@@ -14,6 +18,35 @@ class MediaRecorderService {
    */
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'AUDIO_LEVEL') {
+        if (this.isActive && this.levelCallback) {
+          this.levelCallback(message.level);
+        }
+        return;
+      }
+
+      if (message.type === 'SILENCE_DETECTED' || message.type === 'SILENCE_ENDED') {
+        if (this.isActive && this.silenceCallback) {
+          this.silenceCallback({
+            state: message.type === 'SILENCE_DETECTED' ? 'detected' : 'ended',
+            silentSince: message.silentSince,
+            silentForMs: message.silentForMs
+          });
+        }
+        return;
+      }
+
+      if (message.type === 'CAPTURE_STOPPED') {
+        if (this.isActive && this.captureLostCallback) {
+          this.captureLostCallback({
+            sessionId: message.sessionId,
+            reason: message.reason,
+            recordedMs: message.recordedMs
+          });
+        }
+        return;
+      }
+
       // DEBUG: Log ALL messages to understand sender
       if (message.type === 'AUDIO_CHUNK') {
         console.log(`🔍 DEBUG SENDER:`, sender);
@@ -27,22 +60,7 @@ class MediaRecorderService {
         console.log(`🔍 DEBUG: chunkCallback type:`, typeof this.chunkCallback);
 
         if (this.chunkCallback) {
-          console.log(`🔍 DEBUG: About to call chunkCallback...`);
-          // Convert base64 back to Blob
-          const byteCharacters = atob(message.chunk.data);
-          const byteNumbers = new Array(byteCharacters.length);
-          for (let i = 0; i < byteCharacters.length; i++) {
-            byteNumbers[i] = byteCharacters.charCodeAt(i);
-          }
-          const byteArray = new Uint8Array(byteNumbers);
-          const blob = new Blob([byteArray], { type: message.chunk.mimeType });
-
-          this.chunkCallback(
-            blob,
-            message.chunk.duration,
-            message.chunk.chunkNumber
-          );
-          console.log(`🔍 DEBUG: chunkCallback completed for chunk ${message.chunk.chunkNumber}`);
+          this.deliverChunk(message.chunk);
         } else {
           console.error(`❌ ERROR: chunkCallback is NULL for chunk ${message.chunk.chunkNumber}!`);
         }
@@ -56,6 +74,49 @@ class MediaRecorderService {
     });
   }
 
+  /**
+   * Resolve the chunk's audio and pass it to the chunk callback
+   * Offscreen normally writes the Blob to ChunkStore and only sends metadata;
+   * inline base64 data is the fallback when IndexedDB was unavailable there.
+   * @param {object} chunk - AUDIO_CHUNK payload
+   */
+  async deliverChunk(chunk) {
+    const callback = this.chunkCallback;
+    let blob;
+    let checksum = null;
+
+    if (chunk.stored) {
+      const stored = await ChunkStore.getChunk(chunk.sessionId, chunk.chunkNumber).catch(error => {
+        console.error(`❌ Failed to read chunk ${chunk.chunkNumber} from chunk store:`, error);
+        return null;
+      });
+
+      if (!stored) {
+        console.error(`❌ Chunk ${chunk.chunkNumber} missing from chunk store`);
+        return;
+      }
+
+      blob = stored.blob;
+      checksum = stored.checksum || null;
+    } else {
+      // Convert base64 back to Blob
+      const byteCharacters = atob(chunk.data);
+      const byteArray = new Uint8Array(byteCharacters.length);
+      for (let i = 0; i < byteCharacters.length; i++) {
+        byteArray[i] = byteCharacters.charCodeAt(i);
+      }
+      blob = new Blob([byteArray], { type: chunk.mimeType });
+    }
+
+    callback(blob, chunk.duration, chunk.chunkNumber, {
+      persisted: !!chunk.stored,
+      gaps: chunk.gaps || [],
+      timing: chunk.timing || null,
+      checksum
+    });
+    console.log(`🔍 DEBUG: chunkCallback completed for chunk ${chunk.chunkNumber}`);
+  }
+
   /**
    * Check browser support for MediaRecorder
    */
@@ -65,8 +126,11 @@ class MediaRecorderService {
 
   /**
    * Start recording
+   * @param {function} onChunkReady - (blob, duration, chunkNumber, { persisted, gaps, timing, checksum }) callback
+   * @param {object} options - { sessionId, startChunkNumber, deviceId, silence, recording, archive, recordedMs } (startChunkNumber continues an existing session; silence is { threshold, durationMs } or null; recording is { chunkDurationMs, audioBitsPerSecond, mimeType }; archive keeps a local full-length copy; recordedMs seeds the recorder's clock with time already recorded in the session)
+   * @returns {Promise<{deviceLabel: string, deviceFallback: boolean, recording: object, archiving: boolean}>} recording holds the settings the recorder actually applied
    */
-  async startRecording(onChunkReady) {
+  async startRecording(onChunkReady, options = {}) {
     try {
       console.log('🎤 Starting recording via offscreen document...');
 
@@ -79,7 +143,16 @@ class MediaRecorderService {
 
       // Tell offscreen document to start recording
       console.log('📝 Step 2: Sending START_RECORDING message...');
-      const response = await chrome.runtime.sendMessage({ type: 'START_RECORDING' });
+      const response = await chrome.runtime.sendMessage({
+        type: 'START_RECORDING',
+        sessionId: options.sessionId || null,
+        startChunkNumber: options.startChunkNumber || 0,
+        deviceId: options.deviceId || null,
+        silence: options.silence || null,
+        recording: options.recording || null,
+        archive: !!options.archive,
+        recordedMs: options.recordedMs || 0
+      });
       console.log('📝 Start recording response:', response);
 
       if (!response || !response.success) {
@@ -89,8 +162,16 @@ class MediaRecorderService {
       }
 
       this.isActive = true;
+      this.isPausedState = false;
       console.log('✅ Recording started via offscreen document');
 
+      return {
+        deviceLabel: response.deviceLabel || '',
+        deviceFallback: !!response.deviceFallback,
+        recording: response.recording || null,
+        archiving: !!response.archiving
+      };
+
     } catch (error) {
       console.error('❌ Failed to start recording (full error):', error);
       console.error('❌ Error details:', {
@@ -122,6 +203,7 @@ class MediaRecorderService {
       }
 
       this.isActive = false;
+      this.isPausedState = false;
 
       // CRITICAL: Don't clear callback immediately - final chunk may still arrive!
       // Wait a bit for any final chunks to be processed
@@ -143,11 +225,13 @@ class MediaRecorderService {
 
   /**
    * Pause recording
+   * @param {string} reason - 'manual' or 'silence' (recorded as a gap in the chunk metadata)
    */
-  pauseRecording() {
-    if (this.isActive) {
-      chrome.runtime.sendMessage({ type: 'PAUSE_RECORDING' });
-      console.log('⏸️ Recording paused');
+  pauseRecording(reason = 'manual') {
+    if (this.isActive && !this.isPausedState) {
+      chrome.runtime.sendMessage({ type: 'PAUSE_RECORDING', reason });
+      this.isPausedState = true;
+      console.log(`⏸️ Recording paused (${reason})`);
     }
   }
 
@@ -155,12 +239,46 @@ class MediaRecorderService {
    * Resume recording
    */
   resumeRecording() {
-    if (this.isActive) {
+    if (this.isActive && this.isPausedState) {
       chrome.runtime.sendMessage({ type: 'RESUME_RECORDING' });
+      this.isPausedState = false;
       console.log('▶️ Recording resumed');
     }
   }
 
+  /**
+   * Change chunk duration and bitrate of the running capture (from the next chunk)
+   * @param {object} recording - { chunkDurationMs, audioBitsPerSecond }
+   * @returns {Promise<{success: boolean, recording?: object, error?: string}>}
+   */
+  async updateRecordingSettings(recording) {
+    if (!this.isActive) {
+      return { success: false, error: 'Not recording' };
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'UPDATE_RECORDING_SETTINGS', recording });
+      return response || { success: false, error: 'No response from recorder' };
+    } catch (error) {
+      console.error('❌ Failed to update recording settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ask the offscreen recorder for its state (session, capture health, clock)
+   * Goes through the background heartbeat so a missing recorder answers cleanly.
+   * @returns {Promise<object|null>} GET_STATE response, or null if there is no recorder
+   */
+  async getRecorderState() {
+    try {
+      const status = await chrome.runtime.sendMessage({ type: 'RECORDER_HEARTBEAT' });
+      return status?.alive ? status : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Check if currently recording
    */
@@ -169,18 +287,18 @@ class MediaRecorderService {
   }
 
   /**
-   * Check if paused (not available in offscreen mode)
+   * Check if paused (tracked locally from the pause/resume requests we sent)
    */
   isPaused() {
-    // Would need to query offscreen document state
-    return false;
+    return this.isActive && this.isPausedState;
   }
 
   /**
    * Get current recording state
    */
   getState() {
-    return this.isActive ? 'recording' : 'inactive';
+    if (!this.isActive) return 'inactive';
+    return this.isPausedState ? 'paused' : 'recording';
   }
 
   /**
@@ -193,6 +311,7 @@ class MediaRecorderService {
 
     this.chunkCallback = null;
     this.isActive = false;
+    this.isPausedState = false;
 
     // Close offscreen document
     await chrome.runtime.sendMessage({ type: 'CLOSE_OFFSCREEN' });
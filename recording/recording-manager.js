@@ -2,46 +2,143 @@
 // Orchestrates the complete recording workflow
 
 class RecordingManager {
+  // Backoff between failed upload passes (APIClient's backoff, with these bounds)
+  static MIN_RETRY_DELAY = 2000;
+  static MAX_RETRY_DELAY = 30000;
+
+  // Switch to batched uploads once this many chunks are waiting (e.g. after an outage)
+  static BATCH_THRESHOLD = 3;
+  static MAX_BATCH_SIZE = 10;
+
+  // Before completing: how long to wait for the upload queue to empty, and how
+  // many check/re-send passes to make against the backend's chunk list
+  static FLUSH_TIMEOUT = 30000;
+  static RECONCILE_ROUNDS = 3;
+
   constructor() {
     this.mediaRecorder = new MediaRecorderService();
     this.consultationId = null;
     this.sessionId = null;
     this.recordingToken = null;
+    this.backendUrl = null; // Backend the current session was recorded against
     this.isActive = false;
-    this.uploadQueue = [];
+    this.uploadQueue = []; // In-memory mirror of pending chunks; ChunkStore holds the durable copy
     this.isUploading = false;
+    this.uploadRetryTimer = null;
+    this.uploadRetryAttempt = 0; // Failed upload passes in a row
+    this.batchUploadsSupported = true; // Flipped off if the backend lacks the batch endpoint
+    this.singleUploadsPending = 0; // Chunks of a rejected batch to send one by one before batching again
+    this.uploadBlockedBy = null; // Auth failure or backend switch that stopped the queue (cleared with the session)
     this.processedChunks = new Set(); // Track chunks we've already queued
-    this.recordingStartTime = null; // Track when recording started for duration calculation
+    this.nextChunkNumber = 0; // Next chunk number the recorder will produce (for session resume)
+    this.manifest = new Map(); // chunkNumber -> { size, checksum } for chunks of the current session
+    this.recordedMs = 0; // Last reading of the recorder's pause-aware clock for this session
+
+    // UI hook for live input levels ({ rms, peak, timestamp })
+    this.onAudioLevel = null;
+    this.mediaRecorder.levelCallback = (level) => this.handleAudioLevel(level);
+
+    // UI hook for sustained silence ({ state, action, silentSince, silentForMs })
+    this.onSilence = null;
+    this.silenceMode = 'off'; // From SilencePreferences when capture starts
+    this.mediaRecorder.silenceCallback = (event) => this.handleSilence(event);
+
+    // Restarts capture in the same session if the offscreen recorder dies
+    // UI hook for capture interruptions ({ state: 'lost'|'recovered'|'failed', reason, microphone?, error? })
+    this.supervisor = new RecordingSupervisor(this);
+    this.onCaptureStatus = null;
+
+    // UI hook for uploads the backend refuses to accept ({ errorType, error, pending })
+    this.onUploadBlocked = null;
+    this.mediaRecorder.captureLostCallback = (event) => {
+      if (event.sessionId === this.sessionId) {
+        this.recordedMs = Math.max(this.recordedMs, event.recordedMs || 0);
+        this.supervisor.recover(event.reason);
+      }
+    };
+  }
+
+  /**
+   * Handle a live input level reading from the offscreen recorder
+   * @param {object} level - { rms, peak, timestamp }
+   */
+  handleAudioLevel(level) {
+    if (this.onAudioLevel) {
+      this.onAudioLevel(level);
+    }
+  }
+
+  /**
+   * Decide what to do about sustained silence reported by the offscreen recorder
+   * The UI carries out the action so the pause goes through the same path (timer,
+   * persistence, PAUSE_RECORDING) as a manual one.
+   * Actions: 'auto-pause', 'prompt' (ask to pause), 'prompt-resume' (sound is back
+   * while paused) and 'dismiss' (sound came back before anyone acted).
+   * @param {object} event - { state: 'detected'|'ended', silentSince, silentForMs }
+   */
+  handleSilence(event) {
+    if (!this.onSilence || this.silenceMode === 'off') return;
+
+    let action;
+    if (event.state === 'detected') {
+      action = this.silenceMode === 'auto-pause' ? 'auto-pause' : 'prompt';
+    } else {
+      action = this.isRecordingPaused() ? 'prompt-resume' : 'dismiss';
+    }
+
+    console.log(`🔇 Silence ${event.state} (${Math.round(event.silentForMs / 1000)}s) - ${action}`);
+    this.onSilence({ ...event, action });
   }
 
   /**
    * Start recording for a patient
+   * Creates a new consultation, or adds another recording session to an existing
+   * one (e.g. the results discussion after a break for diagnostics).
    * @param {object} patient - Patient information
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {object} options - { consultationId } to record into an existing consultation
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string}>} errorType is APIClient's failure class when a backend call failed
    */
-  async startRecording(patient) {
+  async startRecording(patient, options = {}) {
     try {
       console.log('🎬 Starting recording workflow for:', patient.name);
 
       // Reset state for new recording
       this.processedChunks.clear();
-      this.uploadQueue = [];
+      this.manifest.clear();
+      this.uploadBlockedBy = null;
+      this.nextChunkNumber = 0;
+      this.recordedMs = 0;
 
       // Check browser support
       if (!MediaRecorderService.isSupported()) {
         throw new Error('Your browser does not support audio recording. Please use Chrome, Edge, or Firefox.');
       }
 
-      // Step 1: Create consultation
-      console.log('📝 Step 1: Creating consultation...');
-      const consultationResult = await ConsultationService.createConsultation(patient);
+      // Step 1: Create consultation (or reopen the one we're adding a session to)
+      if (options.consultationId) {
+        console.log('📝 Step 1: Reopening consultation for another session...');
+        this.consultationId = options.consultationId;
 
-      if (!consultationResult.success) {
-        throw new Error(consultationResult.error || 'Failed to create consultation');
-      }
+        const reopenResult = await ConsultationService.updateConsultationStatus(
+          this.consultationId,
+          'in_progress'
+        );
 
-      this.consultationId = consultationResult.consultation.id;
-      console.log('✅ Consultation created:', this.consultationId);
+        if (!reopenResult.success) {
+          throw APIClient.toError(reopenResult, 'Failed to reopen consultation');
+        }
+        console.log('✅ Consultation reopened:', this.consultationId);
+      } else {
+        console.log('📝 Step 1: Creating consultation...');
+        const consultationResult = await ConsultationService.createConsultation(patient);
+
+        if (!consultationResult.success) {
+          throw APIClient.toError(consultationResult, 'Failed to create consultation');
+        }
+
+        this.consultationId = consultationResult.consultation.id;
+        console.log('✅ Consultation created:', this.consultationId);
+      }
 
       // Step 2: Create recording session
       console.log('🎤 Step 2: Creating recording session...');
@@ -50,18 +147,19 @@ class RecordingManager {
       });
 
       if (!sessionResult.success) {
-        throw new Error(sessionResult.error || 'Failed to create recording session');
+        throw APIClient.toError(sessionResult, 'Failed to create recording session');
       }
 
       this.sessionId = sessionResult.session.id;
       this.recordingToken = sessionResult.recordingToken;
+      this.backendUrl = CONFIG.BACKEND_URL;
       console.log('✅ Recording session created:', this.sessionId);
 
+      await this.claimSession();
+
       // Step 3: Start MediaRecorder
       console.log('🎙️ Step 3: Starting MediaRecorder...');
-      await this.mediaRecorder.startRecording((blob, duration, chunkNumber) => {
-        this.handleChunk(blob, duration, chunkNumber);
-      });
+      const { microphone, recording } = await this.startCapture(0);
 
       // Step 4: Update session status to 'active'
       // This prevents backend cleanup from deleting it as 'pending'
@@ -79,13 +177,15 @@ class RecordingManager {
       }
 
       this.isActive = true;
-      this.recordingStartTime = Date.now(); // Record start time for duration calculation
       console.log('✅ Recording started successfully!');
 
       return {
         success: true,
         consultationId: this.consultationId,
-        sessionId: this.sessionId
+        sessionId: this.sessionId,
+        recordingToken: this.recordingToken,
+        microphone,
+        recording
       };
 
     } catch (error) {
@@ -94,18 +194,260 @@ class RecordingManager {
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorType: error.errorType
       };
     }
   }
 
+  /**
+   * Make an existing recording session the current one without starting capture
+   * Stops the recorder if it is capturing for another session; chunks already
+   * queued keep their own session so they still upload to the right place.
+   * @param {object} session - { consultationId, sessionId, recordingToken, nextChunkNumber, recordedMs }
+   */
+  async attachSession(session) {
+    if (!session.sessionId || !session.recordingToken) {
+      throw new Error('Saved consultation has no recording session to resume');
+    }
+
+    if (this.sessionId === session.sessionId) {
+      return;
+    }
+
+    if (this.mediaRecorder.isRecording()) {
+      this.supervisor.stop();
+      await this.mediaRecorder.stopRecording();
+    }
+
+    this.consultationId = session.consultationId;
+    this.sessionId = session.sessionId;
+    this.recordingToken = session.recordingToken;
+    this.backendUrl = CONFIG.BACKEND_URL;
+    this.processedChunks.clear();
+    this.manifest.clear();
+    this.uploadBlockedBy = null;
+    this.nextChunkNumber = session.nextChunkNumber || 0;
+    this.recordedMs = session.recordedMs || 0;
+    this.isActive = true;
+
+    await this.claimSession();
+
+    console.log('🔗 Attached to recording session:', this.sessionId);
+  }
+
+  /**
+   * Re-attach to an existing recording session and continue capturing into it
+   * Used when a persisted (paused) consultation is resumed after the side panel
+   * was reloaded or another consultation took over the recorder.
+   * @param {object} session - { consultationId, sessionId, recordingToken, nextChunkNumber, recordedMs }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async resumeSession(session) {
+    try {
+      console.log('🔁 Resuming recording session:', session.sessionId);
+
+      await this.attachSession(session);
+
+      const { microphone, recording } = await this.startCapture(this.nextChunkNumber);
+
+      this.isActive = true;
+
+      console.log('✅ Recording session resumed at chunk', this.nextChunkNumber);
+      return { success: true, microphone, recording };
+
+    } catch (error) {
+      console.error('❌ Failed to resume recording session:', error);
+      return {
+        success: false,
+        error: error.message,
+        errorType: error.errorType
+      };
+    }
+  }
+
+  /**
+   * Start the offscreen recorder for the current session on the preferred mic
+   * with the clinic's (or vet's) chunking and bitrate settings
+   * @param {number} startChunkNumber
+   * @returns {Promise<{microphone: {deviceLabel: string, deviceFallback: boolean, preferredLabel: string}, recording: object}>}
+   */
+  async startCapture(startChunkNumber) {
+    const preferred = await MicrophonePreferences.getPreferred();
+    const silence = await SilencePreferences.get();
+    const recordingSettings = await RecordingPreferences.get();
+    const archive = await AudioArchive.getSettings();
+    this.silenceMode = silence.mode;
+
+    if (archive.enabled) {
+      await AudioArchive.saveRecording({
+        sessionId: this.sessionId,
+        consultationId: this.consultationId,
+        retentionDays: archive.retentionDays
+      }).catch(error => console.warn('⚠️ Failed to register archived recording:', error));
+    }
+
+    const { recording, archiving, ...microphone } = await this.mediaRecorder.startRecording((blob, duration, chunkNumber, meta) => {
+      this.handleChunk(blob, duration, chunkNumber, meta);
+    }, {
+      sessionId: this.sessionId,
+      startChunkNumber,
+      deviceId: preferred?.deviceId || null,
+      silence: silence.mode === 'off'
+        ? null
+        : { threshold: silence.threshold, durationMs: silence.durationMs },
+      recording: recordingSettings,
+      archive: archive.enabled,
+      recordedMs: this.recordedMs
+    });
+
+    if (recording?.adjustments?.length) {
+      console.warn('⚠️ Recorder adjusted the requested settings:', recording.adjustments);
+    }
+    console.log('🎚️ Recording with:', recording, archiving ? '(archiving locally)' : '');
+
+    this.supervisor.start();
+
+    return {
+      microphone: {
+        ...microphone,
+        preferredLabel: preferred?.label || ''
+      },
+      recording
+    };
+  }
+
+  /**
+   * Pass changed chunking/bitrate preferences to the running capture
+   * The microphone is only picked when capture starts, so a new choice there
+   * applies to the next recording.
+   * @returns {Promise<{success: boolean, recording?: object, error?: string}>}
+   */
+  async applyRecordingSettings() {
+    if (!this.isRecordingActive()) {
+      return { success: false, error: 'Not recording' };
+    }
+
+    const result = await this.mediaRecorder.updateRecordingSettings(await RecordingPreferences.get());
+    if (result.success) {
+      console.log('🎚️ Now recording with:', result.recording);
+    }
+    return result;
+  }
+
+  /**
+   * Restart capture for the current session after the recorder was lost
+   * Chunks the old recorder stored but never announced are queued first, and the
+   * new capture continues the chunk numbering after them. A pause is re-applied.
+   * @returns {Promise<{success: boolean, microphone?: object, error?: string}>}
+   */
+  async restartCapture() {
+    try {
+      const wasPaused = this.mediaRecorder.isPaused();
+
+      // Carry the clock over (a recorder that is still loaded can report its final reading)
+      await this.getRecordedDuration();
+      await this.adoptStoredChunks();
+
+      const { microphone } = await this.startCapture(this.nextChunkNumber);
+
+      if (wasPaused) {
+        this.mediaRecorder.pauseRecording('manual');
+      }
+
+      console.log('✅ Capture restarted at chunk', this.nextChunkNumber);
+      return { success: true, microphone };
+
+    } catch (error) {
+      console.error('❌ Failed to restart capture:', error);
+      return {
+        success: false,
+        error: error.message,
+        errorType: error.errorType
+      };
+    }
+  }
+
+  /**
+   * Queue chunks of the current session that reached ChunkStore but whose
+   * AUDIO_CHUNK message was lost with the recorder
+   */
+  async adoptStoredChunks() {
+    const stored = await ChunkStore.getChunks(this.sessionId).catch(error => {
+      console.warn('⚠️ Failed to read stored chunks:', error);
+      return [];
+    });
+
+    for (const chunk of stored) {
+      if (this.processedChunks.has(chunk.chunkNumber)) continue;
+
+      console.log(`🧲 Adopting stored chunk ${chunk.chunkNumber}`);
+      await this.handleChunk(chunk.blob, chunk.duration, chunk.chunkNumber, {
+        persisted: true,
+        gaps: chunk.gaps || [],
+        timing: chunk.timing || null,
+        checksum: chunk.checksum || null
+      });
+    }
+  }
+
+  /**
+   * Recorded time of a session, excluding pauses
+   * The offscreen recorder owns the clock while it holds the session (it keeps
+   * counting across side panel reloads); otherwise the last reading is used.
+   * @param {string} sessionId - Defaults to the current session
+   * @param {number} knownMs - Last known value for a session we aren't attached to (e.g. persisted)
+   * @returns {Promise<number>} Milliseconds
+   */
+  async getRecordedDuration(sessionId = this.sessionId, knownMs = 0) {
+    const isCurrent = sessionId === this.sessionId;
+    const recorder = await this.mediaRecorder.getRecorderState();
+
+    if (sessionId && recorder?.sessionId === sessionId && typeof recorder.recordedMs === 'number') {
+      if (isCurrent) {
+        this.recordedMs = recorder.recordedMs;
+      }
+      return recorder.recordedMs;
+    }
+
+    return isCurrent ? Math.max(this.recordedMs, knownMs) : knownMs;
+  }
+
+  /**
+   * Pass a capture interruption/recovery to the UI
+   * @param {object} status - { state: 'lost'|'recovered'|'failed', reason, microphone?, error? }
+   */
+  notifyCaptureStatus(status) {
+    if (this.onCaptureStatus) {
+      this.onCaptureStatus(status);
+    }
+  }
+
+  /**
+   * Register the current session in ChunkStore and claim it so the
+   * background drainer doesn't upload its chunks concurrently
+   */
+  async claimSession() {
+    try {
+      await ChunkStore.saveSession({
+        sessionId: this.sessionId,
+        consultationId: this.consultationId,
+        recordingToken: this.recordingToken
+      });
+      await ChunkStore.renewLease(this.sessionId);
+    } catch (error) {
+      console.warn('⚠️ Failed to register session in chunk store:', error);
+    }
+  }
+
   /**
    * Handle a new audio chunk
    * @param {Blob} blob
    * @param {number} duration
    * @param {number} chunkNumber
+   * @param {object} meta - { persisted, gaps, timing, checksum } persisted is true when offscreen already wrote it to ChunkStore; gaps are paused stretches; timing places the chunk (and its overlap with the previous one) on the recording timeline; checksum is the SHA-256 ChunkStore computed, if any
    */
-  handleChunk(blob, duration, chunkNumber) {
+  async handleChunk(blob, duration, chunkNumber, meta = {}) {
     console.log(`🔍 DEBUG handleChunk CALLED: chunk ${chunkNumber}, blob size ${blob?.size}, duration ${duration}`);
     console.log(`🔍 DEBUG: processedChunks size before:`, this.processedChunks.size);
 
@@ -119,55 +461,137 @@ class RecordingManager {
 
     // Mark as processed
     this.processedChunks.add(chunkNumber);
+    this.nextChunkNumber = Math.max(this.nextChunkNumber, chunkNumber + 1);
 
-    // Add to upload queue
-    this.uploadQueue.push({
+    const checksum = meta.checksum || await ChunkStore.computeChecksum(blob).catch(error => {
+      console.warn(`⚠️ Failed to hash chunk ${chunkNumber}:`, error);
+      return null;
+    });
+
+    const chunk = {
       blob,
       duration,
-      chunkNumber
-    });
+      chunkNumber,
+      checksum,
+      gaps: meta.gaps || [],
+      timing: meta.timing || null,
+      sessionId: this.sessionId,
+      recordingToken: this.recordingToken,
+      backendUrl: this.backendUrl
+    };
+
+    // Remember what we produced so completion can check the backend got all of it
+    this.manifest.set(chunkNumber, { size: blob.size, checksum });
+
+    // Persist BEFORE uploading so the chunk survives a closed panel or outage
+    try {
+      if (!meta.persisted) {
+        await ChunkStore.putChunk(chunk);
+      }
+      await ChunkStore.renewLease(chunk.sessionId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist chunk ${chunkNumber}, uploading from memory only:`, error);
+    }
+
+    // Add to upload queue (bound to the session it was recorded for)
+    this.uploadQueue.push(chunk);
 
     // Start processing queue if not already uploading
-    if (!this.isUploading) {
+    if (!this.isUploading && !this.uploadRetryTimer) {
       this.processUploadQueue();
     }
   }
 
   /**
    * Process the upload queue
+   * Chunks leave the ChunkStore queue only after the backend confirms them.
+   * On failure the pass stops and a retry is scheduled with growing backoff;
+   * the chunks stay in ChunkStore so nothing is lost if the panel closes meanwhile.
+   * An auth failure (e.g. an expired recording token) stops the queue altogether -
+   * every later chunk would be refused too. So does a switch to another backend:
+   * queued audio and tokens only go to the backend they were recorded against.
    */
   async processUploadQueue() {
-    if (this.isUploading || this.uploadQueue.length === 0) {
+    if (this.isUploading || this.uploadBlockedBy || this.uploadQueue.length === 0) {
       return;
     }
 
     this.isUploading = true;
 
+    if (this.uploadRetryTimer) {
+      clearTimeout(this.uploadRetryTimer);
+      this.uploadRetryTimer = null;
+    }
+
     while (this.uploadQueue.length > 0) {
+      if (!ChunkStore.belongsToBackend(this.uploadQueue[0])) {
+        this.blockUploads(APIClient.errorResult(APIClient.ERROR_TYPES.VALIDATION,
+          'The backend was switched to another environment.', { code: 'BACKEND_CHANGED' }));
+        break;
+      }
+
+      // Backlog (usually after an outage) - catch up with batched uploads
+      if (
+        this.batchUploadsSupported &&
+        this.singleUploadsPending === 0 &&
+        this.uploadQueue.length > RecordingManager.BATCH_THRESHOLD
+      ) {
+        const batch = await this.uploadNextBatch();
+        if (!batch.ok) {
+          if (!this.uploadBlockedBy) {
+            this.scheduleUploadRetry(batch.retryAfterMs);
+          }
+          break;
+        }
+        continue;
+      }
+
       const chunk = this.uploadQueue.shift();
+      this.singleUploadsPending = Math.max(0, this.singleUploadsPending - 1);
 
       try {
         console.log(`📤 Uploading chunk ${chunk.chunkNumber}...`);
 
-        const result = await RecordingService.uploadChunkWithRetry(
-          this.sessionId,
+        // Keep our claim so the background drainer stays away from this session
+        await ChunkStore.renewLease(chunk.sessionId).catch(() => {});
+
+        const result = await RecordingService.uploadChunk(
+          chunk.sessionId,
           chunk.blob,
           chunk.chunkNumber,
           chunk.duration,
-          this.recordingToken,
-          3  // max retries
+          chunk.recordingToken,
+          { gaps: chunk.gaps, timing: chunk.timing, checksum: chunk.checksum }
         );
 
         if (!result.success) {
+          if (result.errorType === APIClient.ERROR_TYPES.AUTH) {
+            this.uploadQueue.unshift(chunk);
+            this.blockUploads(result);
+            break;
+          }
+
+          if (result.errorType === APIClient.ERROR_TYPES.VALIDATION) {
+            // This chunk was rejected outright - retrying won't help. The copy stays in
+            // ChunkStore and verification before completion reports it as missing.
+            console.error(`❌ Chunk ${chunk.chunkNumber} rejected by backend, not retrying:`, result.error);
+            continue;
+          }
+
           console.error(`❌ Failed to upload chunk ${chunk.chunkNumber}:`, result.error);
-          // Re-add to queue for retry
+          // Re-add to queue and retry later
           this.uploadQueue.unshift(chunk);
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } else {
-          console.log(`✅ Chunk ${chunk.chunkNumber} uploaded successfully`);
+          this.scheduleUploadRetry(result.retryAfterMs);
+          break;
         }
 
+        console.log(`✅ Chunk ${chunk.chunkNumber} uploaded successfully`);
+        this.uploadRetryAttempt = 0;
+
+        await ChunkStore.markUploaded(chunk.sessionId, chunk.chunkNumber, chunk.recordingToken).catch(error => {
+          console.warn(`⚠️ Failed to mark chunk ${chunk.chunkNumber} as uploaded in store:`, error);
+        });
+
       } catch (error) {
         console.error(`❌ Chunk ${chunk.chunkNumber} upload error:`, error);
       }
@@ -176,12 +600,334 @@ class RecordingManager {
     this.isUploading = false;
   }
 
+  /**
+   * Upload the next run of queued chunks (same session) in one batch request
+   * Chunks the server stored are removed from ChunkStore; ones it rejected as
+   * invalid are dropped (like single uploads), the rest go back to the front of
+   * the queue in order. A batch rejected as a whole is sent again one chunk at a
+   * time so the bad chunk is isolated.
+   * @returns {Promise<{ok: boolean, retryAfterMs?: number}>} ok is false if nothing was stored and we should back off
+   */
+  async uploadNextBatch() {
+    const head = this.uploadQueue[0];
+    const batch = [];
+
+    while (
+      batch.length < RecordingManager.MAX_BATCH_SIZE &&
+      this.uploadQueue.length > 0 &&
+      this.uploadQueue[0].sessionId === head.sessionId
+    ) {
+      batch.push(this.uploadQueue.shift());
+    }
+
+    await ChunkStore.renewLease(head.sessionId).catch(() => {});
+
+    const result = await RecordingService.uploadChunkBatch(head.sessionId, batch, head.recordingToken);
+
+    if (!result.success) {
+      this.uploadQueue.unshift(...batch);
+
+      if (result.errorType === APIClient.ERROR_TYPES.AUTH) {
+        this.blockUploads(result);
+        return { ok: false };
+      }
+
+      // Only a backend without the route - a 404 for the session itself must not disable batching
+      if (result.code === 'ROUTE_NOT_FOUND') {
+        console.warn('⚠️ Batch chunk endpoint unavailable, falling back to single uploads');
+        this.batchUploadsSupported = false;
+        return { ok: true };
+      }
+
+      if (result.errorType === APIClient.ERROR_TYPES.VALIDATION) {
+        console.warn(`⚠️ Batch rejected, sending its ${batch.length} chunk(s) one at a time:`, result.error);
+        this.singleUploadsPending = batch.length;
+        return { ok: true };
+      }
+
+      console.error('❌ Batch upload failed:', result.error);
+      return { ok: false, retryAfterMs: result.retryAfterMs };
+    }
+
+    const uploaded = new Set(result.uploaded);
+    for (const chunk of batch) {
+      if (uploaded.has(chunk.chunkNumber)) {
+        await ChunkStore.markUploaded(chunk.sessionId, chunk.chunkNumber, chunk.recordingToken).catch(error => {
+          console.warn(`⚠️ Failed to mark chunk ${chunk.chunkNumber} as uploaded in store:`, error);
+        });
+      }
+    }
+
+    // Rejected outright - the copy stays in ChunkStore and verification reports it as missing
+    const invalid = new Set(result.failed
+      .filter(item => item.errorType === APIClient.ERROR_TYPES.VALIDATION)
+      .map(item => item.chunkNumber));
+    if (invalid.size > 0) {
+      console.error(`❌ ${invalid.size} chunk(s) rejected in batch, not retrying:`, [...invalid]);
+    }
+
+    const retry = batch.filter(chunk => !uploaded.has(chunk.chunkNumber) && !invalid.has(chunk.chunkNumber));
+    if (retry.length > 0) {
+      console.warn(`⚠️ ${retry.length} chunk(s) failed in batch, re-queued:`, retry.map(chunk => chunk.chunkNumber));
+      this.uploadQueue.unshift(...retry);
+    }
+
+    if (uploaded.size === 0 && invalid.size === 0) {
+      return { ok: false };
+    }
+
+    this.uploadRetryAttempt = 0;
+    return { ok: true };
+  }
+
+  /**
+   * Stop uploading after the backend refused the session's credentials (or was
+   * switched) and tell the UI
+   * Chunks stay queued and in ChunkStore; nothing more is sent for this session.
+   * @param {object} result - Failed service result (errorType AUTH, or code BACKEND_CHANGED)
+   */
+  blockUploads(result) {
+    this.uploadBlockedBy = result;
+
+    if (this.uploadRetryTimer) {
+      clearTimeout(this.uploadRetryTimer);
+      this.uploadRetryTimer = null;
+    }
+
+    console.error(`❌ Chunk uploads stopped (${this.uploadQueue.length} pending):`, result.error);
+
+    if (this.onUploadBlocked) {
+      this.onUploadBlocked({
+        errorType: result.errorType,
+        error: result.error,
+        pending: this.uploadQueue.length
+      });
+    }
+  }
+
+  /**
+   * Upload whatever is still queued, waiting up to FLUSH_TIMEOUT
+   * Skips the backoff of a scheduled retry - we're about to complete the session.
+   * @returns {Promise<boolean>} true once the queue is empty
+   */
+  async flushUploadQueue() {
+    const deadline = Date.now() + RecordingManager.FLUSH_TIMEOUT;
+
+    while ((this.uploadQueue.length > 0 || this.isUploading) && !this.uploadBlockedBy && Date.now() < deadline) {
+      if (this.isUploading) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        continue;
+      }
+
+      if (this.uploadRetryTimer) {
+        clearTimeout(this.uploadRetryTimer);
+        this.uploadRetryTimer = null;
+      }
+
+      await this.processUploadQueue();
+
+      if (this.uploadQueue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+
+    return this.uploadQueue.length === 0 && !this.isUploading;
+  }
+
+  /**
+   * Check every chunk of the current session reached the backend intact
+   * Compares the local manifest (numbers, sizes, SHA-256) with the backend's chunk
+   * list and re-sends missing or mismatched chunks from their local copies, for up
+   * to RECONCILE_ROUNDS passes.
+   * @returns {Promise<{consistent: boolean, verified: boolean, missing: number[], mismatched: number[], unrecoverable: number[], error?: string}>}
+   *   verified is false when the backend's chunk list couldn't be fetched;
+   *   unrecoverable chunks are missing on the backend with no local copy to re-send
+   */
+  async reconcileChunks() {
+    const flushed = await this.flushUploadQueue();
+    if (!flushed) {
+      console.warn(`⚠️ ${this.uploadQueue.length} chunk(s) still waiting for upload before verification`);
+    }
+
+    let report = null;
+
+    for (let round = 1; round <= RecordingManager.RECONCILE_ROUNDS; round++) {
+      const local = await this.getLocalManifest();
+      const remote = await RecordingService.getChunkManifest(this.sessionId);
+
+      if (!remote.success) {
+        console.warn('⚠️ Could not fetch chunk list to verify uploads:', remote.error);
+        return {
+          consistent: false,
+          verified: false,
+          missing: [],
+          mismatched: [],
+          unrecoverable: [],
+          error: remote.error
+        };
+      }
+
+      report = RecordingManager.compareManifests(local, remote.chunks, this.nextChunkNumber);
+
+      if (report.missing.length === 0 && report.mismatched.length === 0) {
+        console.log(`✅ All ${this.nextChunkNumber} chunk(s) verified on the backend`);
+        return { consistent: true, verified: true, ...report };
+      }
+
+      console.warn(`⚠️ Chunk check ${round}/${RecordingManager.RECONCILE_ROUNDS}:`, report);
+
+      if (round < RecordingManager.RECONCILE_ROUNDS) {
+        await this.resendChunks([...report.missing, ...report.mismatched]);
+      }
+    }
+
+    return { consistent: false, verified: true, ...report };
+  }
+
+  /**
+   * Everything we know was recorded for the current session
+   * ChunkStore holds the durable copies; the in-memory manifest covers chunks
+   * that couldn't be persisted.
+   * @returns {Promise<Map<number, {size: number|null, checksum: string|null, stored: boolean}>>}
+   */
+  async getLocalManifest() {
+    const manifest = new Map();
+
+    for (const [chunkNumber, entry] of this.manifest) {
+      manifest.set(chunkNumber, { ...entry, stored: false });
+    }
+
+    const stored = await ChunkStore.getManifest(this.sessionId).catch(error => {
+      console.warn('⚠️ Failed to read local chunk manifest:', error);
+      return [];
+    });
+
+    for (const entry of stored) {
+      const known = manifest.get(entry.chunkNumber);
+      manifest.set(entry.chunkNumber, {
+        size: entry.size ?? known?.size ?? null,
+        checksum: entry.checksum || known?.checksum || null,
+        stored: true
+      });
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Compare the local manifest with the backend's chunk list
+   * Every number below totalChunks is expected. Sizes and checksums are only
+   * compared when both sides have them.
+   * @param {Map<number, {size, checksum, stored}>} local
+   * @param {Array<{chunkNumber, size, checksum}>} remote
+   * @param {number} totalChunks
+   * @returns {{missing: number[], mismatched: number[], unrecoverable: number[]}}
+   */
+  static compareManifests(local, remote, totalChunks) {
+    const remoteByNumber = new Map(remote.map(chunk => [chunk.chunkNumber, chunk]));
+    const missing = [];
+    const mismatched = [];
+    const unrecoverable = [];
+
+    for (let chunkNumber = 0; chunkNumber < totalChunks; chunkNumber++) {
+      const mine = local.get(chunkNumber);
+      const theirs = remoteByNumber.get(chunkNumber);
+
+      if (!theirs) {
+        missing.push(chunkNumber);
+        if (!mine?.stored) {
+          unrecoverable.push(chunkNumber);
+        }
+        continue;
+      }
+
+      if (!mine) continue;
+
+      const sizeDiffers = mine.size != null && theirs.size != null && mine.size !== theirs.size;
+      const checksumDiffers = !!mine.checksum && !!theirs.checksum &&
+        mine.checksum.toLowerCase() !== theirs.checksum.toLowerCase();
+
+      if (sizeDiffers || checksumDiffers) {
+        mismatched.push(chunkNumber);
+        if (!mine.stored) {
+          unrecoverable.push(chunkNumber);
+        }
+      }
+    }
+
+    return { missing, mismatched, unrecoverable };
+  }
+
+  /**
+   * Re-send chunks of the current session from their ChunkStore copies
+   * @param {number[]} chunkNumbers
+   */
+  async resendChunks(chunkNumbers) {
+    for (const chunkNumber of chunkNumbers) {
+      const chunk = await ChunkStore.findChunk(this.sessionId, chunkNumber).catch(() => null);
+      if (!chunk) continue;
+
+      console.log(`🔁 Re-sending chunk ${chunkNumber} for verification`);
+      const result = await RecordingService.uploadChunk(
+        this.sessionId,
+        chunk.blob,
+        chunkNumber,
+        chunk.duration,
+        chunk.recordingToken || this.recordingToken,
+        { gaps: chunk.gaps || [], timing: chunk.timing || null, checksum: chunk.checksum || null }
+      );
+
+      if (!result.success) {
+        console.warn(`⚠️ Re-send of chunk ${chunkNumber} failed:`, result.error);
+        continue;
+      }
+
+      if (!chunk.uploadedAt) {
+        await ChunkStore.markUploaded(this.sessionId, chunkNumber, this.recordingToken).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Schedule the next upload pass with APIClient's backoff and jitter
+   * Waits out an open circuit or a Retry-After; retries immediately when the
+   * browser reports the network is back.
+   * @param {number} retryAfterMs - Minimum wait the backend asked for, if any
+   */
+  scheduleUploadRetry(retryAfterMs = 0) {
+    if (this.uploadRetryTimer) return;
+
+    const delay = Math.max(
+      APIClient.getBackoffDelay(this.uploadRetryAttempt, {
+        baseMs: RecordingManager.MIN_RETRY_DELAY,
+        maxMs: RecordingManager.MAX_RETRY_DELAY
+      }),
+      retryAfterMs || 0,
+      APIClient.getCircuitRetryIn()
+    );
+    this.uploadRetryAttempt++;
+    console.log(`⏳ Retrying chunk uploads in ${delay}ms (${this.uploadQueue.length} pending)`);
+
+    const retry = () => {
+      window.removeEventListener('online', retry);
+      if (this.uploadRetryTimer) {
+        clearTimeout(this.uploadRetryTimer);
+        this.uploadRetryTimer = null;
+      }
+      this.processUploadQueue();
+    };
+
+    this.uploadRetryTimer = setTimeout(retry, delay);
+    window.addEventListener('online', retry);
+  }
+
   /**
    * Pause recording
+   * @param {string} reason - 'manual' or 'silence'
    */
-  pauseRecording() {
+  pauseRecording(reason = 'manual') {
     if (this.mediaRecorder.isRecording()) {
-      this.mediaRecorder.pauseRecording();
+      this.mediaRecorder.pauseRecording(reason);
       console.log('⏸️ Recording paused');
     }
   }
@@ -198,34 +944,84 @@ class RecordingManager {
 
   /**
    * Stop recording and complete session
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * Completion waits until the backend holds every recorded chunk intact. If it
+   * doesn't, nothing is completed and the session stays attached so the caller
+   * can try again later, or call completeSession() to submit what arrived.
+   * @param {object} options - { allowIncomplete } complete even if chunks couldn't be verified
+   * @returns {Promise<{success: boolean, error?: string, errorType?: string, incomplete?: boolean, reconciliation?: object}>}
    */
-  async stopRecording() {
+  async stopRecording(options = {}) {
     try {
       console.log('🛑 Stopping recording...');
 
-      // Stop MediaRecorder
+      // Stop MediaRecorder (not an interruption - don't let the supervisor restart it)
+      this.supervisor.stop();
       await this.mediaRecorder.stopRecording();
 
       // Wait briefly for final chunk (reduced from 5-6s to 500ms for faster UX)
       console.log('⏳ Waiting briefly for final chunk...');
       await new Promise(resolve => setTimeout(resolve, 500));
 
-      console.log(`✅ ${this.processedChunks.size} chunks processed, proceeding with completion`)
+      console.log(`✅ ${this.processedChunks.size} chunks processed, verifying uploads`);
+
+      // Don't complete on top of missing or corrupted audio unless the user says so
+      const reconciliation = await this.reconcileChunks();
 
-      // Calculate total duration (in seconds)
-      const totalDurationMs = this.recordingStartTime
-        ? Date.now() - this.recordingStartTime
-        : 0;
-      const totalDurationSeconds = Math.round(totalDurationMs / 1000);
+      if (!reconciliation.consistent && !options.allowIncomplete) {
+        console.warn('⚠️ Uploads could not be verified, holding completion:', reconciliation);
+        return {
+          success: false,
+          incomplete: true,
+          reconciliation,
+          error: 'Some audio chunks could not be verified on the server'
+        };
+      }
+    } catch (error) {
+      console.error('❌ Failed to stop recording:', error);
+      await this.cleanup();
+
+      return {
+        success: false,
+        error: error.message,
+        errorType: error.errorType
+      };
+    }
+
+    return this.completeSession();
+  }
+
+  /**
+   * Complete the stopped session and its consultation
+   * Called by stopRecording() once uploads are verified, or directly after the
+   * vet chose to submit a session stopRecording() reported incomplete - capture,
+   * flushing and verification already ran then and aren't repeated.
+   * @returns {Promise<{success: boolean, consultationId?: string, sessionId?: string, durationSeconds?: number, error?: string, errorType?: string}>}
+   */
+  async completeSession() {
+    try {
+      // Recorded duration (in seconds) from the recorder's clock - paused time excluded
+      const totalDurationSeconds = Math.round(await this.getRecordedDuration() / 1000);
       console.log(`📊 Total recording duration: ${totalDurationSeconds} seconds`);
 
+      // Tell the backend capture is over and how many chunks to expect, so it can
+      // start merging and report any chunk numbers it never received
+      const stopResult = await RecordingService.stopSession(this.sessionId, {
+        totalChunks: this.nextChunkNumber,
+        duration: totalDurationSeconds
+      });
+
+      if (!stopResult.success) {
+        console.warn('⚠️ Failed to stop session on backend:', stopResult.error);
+        console.warn('⚠️ Proceeding anyway - missing chunks will not be reported');
+      }
+
       // CRITICAL: Update session status to 'completed' BEFORE calling /consultations/complete
       // This prevents backend cleanup logic from deleting the session
       console.log('📊 Updating recording session status to completed...');
       const updateResult = await RecordingService.updateSessionStatus(
         this.sessionId,
-        'completed'
+        'completed',
+        { duration: totalDurationSeconds }
       );
 
       if (!updateResult.success) {
@@ -243,7 +1039,7 @@ class RecordingManager {
       );
 
       if (!completeResult.success) {
-        throw new Error(completeResult.error || 'Failed to complete consultation');
+        throw APIClient.toError(completeResult, 'Failed to complete consultation');
       }
 
       console.log('✅ Consultation completed, summary will be generated via streaming endpoint');
@@ -251,7 +1047,8 @@ class RecordingManager {
       const result = {
         success: true,
         consultationId: this.consultationId,
-        sessionId: this.sessionId
+        sessionId: this.sessionId,
+        durationSeconds: totalDurationSeconds
       };
 
       // Cleanup
@@ -260,12 +1057,13 @@ class RecordingManager {
       return result;
 
     } catch (error) {
-      console.error('❌ Failed to stop recording:', error);
+      console.error('❌ Failed to complete session:', error);
       await this.cleanup();
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorType: error.errorType
       };
     }
   }
@@ -298,13 +1096,36 @@ class RecordingManager {
    * Clean up resources
    */
   async cleanup() {
+    this.supervisor.stop();
     this.mediaRecorder.cleanup();
+
+    // Chunks still pending stay in ChunkStore - hand them to the background drainer
+    const pendingSessionIds = [...new Set(this.uploadQueue.map(chunk => chunk.sessionId))];
+    if (this.sessionId && !pendingSessionIds.includes(this.sessionId)) {
+      pendingSessionIds.push(this.sessionId);
+    }
+    for (const sessionId of pendingSessionIds) {
+      await ChunkStore.releaseLease(sessionId).catch(() => {});
+    }
+    if (this.uploadQueue.length > 0) {
+      console.log(`🚰 Handing ${this.uploadQueue.length} pending chunk(s) to background drainer`);
+      chrome.runtime.sendMessage({ type: 'DRAIN_CHUNK_QUEUE' }).catch(() => {});
+    }
+
+    if (this.uploadRetryTimer) {
+      clearTimeout(this.uploadRetryTimer);
+      this.uploadRetryTimer = null;
+    }
+
     this.consultationId = null;
     this.sessionId = null;
     this.recordingToken = null;
+    this.backendUrl = null;
     this.isActive = false;
     this.uploadQueue = [];
     this.isUploading = false;
+    this.singleUploadsPending = 0;
+    this.uploadBlockedBy = null;
     console.log('🧹 RecordingManager cleaned up');
   }
 }
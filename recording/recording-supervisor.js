@@ -0,0 +1,136 @@
+// Recording Supervisor
+// Watches the offscreen recorder while a consult is being recorded. The MV3
+// service worker and the offscreen document can both disappear underneath the
+// side panel; the supervisor heartbeats the recorder through background.js and,
+// if capture stopped unexpectedly, restarts it in the same recording session
+// (a new chunk sequence continuing the chunk numbering).
+
+class RecordingSupervisor {
+  static HEARTBEAT_INTERVAL = 5000;
+  static MISSED_HEARTBEATS_BEFORE_RECOVERY = 2;
+  static MAX_RECOVERY_ATTEMPTS = 3;
+
+  /**
+   * @param {RecordingManager} manager
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.heartbeatTimer = null;
+    this.missedHeartbeats = 0;
+    this.recoveryAttempts = 0;
+    this.isRecovering = false;
+  }
+
+  /**
+   * Start heartbeating (idempotent)
+   */
+  start() {
+    if (this.heartbeatTimer) return;
+
+    this.missedHeartbeats = 0;
+    this.heartbeatTimer = setInterval(() => this.checkRecorder(), RecordingSupervisor.HEARTBEAT_INTERVAL);
+    console.log('🩺 Recording supervisor started');
+  }
+
+  /**
+   * Stop heartbeating (recording stopped, paused consult detached or cleanup)
+   */
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+      console.log('🩺 Recording supervisor stopped');
+    }
+    this.missedHeartbeats = 0;
+    this.recoveryAttempts = 0;
+  }
+
+  /**
+   * Ask background.js whether the recorder is alive and capturing our session
+   */
+  async checkRecorder() {
+    const manager = this.manager;
+    if (this.isRecovering || !manager.mediaRecorder.isRecording()) return;
+
+    const status = await chrome.runtime.sendMessage({ type: 'RECORDER_HEARTBEAT' }).catch(error => ({
+      alive: false,
+      reason: error.message
+    }));
+
+    const healthy = status?.alive &&
+      status.capturing &&
+      status.sessionId === manager.sessionId;
+
+    if (healthy) {
+      this.missedHeartbeats = 0;
+      this.recoveryAttempts = 0;
+
+      // Keep the recorder in step with what the vet sees (e.g. a pause that never arrived)
+      if (status.state === 'recording' && manager.mediaRecorder.isPaused()) {
+        chrome.runtime.sendMessage({ type: 'PAUSE_RECORDING', reason: 'manual' }).catch(() => {});
+      }
+      return;
+    }
+
+    this.missedHeartbeats++;
+    const reason = !status?.alive
+      ? status?.reason || 'Recorder not responding'
+      : status.sessionId !== manager.sessionId
+        ? 'Recorder is not recording this consultation'
+        : 'Microphone capture stopped';
+
+    console.warn(`⚠️ Recorder heartbeat failed (${this.missedHeartbeats}/${RecordingSupervisor.MISSED_HEARTBEATS_BEFORE_RECOVERY}):`, reason);
+
+    if (this.missedHeartbeats >= RecordingSupervisor.MISSED_HEARTBEATS_BEFORE_RECOVERY) {
+      await this.recover(reason);
+    }
+  }
+
+  /**
+   * Restart capture in the same session after it stopped unexpectedly
+   * @param {string} reason
+   * @returns {Promise<boolean>} true if capture is running again
+   */
+  async recover(reason) {
+    if (this.isRecovering) return false;
+
+    const manager = this.manager;
+    this.isRecovering = true;
+    this.missedHeartbeats = 0;
+    this.recoveryAttempts++;
+
+    console.warn(`🔁 Recovering capture (attempt ${this.recoveryAttempts}/${RecordingSupervisor.MAX_RECOVERY_ATTEMPTS}):`, reason);
+    manager.notifyCaptureStatus({ state: 'lost', reason });
+
+    try {
+      const result = await manager.restartCapture();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      console.log('✅ Capture recovered');
+      manager.notifyCaptureStatus({ state: 'recovered', reason, microphone: result.microphone });
+      return true;
+
+    } catch (error) {
+      console.error('❌ Capture recovery failed:', error);
+
+      if (this.recoveryAttempts >= RecordingSupervisor.MAX_RECOVERY_ATTEMPTS) {
+        this.stop();
+        // Tear down whatever is left so a manual Resume starts a fresh capture
+        await manager.mediaRecorder.cleanup().catch(() => {});
+        manager.notifyCaptureStatus({ state: 'failed', reason, error: error.message });
+      }
+      return false;
+
+    } finally {
+      this.isRecovering = false;
+    }
+  }
+}
+
+// Make RecordingSupervisor available globally
+if (typeof window !== 'undefined') {
+  window.RecordingSupervisor = RecordingSupervisor;
+}
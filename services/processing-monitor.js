@@ -0,0 +1,235 @@
+/**
+ * Processing Monitor
+ * Polls the backend's processing-status endpoint after a recording is submitted
+ * and turns it into per-stage progress for the processing view. Chunks the
+ * backend reports missing are re-sent from ChunkStore (pending or uploaded copy).
+ *
+ * Expected status payload (fields may be absent on older backends):
+ *   { stage, chunks: { expected, received, transcribed }, merged,
+ *     summary: { status, progress }, missingChunks: [chunkNumber | { sessionId, chunkNumber }], error }
+ */
+
+class ProcessingMonitor {
+  static POLL_INTERVAL = 2000;
+  static MAX_POLLS = 150; // 5 minutes
+  static MAX_REUPLOAD_ATTEMPTS = 3;
+
+  static STAGES = [
+    { key: 'received', label: 'Chunks received' },
+    { key: 'transcribed', label: 'Transcribed' },
+    { key: 'merged', label: 'Merged' },
+    { key: 'summarizing', label: 'Summarizing' }
+  ];
+
+  constructor() {
+    this.pollTimer = null;
+    this.pollCount = 0;
+    this.consultationId = null;
+    this.sessionIds = [];
+    this.reuploadAttempts = new Map(); // "sessionId:chunkNumber" -> attempts
+    this.callbacks = {
+      onStatus: null,
+      onUnavailable: null
+    };
+  }
+
+  /**
+   * Start polling a submitted consultation
+   * @param {string} consultationId
+   * @param {object} options - { sessionIds, onStatus, onUnavailable } (sessionIds in recording order - the last one is assumed for bare chunk numbers; onStatus receives normalize()'s result; onUnavailable fires if the backend has no processing status)
+   */
+  start(consultationId, options = {}) {
+    this.stop();
+
+    this.consultationId = consultationId;
+    this.sessionIds = options.sessionIds || [];
+    this.pollCount = 0;
+    this.reuploadAttempts.clear();
+    this.callbacks = {
+      onStatus: options.onStatus || null,
+      onUnavailable: options.onUnavailable || null
+    };
+
+    console.log('🏭 Watching processing pipeline for consultation:', consultationId);
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), ProcessingMonitor.POLL_INTERVAL);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      console.log('🏭 Processing monitor stopped');
+    }
+  }
+
+  /**
+   * Fetch the status once, report it and chase any missing chunks
+   */
+  async poll() {
+    const consultationId = this.consultationId;
+    this.pollCount++;
+
+    if (this.pollCount > ProcessingMonitor.MAX_POLLS) {
+      console.warn('⚠️ Processing status polling timed out');
+      this.stop();
+      return;
+    }
+
+    const result = await ConsultationService.getProcessingStatus(consultationId);
+
+    // Stopped or moved on to another consultation while the request was out
+    if (!this.pollTimer || consultationId !== this.consultationId) return;
+
+    if (!result.success) {
+      if (result.status === 404 || result.status === 405) {
+        console.warn('⚠️ Processing status endpoint unavailable');
+        this.stop();
+        this.callbacks.onUnavailable?.();
+      } else {
+        console.warn('⚠️ Processing status poll failed:', result.error);
+      }
+      return;
+    }
+
+    const status = ProcessingMonitor.normalize(result.processing, this.sessionIds[this.sessionIds.length - 1]);
+    this.callbacks.onStatus?.(status);
+
+    if (status.missingChunks.length > 0) {
+      await this.reuploadMissing(status.missingChunks);
+    }
+
+    if (status.finished || status.failed) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Re-send chunks the backend never received from their local copies
+   * @param {Array<{sessionId: string, chunkNumber: number}>} missingChunks
+   */
+  async reuploadMissing(missingChunks) {
+    for (const { sessionId, chunkNumber } of missingChunks) {
+      const key = `${sessionId}:${chunkNumber}`;
+      const attempts = this.reuploadAttempts.get(key) || 0;
+      if (attempts >= ProcessingMonitor.MAX_REUPLOAD_ATTEMPTS) continue;
+      this.reuploadAttempts.set(key, attempts + 1);
+
+      const chunk = await ChunkStore.findChunk(sessionId, chunkNumber).catch(() => null);
+      if (!chunk) {
+        console.error(`❌ Backend is missing chunk ${chunkNumber} of session ${sessionId} and there is no local copy`);
+        continue;
+      }
+
+      const session = await ChunkStore.getSession(sessionId).catch(() => null);
+
+      // Audio recorded against another environment never goes to this one
+      if (!ChunkStore.belongsToBackend(session || {})) {
+        console.warn(`⚠️ Not re-sending chunk ${chunkNumber} of session ${sessionId} - it belongs to another backend`);
+        continue;
+      }
+
+      const recordingToken = chunk.recordingToken || session?.recordingToken;
+
+      // A pending chunk with an active uploader will arrive on its own
+      if (!chunk.uploadedAt && ChunkStore.isLeased(session)) continue;
+
+      if (!recordingToken) {
+        console.error(`❌ No recording token to re-send chunk ${chunkNumber} of session ${sessionId}`);
+        continue;
+      }
+
+      console.log(`🔁 Re-uploading missing chunk ${chunkNumber} of session ${sessionId}`);
+      const upload = await RecordingService.uploadChunk(
+        sessionId,
+        chunk.blob,
+        chunkNumber,
+        chunk.duration,
+        recordingToken,
+        { gaps: chunk.gaps || [], timing: chunk.timing || null, checksum: chunk.checksum || null }
+      );
+
+      if (!upload.success) {
+        console.warn(`⚠️ Re-upload of chunk ${chunkNumber} failed:`, upload.error);
+        continue;
+      }
+
+      if (!chunk.uploadedAt) {
+        await ChunkStore.markUploaded(sessionId, chunkNumber, recordingToken).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Turn the backend payload into stage progress for the UI
+   * @param {object} data - processing-status payload
+   * @param {string} defaultSessionId - Session for missing chunks reported as bare numbers
+   * @returns {{stage: string, stages: Array<{key, label, done, total, state}>, progress: number, missingChunks: Array, finished: boolean, failed: boolean, error: string|null}}
+   */
+  static normalize(data, defaultSessionId = null) {
+    data = data || {};
+    const chunks = data.chunks || {};
+    const expected = chunks.expected || chunks.received || 0;
+    const summaryStatus = data.summary?.status || 'pending';
+    const finished = data.stage === 'completed' || summaryStatus === 'completed';
+
+    const counts = {
+      received: { done: chunks.received || 0, total: expected },
+      transcribed: { done: chunks.transcribed || 0, total: expected },
+      merged: { done: (data.merged || finished) ? 1 : 0, total: 1 },
+      summarizing: {
+        done: finished ? 1 : summaryStatus === 'generating' ? (data.summary?.progress || 0) : 0,
+        total: 1
+      }
+    };
+
+    let reachedActive = false;
+    const stages = this.STAGES.map(({ key, label }) => {
+      const { done, total } = counts[key];
+      const complete = finished || (total > 0 && done >= total);
+      let state = 'pending';
+      if (complete) {
+        state = 'done';
+      } else if (!reachedActive) {
+        state = 'active';
+        reachedActive = true;
+      }
+      return { key, label, done, total, state };
+    });
+
+    const progress = stages.reduce((sum, stage) => {
+      if (stage.state === 'done') return sum + 1;
+      return sum + (stage.total > 0 ? Math.min(stage.done / stage.total, 1) : 0);
+    }, 0) / stages.length;
+
+    const missingChunks = (data.missingChunks || []).map(missing => (
+      typeof missing === 'number'
+        ? { sessionId: defaultSessionId, chunkNumber: missing }
+        : { sessionId: missing.sessionId || defaultSessionId, chunkNumber: missing.chunkNumber }
+    )).filter(missing => missing.sessionId && Number.isInteger(missing.chunkNumber));
+
+    return {
+      stage: data.stage || stages.find(stage => stage.state === 'active')?.key || 'completed',
+      stages,
+      progress,
+      missingChunks,
+      finished,
+      failed: data.stage === 'failed' || summaryStatus === 'failed',
+      error: data.error || null
+    };
+  }
+}
+
+// Create singleton instance
+const processingMonitor = new ProcessingMonitor();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ProcessingMonitor = ProcessingMonitor;
+  window.processingMonitor = processingMonitor;
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProcessingMonitor;
+}
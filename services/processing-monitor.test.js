@@ -0,0 +1,103 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.CONFIG = require('../config.js');
+const ProcessingMonitor = require('./processing-monitor.js');
+
+test('normalize attaches bare missing chunk numbers to the default session', () => {
+  const status = ProcessingMonitor.normalize({ missingChunks: [3, 5] }, 'session-2');
+  assert.deepStrictEqual(status.missingChunks, [
+    { sessionId: 'session-2', chunkNumber: 3 },
+    { sessionId: 'session-2', chunkNumber: 5 }
+  ]);
+});
+
+test('normalize keeps the session of object missing chunks and drops unusable ones', () => {
+  const status = ProcessingMonitor.normalize({
+    missingChunks: [
+      { sessionId: 'session-1', chunkNumber: 0 },
+      { chunkNumber: 4 },
+      { sessionId: 'session-1', chunkNumber: '7' }
+    ]
+  }, 'session-2');
+
+  assert.deepStrictEqual(status.missingChunks, [
+    { sessionId: 'session-1', chunkNumber: 0 },
+    { sessionId: 'session-2', chunkNumber: 4 }
+  ]);
+  assert.deepStrictEqual(ProcessingMonitor.normalize({ missingChunks: [1] }).missingChunks, []);
+});
+
+test('normalize is finished when the stage or the summary completes', () => {
+  const byStage = ProcessingMonitor.normalize({ stage: 'completed' });
+  const bySummary = ProcessingMonitor.normalize({ stage: 'summarizing', summary: { status: 'completed' } });
+
+  for (const status of [byStage, bySummary]) {
+    assert.strictEqual(status.finished, true);
+    assert.strictEqual(status.failed, false);
+    assert.strictEqual(status.progress, 1);
+    assert.ok(status.stages.every(stage => stage.state === 'done'));
+  }
+});
+
+test('normalize is failed when the stage or the summary fails', () => {
+  const byStage = ProcessingMonitor.normalize({ stage: 'failed', error: 'Transcription failed' });
+  const bySummary = ProcessingMonitor.normalize({ summary: { status: 'failed' } });
+
+  assert.strictEqual(byStage.failed, true);
+  assert.strictEqual(byStage.error, 'Transcription failed');
+  assert.strictEqual(bySummary.failed, true);
+  assert.strictEqual(bySummary.finished, false);
+});
+
+test('normalize marks the first unfinished stage active', () => {
+  const status = ProcessingMonitor.normalize({ chunks: { expected: 4, received: 4, transcribed: 1 } });
+
+  assert.deepStrictEqual(status.stages.map(stage => stage.state), ['done', 'active', 'pending', 'pending']);
+  assert.strictEqual(status.stage, 'transcribed');
+  assert.strictEqual(status.finished, false);
+});
+
+test('reuploadMissing re-sends local copies up to the attempt limit, only to their own backend', async (t) => {
+  const chunks = {
+    'session-1:2': { blob: new Blob(['a']), duration: 10, uploadedAt: 1 },
+    'session-old:0': { blob: new Blob(['b']), duration: 10, uploadedAt: 1 }
+  };
+  const sessions = {
+    'session-1': { recordingToken: 'token-1', backendUrl: CONFIG.BACKEND_URL },
+    'session-old': { recordingToken: 'token-old', backendUrl: 'https://other.example.com' }
+  };
+
+  global.ChunkStore = {
+    findChunk: async (sessionId, chunkNumber) => chunks[`${sessionId}:${chunkNumber}`] || null,
+    getSession: async (sessionId) => sessions[sessionId] || null,
+    isLeased: () => false,
+    belongsToBackend: (session) => session.backendUrl === CONFIG.BACKEND_URL,
+    markUploaded: async () => {}
+  };
+  const uploads = [];
+  global.RecordingService = {
+    uploadChunk: async (sessionId, blob, chunkNumber, duration, recordingToken) => {
+      uploads.push({ sessionId, chunkNumber, recordingToken });
+      return { success: true };
+    }
+  };
+  t.after(() => {
+    delete global.ChunkStore;
+    delete global.RecordingService;
+  });
+
+  const monitor = new ProcessingMonitor();
+  const missing = [
+    { sessionId: 'session-1', chunkNumber: 2 },
+    { sessionId: 'session-old', chunkNumber: 0 },
+    { sessionId: 'session-1', chunkNumber: 9 }
+  ];
+  for (let poll = 0; poll < ProcessingMonitor.MAX_REUPLOAD_ATTEMPTS + 2; poll++) {
+    await monitor.reuploadMissing(missing);
+  }
+
+  assert.strictEqual(uploads.length, ProcessingMonitor.MAX_REUPLOAD_ATTEMPTS);
+  assert.ok(uploads.every(upload => upload.sessionId === 'session-1' && upload.recordingToken === 'token-1'));
+});
@@ -1,7 +1,7 @@
 /**
  * Summary Service with HTTP SSE Streaming
  * Matches web app pattern: Progressive HTTP streaming via Server-Sent Events
- * NO WEBSOCKET - Uses regular fetch() with ReadableStream
+ * NO WEBSOCKET - Uses an APIClient streaming request (fetch with ReadableStream)
  */
 
 class SummaryService {
@@ -20,8 +20,8 @@ class SummaryService {
   /**
    * Generate summary with HTTP SSE streaming (matches web app)
    * @param {string} consultationId
-   * @param {object} options - { onChunk, onComplete, onError, onProgress, templateId }
-   * @returns {Promise<{success: boolean, summary?: string, error?: string}>}
+   * @param {object} options - { onChunk, onComplete, onError, onProgress, templateId, sessionIds } (sessionIds lists the consultation's recording sessions in the order they were recorded)
+   * @returns {Promise<{success: boolean, summary?: string, error?: string, errorType?: string}>}
    */
   async generateSummary(consultationId, options = {}) {
     try {
@@ -39,29 +39,30 @@ class SummaryService {
       this.accumulatedSummary = '';
       this.isStreaming = true;
 
-      // Build endpoint URL with optional templateId
-      const authHeaders = await TokenManager.getAuthHeaders();
-      const endpoint = options.templateId
-        ? `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.GENERATE_SUMMARY_STREAM(consultationId)}?templateId=${options.templateId}`
-        : `${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.GENERATE_SUMMARY_STREAM(consultationId)}`;
+      // Build endpoint URL with optional templateId and session order
+      const params = new URLSearchParams();
+      if (options.templateId) {
+        params.set('templateId', options.templateId);
+      }
+      if (options.sessionIds?.length > 1) {
+        params.set('sessionIds', options.sessionIds.join(','));
+      }
+      const query = params.toString();
+      const endpoint = `${CONFIG.ENDPOINTS.GENERATE_SUMMARY_STREAM(consultationId)}${query ? `?${query}` : ''}`;
 
       console.log('📡 Triggering HTTP SSE streaming:', endpoint);
 
-      // Make HTTP request (response will be streamed)
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: authHeaders
-      });
+      // Make HTTP request (response will be streamed; the timeout only covers the headers)
+      const result = await APIClient.post(endpoint, undefined, { stream: true });
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to generate summary');
+      if (!result.success) {
+        throw APIClient.toError(result, 'Failed to generate summary');
       }
 
       console.log('✅ HTTP SSE stream started, reading response body...');
 
       // Get readable stream from response body
-      const reader = response.body?.getReader();
+      const reader = result.response.body?.getReader();
       if (!reader) {
         throw new Error('Response body is not readable');
       }
@@ -84,7 +85,8 @@ class SummaryService {
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorType: error.errorType || APIClient.ERROR_TYPES.NETWORK
       };
     }
   }
@@ -4,6 +4,9 @@ const allowBtn = document.getElementById('allowBtn');
 const statusDiv = document.getElementById('status');
 const btnText = allowBtn.querySelector('.btn-text');
 const btnSpinner = allowBtn.querySelector('.btn-spinner');
+const micPicker = document.getElementById('micPicker');
+const micSelect = document.getElementById('micSelect');
+const doneBtn = document.getElementById('doneBtn');
 
 // Check if already set up
 async function checkSetupStatus() {
@@ -108,17 +111,37 @@ function showSuccess() {
   statusDiv.innerHTML = `
     <div class="status-success">
       <p><strong>✅ Microphone access granted!</strong></p>
-      <p>This tab will close in 2 seconds...</p>
+      <p>Choose the microphone to record with, then click Done.</p>
       <p class="status-next">Go to any EzyVet patient page and open the BrobyVets sidebar to start.</p>
     </div>
   `;
 
-  // Auto-close tab after 2 seconds
-  setTimeout(() => {
-    window.close();
-  }, 2000);
+  showMicrophonePicker();
 }
 
+// Show microphone selection (labels are only available after permission is granted)
+async function showMicrophonePicker() {
+  await MicrophonePreferences.populateSelect(micSelect);
+  micPicker.style.display = 'block';
+}
+
+// Save microphone choice
+micSelect.addEventListener('change', async () => {
+  const option = micSelect.options[micSelect.selectedIndex];
+  await MicrophonePreferences.setPreferred(micSelect.value, option?.textContent || '');
+});
+
+// Refresh list when a mic is plugged in or removed
+navigator.mediaDevices.addEventListener('devicechange', () => {
+  if (micPicker.style.display !== 'none') {
+    MicrophonePreferences.populateSelect(micSelect);
+  }
+});
+
+doneBtn.addEventListener('click', () => {
+  window.close();
+});
+
 // Button click handler
 allowBtn.addEventListener('click', async () => {
   await requestMicrophonePermission();
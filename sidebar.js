@@ -1,32 +1,63 @@
 console.log('🐾 Sidebar loaded');
 
 class BrobyVetsSidebar {
+  // Live input level meter
+  static WAVEFORM_BARS = 32;
+  static SILENCE_RMS = 0.01; // ~ -40 dBFS
+  static SILENCE_WARNING_MS = 8000;
+  static CLIP_PEAK = 0.98;
+  static CLIP_WINDOW_MS = 3000;
+  static CLIP_WARNING_COUNT = 3;
+
   constructor() {
     this.currentPatient = null;
     this.lastUpdate = 0;
-    this.pollCount = 0;
     this.isAuthenticated = false;
     this.currentState = 'ready'; // ready, recording, processing, completed
     this.timerSeconds = 0;
     this.timerInterval = null;
+    this.recordedMs = 0; // Pause-aware recorded time from the recording layer (timerSeconds mirrors it)
+    this.segments = []; // Recording sessions of this consultation in order ({ sessionId, startedAt, durationSeconds })
+    this.completedSummary = null; // Summary as the backend returned it for the completed view
+    this.completedPatient = null; // Patient the submitted consultation was recorded for (inserts go to them)
+    this.supersededSummary = null; // Summary from before another session was added (polling must wait for a new one)
+    this.lastProcessingStatus = null; // Latest ProcessingMonitor status while processing
     this.recordingManager = new RecordingManager();
     this.consultationId = null;
     this.sessionId = null;
+    this.recordingToken = null;
+    this.nextChunkNumber = 0; // Set when a persisted consultation is loaded without a live recorder
     this.summaryPollInterval = null;
     this.isPaused = false;
     // Photo management
     this.photos = [];
     this.uploadingPhotos = new Set();
 
-    // Multi-consult management
+    // Multi-consult management (mirrors ConsultationStore in chrome.storage.local)
     this.activeConsultations = new Map(); // patientId -> consultation state
     this.activeConsultationId = null; // Currently viewing consultation
 
+    // Input level meter state
+    this.levelHistory = [];
+    this.silenceSince = null;
+    this.clipTimestamps = [];
+    this.recordingManager.onAudioLevel = (level) => this.handleAudioLevel(level);
+    this.recordingManager.onSilence = (event) => this.handleSilence(event);
+    this.recordingManager.onCaptureStatus = (status) => this.handleCaptureStatus(status);
+    this.recordingManager.onUploadBlocked = (event) => this.handleUploadBlocked(event);
+
+    // Warn when the backend looks down (audio keeps being saved locally meanwhile)
+    APIClient.onCircuitChange((event) => this.showBackendStatus(event));
+
     // Template management
     this.templates = [];
     this.selectedTemplate = null;
     this.templateDropdownOpen = false;
 
+    // Options page settings (SettingsStore) and the summary as last rendered with them
+    this.settings = SettingsStore.getDefaults();
+    this.displayedSummary = null;
+
     this.init();
   }
 
@@ -40,17 +71,31 @@ class BrobyVetsSidebar {
     }
     this.templateDropdownOpen = false;
 
+    // Point the API at the chosen backend before anything calls it
+    this.showEnvironment(await EnvironmentProfiles.apply());
+    EnvironmentProfiles.watch((profile) => {
+      this.showEnvironment(profile);
+      this.checkAuthentication();
+    });
+
+    // Options page settings, kept current while the panel is open
+    this.settings = await SettingsStore.get();
+    SettingsStore.watch((settings) => this.applySettings(settings));
+
     // Check authentication first
     await this.checkAuthentication();
 
     // Setup event listeners
     this.setupEventListeners();
 
-    // If authenticated, load templates and start polling
+    // If authenticated, load templates, restore paused consults and pick up the
+    // patient already open in EzyVet (later changes arrive via storage.onChanged)
     if (this.isAuthenticated) {
       await this.loadTemplates();
+      await this.restoreConsultations();
+      this.drainPendingChunks();
+      AudioArchive.purgeExpired();
       await this.checkStorage();
-      this.startPolling();
     }
 
     console.log('✅ Sidebar initialized');
@@ -65,6 +110,7 @@ class BrobyVetsSidebar {
     const loginModal = document.getElementById('login-modal');
     const mainContent = document.getElementById('main-content');
     const logoutBtn = document.getElementById('logoutBtn');
+    const settingsBtn = document.getElementById('settingsBtn');
     const sidebarLogo = document.getElementById('sidebarLogo');
 
     if (authenticated) {
@@ -72,6 +118,7 @@ class BrobyVetsSidebar {
       loginModal.style.display = 'none';
       mainContent.style.display = 'block';
       logoutBtn.style.display = 'block';
+      if (settingsBtn) settingsBtn.style.display = 'block';
       if (sidebarLogo) sidebarLogo.style.display = 'flex';
 
       // Auto-focus email on next login
@@ -81,6 +128,8 @@ class BrobyVetsSidebar {
       loginModal.style.display = 'flex';
       mainContent.style.display = 'none';
       logoutBtn.style.display = 'none';
+      if (settingsBtn) settingsBtn.style.display = 'none';
+      this.toggleSettingsPanel(false);
       if (sidebarLogo) sidebarLogo.style.display = 'none';
 
       // Auto-focus email input
@@ -101,6 +150,67 @@ class BrobyVetsSidebar {
       await this.handleLogout();
     });
 
+    // Settings button
+    document.getElementById('settingsBtn')?.addEventListener('click', () => {
+      this.toggleSettingsPanel();
+    });
+
+    // Full options page (workflow and summary settings)
+    document.getElementById('openOptionsBtn')?.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    // Developer options - five quick taps on the logo or the sign-in title
+    this.setupDeveloperEntry(document.getElementById('sidebarLogo'));
+    this.setupDeveloperEntry(document.querySelector('.login-modal-header h2'));
+
+    // Microphone selection
+    const micSelect = document.getElementById('micSelect');
+    micSelect?.addEventListener('change', async () => {
+      const option = micSelect.options[micSelect.selectedIndex];
+      await MicrophonePreferences.setPreferred(micSelect.value, option?.textContent || '');
+    });
+
+    // Silence detection settings
+    document.getElementById('silenceModeSelect')?.addEventListener('change', (e) => {
+      SilencePreferences.set({ mode: e.target.value });
+    });
+    document.getElementById('silenceDurationSelect')?.addEventListener('change', (e) => {
+      SilencePreferences.set({ durationMs: Number(e.target.value) });
+    });
+    document.getElementById('silenceThresholdSelect')?.addEventListener('change', (e) => {
+      SilencePreferences.set({ threshold: Number(e.target.value) });
+    });
+
+    // Chunking and bitrate settings ('' = clinic default)
+    document.getElementById('chunkDurationSelect')?.addEventListener('change', (e) => {
+      RecordingPreferences.set({ chunkDurationMs: e.target.value ? Number(e.target.value) : null });
+    });
+    document.getElementById('bitrateSelect')?.addEventListener('change', (e) => {
+      RecordingPreferences.set({ audioBitsPerSecond: e.target.value ? Number(e.target.value) : null });
+    });
+
+    // Local audio archive settings
+    document.getElementById('archiveEnabledCheckbox')?.addEventListener('change', (e) => {
+      AudioArchive.saveSettings({ enabled: e.target.checked });
+    });
+    document.getElementById('archiveRetentionSelect')?.addEventListener('change', (e) => {
+      AudioArchive.saveSettings({ retentionDays: Number(e.target.value) });
+    });
+
+    // Silence prompt action (pause or resume depending on the prompt shown)
+    document.getElementById('silencePromptBtn')?.addEventListener('click', () => {
+      this.pauseRecording(this.isPaused ? 'manual' : 'silence');
+    });
+
+    // Refresh microphone list when devices are plugged in or removed
+    navigator.mediaDevices?.addEventListener('devicechange', () => {
+      const panel = document.getElementById('settings-panel');
+      if (micSelect && panel?.style.display !== 'none') {
+        MicrophonePreferences.populateSelect(micSelect);
+      }
+    });
+
     // Start button
     document.getElementById('startBtn')?.addEventListener('click', () => {
       this.startRecording();
@@ -121,6 +231,16 @@ class BrobyVetsSidebar {
       this.startNewConsult();
     });
 
+    // Download archived recording
+    document.getElementById('exportAudioBtn')?.addEventListener('click', () => {
+      this.exportRecording();
+    });
+
+    // Record another session into the completed consultation
+    document.getElementById('addRecordingBtn')?.addEventListener('click', () => {
+      this.addRecording();
+    });
+
     // Insert into EzyVet button
     document.getElementById('insertBtn')?.addEventListener('click', () => {
       this.insertIntoEzyVet();
@@ -142,11 +262,26 @@ class BrobyVetsSidebar {
     // Storage change listener
     chrome.storage.onChanged.addListener((changes, area) => {
       console.log('📨 STORAGE CHANGED:', changes);
-      if (area === 'local' && changes.currentPatient) {
+      if (area !== 'local') return;
+
+      if (changes.currentPatient) {
         const patient = changes.currentPatient.newValue;
         console.log('👤 Patient from storage change:', patient?.name);
+        if (changes.lastUpdate) {
+          this.lastUpdate = changes.lastUpdate.newValue;
+        }
         this.updatePatient(patient);
       }
+
+      // Preferences edited on the options page (or in another window)
+      const keys = CONFIG.STORAGE_KEYS;
+      if (changes[keys.RECORDING_SETTINGS]) {
+        this.recordingManager.applyRecordingSettings();
+      }
+      if ([keys.MIC_DEVICE, keys.SILENCE_DETECTION, keys.RECORDING_SETTINGS, keys.AUDIO_ARCHIVE].some(key => changes[key]) &&
+          document.getElementById('settings-panel')?.style.display !== 'none') {
+        this.toggleSettingsPanel(true);
+      }
     });
 
     // Photo upload event listeners
@@ -280,8 +415,9 @@ class BrobyVetsSidebar {
         errorMessage.style.color = '#34C759';
 
         // Close modal and show main content
-        setTimeout(() => {
-          this.checkAuthentication();
+        setTimeout(async () => {
+          await this.checkAuthentication();
+          this.checkStorage();
           emailInput.value = '';
           passwordInput.value = '';
         }, 500);
@@ -324,9 +460,11 @@ class BrobyVetsSidebar {
     if (result.success) {
       console.log('✅ Logout successful');
 
-      // Clear local state
+      // Clear local state (persisted consultations were cleared with the auth data)
       this.currentPatient = null;
       this.lastUpdate = 0;
+      this.activeConsultations.clear();
+      this.updatePausedConsultationsGrid();
 
       // Show login screen
       await this.checkAuthentication();
@@ -336,13 +474,123 @@ class BrobyVetsSidebar {
     }
   }
 
-  startPolling() {
-    console.log('🔄 Starting polling interval...');
-    setInterval(() => {
-      this.pollCount++;
-      console.log('⏰ Poll #' + this.pollCount);
-      this.checkStorage();
-    }, 1000);
+  /**
+   * Show/hide the settings panel
+   * @param {boolean} [show] - Omit to toggle
+   */
+  async toggleSettingsPanel(show) {
+    const panel = document.getElementById('settings-panel');
+    if (!panel) return;
+
+    const shouldShow = show ?? panel.style.display === 'none';
+    panel.style.display = shouldShow ? 'block' : 'none';
+
+    if (shouldShow) {
+      const micSelect = document.getElementById('micSelect');
+      if (micSelect) {
+        await MicrophonePreferences.populateSelect(micSelect);
+      }
+
+      const silence = await SilencePreferences.get();
+      const setSelect = (id, value) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        // Keep custom values (set outside the panel) selectable
+        if (![...select.options].some(option => option.value === value)) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = `Custom (${value})`;
+          select.appendChild(option);
+        }
+        select.value = value;
+      };
+      setSelect('silenceModeSelect', silence.mode);
+      setSelect('silenceDurationSelect', String(silence.durationMs));
+      setSelect('silenceThresholdSelect', String(silence.threshold));
+
+      const overrides = await RecordingPreferences.getOverrides();
+      setSelect('chunkDurationSelect', overrides.chunkDurationMs ? String(overrides.chunkDurationMs) : '');
+      setSelect('bitrateSelect', overrides.audioBitsPerSecond ? String(overrides.audioBitsPerSecond) : '');
+
+      const archive = await AudioArchive.getSettings();
+      const archiveCheckbox = document.getElementById('archiveEnabledCheckbox');
+      if (archiveCheckbox) archiveCheckbox.checked = archive.enabled;
+      setSelect('archiveRetentionSelect', String(archive.retentionDays));
+    }
+  }
+
+  /**
+   * Tell the vet when the saved microphone wasn't available
+   * @param {object} microphone - { deviceLabel, deviceFallback, preferredLabel }
+   */
+  showMicrophoneNotice(microphone) {
+    const notice = document.getElementById('recording-notice');
+    if (!notice) return;
+
+    if (!microphone?.deviceFallback) {
+      notice.style.display = 'none';
+      return;
+    }
+
+    const preferred = microphone.preferredLabel || 'Your saved microphone';
+    const actual = microphone.deviceLabel || 'the system default microphone';
+    notice.textContent = `🎤 ${preferred} isn't connected - recording with ${actual} instead`;
+    notice.style.display = 'block';
+  }
+
+  /**
+   * Show the recording supervisor's progress when capture was interrupted
+   * @param {object} status - { state: 'lost'|'recovered'|'failed', reason, microphone?, error? }
+   */
+  async handleCaptureStatus(status) {
+    const notice = document.getElementById('recording-notice');
+    const statusEl = document.getElementById('recording-status');
+
+    if (status.state === 'lost') {
+      if (statusEl) statusEl.textContent = 'Reconnecting...';
+      if (notice) {
+        notice.textContent = `⚠️ Recording interrupted (${status.reason}) - restarting...`;
+        notice.style.display = 'block';
+      }
+      return;
+    }
+
+    if (status.state === 'recovered') {
+      if (statusEl) statusEl.textContent = this.isPaused ? 'Paused' : 'Recording';
+      this.showMicrophoneNotice(status.microphone);
+      if (notice && !status.microphone?.deviceFallback) {
+        notice.textContent = `🔁 Recording was interrupted (${status.reason}) and restarted`;
+        notice.style.display = 'block';
+      }
+      return;
+    }
+
+    // Recovery gave up - leave the consult paused so the vet can resume by hand
+    if (!this.isPaused) {
+      await this.pauseRecording('manual');
+    }
+    if (statusEl) statusEl.textContent = 'Paused';
+    if (notice) {
+      notice.textContent = `❌ Recording stopped (${status.error || status.reason}). Press Resume to try again.`;
+      notice.style.display = 'block';
+    }
+  }
+
+  /**
+   * The backend stopped accepting this recording's audio (e.g. its recording
+   * token expired) - pause instead of recording more that can't be uploaded
+   * @param {object} event - { errorType, error, pending }
+   */
+  async handleUploadBlocked(event) {
+    if (!this.isPaused && this.currentState === 'recording') {
+      await this.pauseRecording('manual');
+    }
+
+    const notice = document.getElementById('recording-notice');
+    if (notice) {
+      notice.textContent = `❌ Audio uploads stopped: ${event.error} ${event.pending} chunk(s) were not sent and are kept on this computer. Recording is paused.`;
+      notice.style.display = 'block';
+    }
   }
 
   async checkStorage() {
@@ -373,6 +621,14 @@ class BrobyVetsSidebar {
     // Check if this is a DIFFERENT patient than current
     const isDifferentPatient = this.currentPatient && this.currentPatient.id !== patient.id;
 
+    // Same patient re-detected mid-consult (e.g. EzyVet navigation) - keep the current view
+    if (!isDifferentPatient && this.currentPatient && this.consultationId) {
+      this.currentPatient = patient;
+      this.updatePatientUI(patient);
+      this.updatePausedConsultationsGrid();
+      return;
+    }
+
     if (isDifferentPatient) {
       console.log('🔄 Different patient detected!', {
         from: this.currentPatient.name,
@@ -414,10 +670,30 @@ class BrobyVetsSidebar {
     });
 
     detailsEls.forEach(detailsEl => {
-      detailsEl.textContent = `${patient.species} • ID: ${patient.id} • ${patient.date}`;
+      detailsEl.textContent = this.describePatient(patient);
     });
   }
 
+  /**
+   * One-line signalment for the patient header
+   * @param {object} patient - From EzyVetPatientExtractor (older records may only have species)
+   * @returns {string} e.g. 'Dog • Labrador • Female Spayed • 4y 2m • 28.5 kg • ID: 1234 • Owner: J Smith'
+   */
+  describePatient(patient) {
+    const weight = patient.weight ? `${patient.weight.value} ${patient.weight.unit}` : null;
+
+    return [
+      patient.species,
+      patient.breed,
+      patient.sex,
+      patient.age,
+      weight,
+      `ID: ${patient.id}`,
+      patient.clientName ? `Owner: ${patient.clientName}` : null,
+      patient.date
+    ].filter(Boolean).join(' • ');
+  }
+
   // Template Management
   async loadTemplates() {
     try {
@@ -434,8 +710,8 @@ class BrobyVetsSidebar {
           console.warn('⚠️ No templates found in database');
         }
 
-        // Update display to show "Default (No Template)" initially
-        this.updateTemplateDisplay();
+        // Start from the default template chosen on the options page (if any)
+        this.applyDefaultTemplate();
       } else {
         console.error('❌ Failed to load templates:', result.error);
         // Update UI to show error
@@ -454,6 +730,43 @@ class BrobyVetsSidebar {
     }
   }
 
+  /**
+   * Select the default template from settings (none if it isn't set or no longer exists)
+   */
+  applyDefaultTemplate() {
+    const templateId = this.settings.defaultTemplateId;
+    this.selectedTemplate = templateId
+      ? this.templates.find(template => template.id === templateId) || null
+      : null;
+
+    if (templateId && !this.selectedTemplate) {
+      console.warn('⚠️ Default template not found, using no template:', templateId);
+    }
+    this.updateTemplateDisplay();
+  }
+
+  /**
+   * Take changed settings into use
+   * The default template only moves while no consult is under way; a summary on
+   * screen is re-rendered unless the vet has already edited it.
+   * @param {object} settings - Effective settings from SettingsStore
+   */
+  applySettings(settings) {
+    const previous = this.settings;
+    this.settings = settings;
+    console.log('⚙️ Settings updated:', settings);
+
+    if (settings.defaultTemplateId !== previous.defaultTemplateId && this.currentState === 'ready') {
+      this.applyDefaultTemplate();
+    }
+
+    const summaryContent = document.getElementById('summaryContent');
+    if (this.completedSummary && summaryContent && summaryContent.value === this.displayedSummary) {
+      this.displayedSummary = SummaryFormatter.format(this.completedSummary, settings);
+      summaryContent.value = this.displayedSummary;
+    }
+  }
+
   updateTemplateDisplay() {
     const templateName = document.getElementById('template-name');
     if (templateName) {
@@ -631,6 +944,121 @@ class BrobyVetsSidebar {
 
     // Show requested state
     document.getElementById(`${state}-state`).style.display = 'flex';
+
+    if (state !== 'processing') {
+      processingMonitor.stop();
+    }
+
+    if (state === 'completed') {
+      this.updateExportButton();
+      this.renderSegments();
+    }
+  }
+
+  /**
+   * List the consultation's recording sessions when there is more than one
+   */
+  renderSegments() {
+    const list = document.getElementById('segmentList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (this.segments.length < 2) {
+      list.style.display = 'none';
+      return;
+    }
+
+    this.segments.forEach((segment, index) => {
+      const row = document.createElement('div');
+      row.className = 'segment-row';
+
+      const label = document.createElement('span');
+      label.textContent = `🎙️ Segment ${index + 1}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'segment-meta';
+      const startedAt = new Date(segment.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      meta.textContent = `${startedAt} · ${this.formatSegmentDuration(segment.durationSeconds)}`;
+
+      row.appendChild(label);
+      row.appendChild(meta);
+      list.appendChild(row);
+    });
+
+    list.style.display = 'block';
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} e.g. "8m 20s"
+   */
+  formatSegmentDuration(seconds) {
+    const minutes = Math.floor((seconds || 0) / 60);
+    const remainder = (seconds || 0) % 60;
+    return minutes > 0 ? `${minutes}m ${remainder}s` : `${remainder}s`;
+  }
+
+  /**
+   * Offer the archived recording for download when there is one for this consult
+   */
+  async updateExportButton() {
+    const exportBtn = document.getElementById('exportAudioBtn');
+    if (!exportBtn) return;
+
+    const archived = await Promise.all(this.getSessionIds().map(sessionId => AudioArchive.hasAudio(sessionId)));
+    exportBtn.style.display = archived.includes(true) ? 'block' : 'none';
+  }
+
+  /**
+   * Recording sessions of the current consult, in recording order
+   * @returns {string[]}
+   */
+  getSessionIds() {
+    const sessionIds = this.segments.map(segment => segment.sessionId);
+    if (this.sessionId && !sessionIds.includes(this.sessionId)) {
+      sessionIds.push(this.sessionId);
+    }
+    return sessionIds;
+  }
+
+  /**
+   * Download the archived recording of the current consult as a single file
+   */
+  async exportRecording() {
+    const exportBtn = document.getElementById('exportAudioBtn');
+    const originalText = exportBtn?.textContent;
+    if (exportBtn) {
+      exportBtn.disabled = true;
+      exportBtn.textContent = '⏳ Preparing download...';
+    }
+
+    // Every session of the consult, merged in the order they were recorded
+    const result = await AudioArchive.exportRecording(this.getSessionIds());
+
+    if (exportBtn) {
+      exportBtn.disabled = false;
+      exportBtn.textContent = originalText;
+    }
+
+    if (!result.success) {
+      alert(`❌ Failed to export recording: ${result.error}`);
+      return;
+    }
+
+    const patientName = (this.currentPatient?.name || 'consultation').replace(/[^a-z0-9-]+/gi, '_');
+    const date = new Date().toISOString().slice(0, 10);
+
+    const url = URL.createObjectURL(result.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${patientName}_${date}.${result.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log('⬇️ Archived recording exported:', link.download);
   }
 
   // Multi-Consult Management
@@ -645,33 +1073,113 @@ class BrobyVetsSidebar {
       if (!this.isPaused) {
         this.recordingManager.pauseRecording();
         this.isPaused = true;
-        clearInterval(this.timerInterval);
+        this.stopTimer();
+        await this.syncTimer();
+        this.resetLevelMeter();
+        this.showSilencePrompt(null);
       }
 
       // Save current consultation state
-      const consultState = {
-        patientId: this.currentPatient.id,
-        patient: {...this.currentPatient},
-        consultationId: this.consultationId,
-        sessionId: this.sessionId,
-        timerSeconds: this.timerSeconds,
-        photos: [...this.photos],
-        state: 'paused',
-        pausedAt: new Date().toISOString()
-      };
-
-      this.activeConsultations.set(this.currentPatient.id, consultState);
+      const consultState = await this.persistCurrentConsultation('paused');
       console.log('✅ Consultation saved', consultState);
     }
   }
 
+  /**
+   * Snapshot the consultation currently on screen into the durable store
+   * @param {string} state - 'recording' or 'paused'
+   * @returns {Promise<object>} The persisted consultation state
+   */
+  async persistCurrentConsultation(state) {
+    const isLiveSession = this.recordingManager.sessionId === this.sessionId;
+
+    const consultState = {
+      patientId: this.currentPatient.id,
+      patient: {...this.currentPatient},
+      consultationId: this.consultationId,
+      sessionId: this.sessionId,
+      recordingToken: this.recordingToken,
+      nextChunkNumber: isLiveSession ? this.recordingManager.nextChunkNumber : this.nextChunkNumber,
+      segments: this.segments.map(segment => ({ ...segment })),
+      timerSeconds: this.timerSeconds,
+      recordedMs: this.recordedMs,
+      photos: [...this.photos],
+      state,
+      pausedAt: new Date().toISOString()
+    };
+
+    this.activeConsultations.set(consultState.patientId, consultState);
+    await ConsultationStore.save(consultState);
+
+    return consultState;
+  }
+
+  /**
+   * Drop a consultation from the paused grid and the durable store
+   * @param {string} patientId
+   */
+  async forgetConsultation(patientId) {
+    this.activeConsultations.delete(patientId);
+    await ConsultationStore.remove(patientId);
+    this.updatePausedConsultationsGrid();
+  }
+
+  /**
+   * Rebuild paused consultations from the durable store on startup
+   * Each entry is reconciled against the backend first so completed or
+   * deleted consultations don't reappear.
+   */
+  async restoreConsultations() {
+    try {
+      const consultations = await ConsultationStore.reconcile();
+
+      this.activeConsultations.clear();
+      Object.values(consultations).forEach(consult => {
+        // Nothing is capturing audio after a reload, so every restored consult is paused
+        this.activeConsultations.set(consult.patientId, { ...consult, state: 'paused' });
+      });
+
+      console.log(`📂 Restored ${this.activeConsultations.size} paused consultation(s)`);
+      this.updatePausedConsultationsGrid();
+    } catch (error) {
+      console.error('❌ Failed to restore consultations:', error);
+    }
+  }
+
+  /**
+   * Ask the background drainer to upload audio left over from a previous panel
+   */
+  drainPendingChunks() {
+    chrome.runtime.sendMessage({ type: 'DRAIN_CHUNK_QUEUE' })
+      .then(result => {
+        if (result?.uploaded) {
+          console.log(`🚰 Background drainer uploaded ${result.uploaded} leftover chunk(s)`);
+        }
+      })
+      .catch(error => console.warn('⚠️ Chunk drain request failed:', error));
+  }
+
   async loadConsultation(consultState) {
     console.log('📂 Loading consultation:', consultState);
 
+    // Prefer the durable copy - it may be newer than the in-memory one
+    const storedState = await ConsultationStore.get(consultState.patientId);
+    if (storedState && storedState.consultationId === consultState.consultationId) {
+      consultState = { ...storedState, state: consultState.state };
+    }
+
     // Restore consultation data
     this.consultationId = consultState.consultationId;
     this.sessionId = consultState.sessionId;
-    this.timerSeconds = consultState.timerSeconds;
+    this.recordingToken = consultState.recordingToken || null;
+    this.nextChunkNumber = consultState.nextChunkNumber || 0;
+    this.segments = consultState.segments || [{
+      sessionId: consultState.sessionId,
+      startedAt: consultState.pausedAt,
+      durationSeconds: 0
+    }];
+    this.recordedMs = consultState.recordedMs ?? (consultState.timerSeconds || 0) * 1000;
+    this.timerSeconds = Math.floor(this.recordedMs / 1000);
     this.photos = consultState.photos || [];
     this.activeConsultationId = consultState.consultationId;
 
@@ -682,8 +1190,9 @@ class BrobyVetsSidebar {
     this.showState('recording');
     this.isPaused = true;
 
-    // Update timer display
+    // Update timer display (the recorder may have kept counting through a panel reload)
     this.updateTimer();
+    await this.syncTimer();
 
     // Update pause button
     const pauseBtn = document.getElementById('pauseBtn');
@@ -707,8 +1216,12 @@ class BrobyVetsSidebar {
     // Clear current grid
     pausedGrid.innerHTML = '';
 
-    // Show/hide section based on active consultations
-    if (this.activeConsultations.size === 0) {
+    // The consultation being recorded right now is persisted too, but it isn't paused
+    const pausedConsultations = Array.from(this.activeConsultations.entries())
+      .filter(([, consult]) => consult.state === 'paused');
+
+    // Show/hide section based on paused consultations
+    if (pausedConsultations.length === 0) {
       pausedSection.style.display = 'none';
       return;
     }
@@ -716,7 +1229,7 @@ class BrobyVetsSidebar {
     pausedSection.style.display = 'block';
 
     // Add cards for each paused consultation
-    this.activeConsultations.forEach((consult, patientId) => {
+    pausedConsultations.forEach(([patientId, consult]) => {
       const card = document.createElement('div');
       card.className = 'paused-card';
       if (patientId === this.currentPatient?.id) {
@@ -759,7 +1272,11 @@ class BrobyVetsSidebar {
     });
   }
 
-  async startRecording() {
+  /**
+   * Start recording the current patient
+   * @param {object} options - { consultationId } to add a session to an existing consultation
+   */
+  async startRecording(options = {}) {
     if (!this.currentPatient) {
       alert('❌ No patient selected. Please select a patient in EzyVet first.');
       return;
@@ -806,22 +1323,35 @@ class BrobyVetsSidebar {
     console.log('✅ Permission checks passed, starting recording workflow...');
 
     const result = await this.recordingManager.startRecording({
-      name: this.currentPatient.name,
-      id: this.currentPatient.id,
-      species: this.currentPatient.species,
+      ...this.currentPatient, // Identity and signalment from EzyVet
       templateId: this.selectedTemplate?.id || null  // Include selected template
+    }, {
+      consultationId: options.consultationId || null
     });
 
     if (!result.success) {
-      alert(`❌ Failed to start recording: ${result.error}`);
+      this.showApiError('Failed to start recording', result);
       return;
     }
 
     // Store consultation and session IDs
     this.consultationId = result.consultationId;
     this.sessionId = result.sessionId;
+    this.recordingToken = result.recordingToken;
+
+    // A new consultation starts a new list; an added session goes after the earlier ones
+    if (!options.consultationId) {
+      this.segments = [];
+    }
+    this.segments.push({
+      sessionId: this.sessionId,
+      startedAt: new Date().toISOString(),
+      durationSeconds: 0
+    });
 
-    console.log('✅ Recording started:', { consultationId: this.consultationId, sessionId: this.sessionId });
+    console.log('✅ Recording started:', { consultationId: this.consultationId, sessionId: this.sessionId, segment: this.segments.length });
+
+    this.showMicrophoneNotice(result.microphone);
 
     // Load existing photos if any (async, don't block)
     this.loadExistingPhotos(this.consultationId);
@@ -830,13 +1360,215 @@ class BrobyVetsSidebar {
     this.showState('recording');
 
     // Start timer
+    this.recordedMs = 0;
     this.timerSeconds = 0;
     this.isPaused = false;
     this.updateTimer();
-    this.timerInterval = setInterval(() => {
-      this.timerSeconds++;
-      this.updateTimer();
-    }, 1000);
+    this.startTimer();
+
+    // Persist immediately so a crash mid-consult can still be recovered
+    await this.persistCurrentConsultation('recording');
+  }
+
+  /**
+   * Handle a live input level reading while recording
+   * @param {object} level - { rms, peak, timestamp } (linear 0..1)
+   */
+  handleAudioLevel(level) {
+    if (this.currentState !== 'recording' || this.isPaused) return;
+
+    this.levelHistory.push(level.rms);
+    if (this.levelHistory.length > BrobyVetsSidebar.WAVEFORM_BARS) {
+      this.levelHistory.shift();
+    }
+
+    this.renderWaveform();
+    this.checkLevelWarnings(level);
+  }
+
+  /**
+   * React to sustained silence while recording
+   * @param {object} event - { state, action, silentForMs } (action decided by RecordingManager)
+   */
+  async handleSilence(event) {
+    if (this.currentState !== 'recording') return;
+
+    const silentFor = this.formatSilenceDuration(event.silentForMs);
+
+    switch (event.action) {
+      case 'auto-pause':
+        if (!this.isPaused) {
+          await this.pauseRecording('silence');
+          this.showSilencePrompt(`🔇 Paused after ${silentFor} of silence`, '▶️ Resume');
+        }
+        break;
+
+      case 'prompt':
+        if (!this.isPaused) {
+          this.showSilencePrompt(`🔇 No sound for ${silentFor} - did you step out?`, '⏸️ Pause');
+        }
+        break;
+
+      case 'prompt-resume':
+        this.showSilencePrompt('🔊 Sound detected - resume recording?', '▶️ Resume');
+        break;
+
+      case 'dismiss':
+        this.showSilencePrompt(null);
+        break;
+    }
+  }
+
+  /**
+   * Show or hide the silence prompt
+   * @param {string|null} message - null hides the prompt
+   * @param {string} buttonLabel
+   */
+  showSilencePrompt(message, buttonLabel = '') {
+    const prompt = document.getElementById('silence-prompt');
+    if (!prompt) return;
+
+    if (!message) {
+      prompt.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('silence-prompt-text').textContent = message;
+    document.getElementById('silencePromptBtn').textContent = buttonLabel;
+    prompt.style.display = 'flex';
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {string} e.g. "45s" or "2 min"
+   */
+  formatSilenceDuration(ms) {
+    const seconds = Math.round((ms || 0) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+  }
+
+  /**
+   * Draw the recent level history as waveform bars (newest on the right)
+   */
+  renderWaveform() {
+    const waveform = document.getElementById('waveform');
+    if (!waveform) return;
+
+    if (!waveform.classList.contains('live')) {
+      waveform.innerHTML = '';
+      for (let i = 0; i < BrobyVetsSidebar.WAVEFORM_BARS; i++) {
+        const bar = document.createElement('div');
+        bar.className = 'waveform-bar';
+        waveform.appendChild(bar);
+      }
+      waveform.classList.add('live');
+    }
+
+    const bars = waveform.children;
+    const offset = bars.length - this.levelHistory.length;
+
+    for (let i = 0; i < bars.length; i++) {
+      const rms = i >= offset ? this.levelHistory[i - offset] : 0;
+      // Map -60..0 dBFS onto the bar height so quiet speech is still visible
+      const db = rms > 0 ? 20 * Math.log10(rms) : -60;
+      const normalized = Math.min(1, Math.max(0, (db + 60) / 60));
+      bars[i].style.height = `${4 + Math.round(normalized * 56)}px`;
+    }
+  }
+
+  /**
+   * Warn about a muted/wrong microphone (sustained silence) or clipping input
+   * @param {object} level - { rms, peak, timestamp }
+   */
+  checkLevelWarnings(level) {
+    const now = level.timestamp || Date.now();
+
+    if (level.rms < BrobyVetsSidebar.SILENCE_RMS) {
+      this.silenceSince = this.silenceSince || now;
+    } else {
+      this.silenceSince = null;
+    }
+
+    if (level.peak >= BrobyVetsSidebar.CLIP_PEAK) {
+      this.clipTimestamps.push(now);
+    }
+    this.clipTimestamps = this.clipTimestamps.filter(t => now - t <= BrobyVetsSidebar.CLIP_WINDOW_MS);
+
+    if (this.silenceSince && now - this.silenceSince >= BrobyVetsSidebar.SILENCE_WARNING_MS) {
+      this.showLevelWarning('silence', '🔇 No sound detected - check the microphone isn\'t muted or the wrong device');
+    } else if (this.clipTimestamps.length >= BrobyVetsSidebar.CLIP_WARNING_COUNT) {
+      this.showLevelWarning('clipping', '📢 Audio is clipping - move the microphone further away');
+    } else {
+      this.showLevelWarning(null);
+    }
+  }
+
+  /**
+   * Show or hide the input level warning under the waveform
+   * @param {string|null} kind - 'silence', 'clipping' or null to hide
+   * @param {string} message
+   */
+  showLevelWarning(kind, message = '') {
+    const warning = document.getElementById('level-warning');
+    if (!warning) return;
+
+    if (!kind) {
+      warning.style.display = 'none';
+      return;
+    }
+
+    warning.textContent = message;
+    warning.classList.toggle('clipping', kind === 'clipping');
+    warning.style.display = 'block';
+  }
+
+  /**
+   * Clear level history and warnings (pause, submit, new consult)
+   */
+  resetLevelMeter() {
+    this.levelHistory = [];
+    this.silenceSince = null;
+    this.clipTimestamps = [];
+    this.showLevelWarning(null);
+
+    const waveform = document.getElementById('waveform');
+    if (waveform?.classList.contains('live')) {
+      Array.from(waveform.children).forEach(bar => { bar.style.height = '4px'; });
+    }
+  }
+
+  /**
+   * Start refreshing the timer from the recording layer's pause-aware clock
+   * (a local counter drifts when Chrome throttles the side panel)
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timerInterval = setInterval(() => this.syncTimer(), 1000);
+    this.syncTimer();
+  }
+
+  stopTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  /**
+   * Read the recorded time of the consultation on screen and redraw the timer
+   */
+  async syncTimer() {
+    if (!this.sessionId) return;
+
+    const sessionId = this.sessionId;
+    const recordedMs = await this.recordingManager.getRecordedDuration(sessionId, this.recordedMs);
+
+    // Another consultation may have been loaded while we were asking
+    if (sessionId !== this.sessionId) return;
+
+    this.recordedMs = recordedMs;
+    this.timerSeconds = Math.floor(recordedMs / 1000);
+    this.updateTimer();
   }
 
   updateTimer() {
@@ -852,109 +1584,158 @@ class BrobyVetsSidebar {
     }
   }
 
-  pauseRecording() {
+  /**
+   * Toggle pause/resume
+   * @param {string} reason - Why we're pausing: 'manual' or 'silence' (marked as a gap in chunk metadata)
+   */
+  async pauseRecording(reason = 'manual') {
     const pauseBtn = document.getElementById('pauseBtn');
     if (!pauseBtn) return;
 
+    this.showSilencePrompt(null);
+
     if (!this.isPaused) {
       // Pause
-      console.log('⏸️ Pausing recording');
-      this.recordingManager.pauseRecording();
+      console.log(`⏸️ Pausing recording (${reason})`);
+      this.recordingManager.pauseRecording(reason);
 
       // Stop timer
-      if (this.timerInterval) {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
-      }
+      this.stopTimer();
+      await this.syncTimer();
 
       this.isPaused = true;
       pauseBtn.textContent = '▶️ Resume';
+      this.resetLevelMeter();
+
+      await this.persistCurrentConsultation('paused');
+      this.updatePausedConsultationsGrid();
 
     } else {
       // Resume
       console.log('▶️ Resuming recording');
-      this.recordingManager.resumeRecording();
+
+      if (this.recordingManager.sessionId === this.sessionId && this.recordingManager.mediaRecorder.isRecording()) {
+        this.recordingManager.resumeRecording();
+      } else {
+        // Persisted consult with no live recorder (panel reload or another consult took over)
+        const resumeResult = await this.recordingManager.resumeSession({
+          consultationId: this.consultationId,
+          sessionId: this.sessionId,
+          recordingToken: this.recordingToken,
+          nextChunkNumber: this.nextChunkNumber,
+          recordedMs: this.recordedMs
+        });
+
+        if (!resumeResult.success) {
+          this.showApiError('Failed to resume recording', resumeResult);
+          return;
+        }
+
+        this.showMicrophoneNotice(resumeResult.microphone);
+      }
 
       // Resume timer
-      this.timerInterval = setInterval(() => {
-        this.timerSeconds++;
-        this.updateTimer();
-      }, 1000);
+      this.startTimer();
 
       this.isPaused = false;
       pauseBtn.textContent = '⏸️ Pause';
+
+      await this.persistCurrentConsultation('recording');
+      this.updatePausedConsultationsGrid();
     }
   }
 
   async submitRecording() {
     console.log('✓ Submitting recording');
 
+    // The summary belongs to this patient (and EzyVet tab) even if the vet moves on
+    const consultPatient = { ...this.currentPatient };
+    this.completedPatient = consultPatient;
+
     // Stop timer
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-      this.timerInterval = null;
+    this.stopTimer();
+
+    // A persisted consult loaded after a reload (or after switching patients) isn't
+    // attached to the recorder yet - attach so completion targets the right session
+    if (this.recordingManager.sessionId !== this.sessionId) {
+      try {
+        await this.recordingManager.attachSession({
+          consultationId: this.consultationId,
+          sessionId: this.sessionId,
+          recordingToken: this.recordingToken,
+          nextChunkNumber: this.nextChunkNumber,
+          recordedMs: this.recordedMs
+        });
+      } catch (error) {
+        alert(`❌ Failed to submit recording: ${error.message}`);
+        return;
+      }
     }
 
     // Show processing state
+    this.resetLevelMeter();
+    this.showSilencePrompt(null);
     this.showState('processing');
 
-    // Start progress tracking from 0%
+    // Stages fill in from the backend's processing status once the session is stopped
+    this.lastProcessingStatus = null;
     this.updateProgress(0);
+    this.renderProcessingStages([]);
 
-    // Smoothly animate to 10% at start (simulate initial processing)
-    await this.animateProgress(0, 10, 300);
-
-    // Track transcription progress while stopping recording
-    const totalChunks = this.recordingManager.processedChunks.size || 1;
-    let lastChunkCount = 0;
-    let currentProgress = 10;
-
-    // Poll chunk progress during stopRecording (10% → 45%)
-    const progressInterval = setInterval(() => {
-      const currentChunks = this.recordingManager.processedChunks.size;
-      if (currentChunks > lastChunkCount) {
-        lastChunkCount = currentChunks;
-        // Map chunks to 10-45% progress (35% range)
-        const targetProgress = Math.min(45, 10 + (currentChunks / Math.max(totalChunks, 1)) * 35);
-        if (targetProgress > currentProgress) {
-          currentProgress = targetProgress;
-          this.updateProgress(currentProgress);
-          console.log(`📊 Transcription progress: ${currentChunks}/${totalChunks} chunks = ${Math.round(currentProgress)}%`);
-        }
-      }
-    }, 200);
-
-    // Stop recording and complete session
-    const result = await this.recordingManager.stopRecording();
+    // Stop recording, tell the backend how many chunks to expect and complete the session
+    let result = await this.recordingManager.stopRecording();
 
-    // Stop progress polling
-    clearInterval(progressInterval);
+    // Some audio never reached the backend intact - the vet decides whether to submit anyway
+    if (result.incomplete && confirm(this.describeUnverifiedChunks(result.reconciliation))) {
+      // Capture, flushing and verification already ran - only complete the session
+      result = await this.recordingManager.completeSession();
+    }
 
-    // Smoothly animate from current to 50% (transcription complete)
-    await this.animateProgress(currentProgress, 50, 400);
+    if (!result.success && result.incomplete) {
+      // Capture is already stopped - keep the consult open as paused so it can be
+      // submitted again once uploads catch up, or resumed
+      this.showState('recording');
+      this.isPaused = true;
+      const pauseBtn = document.getElementById('pauseBtn');
+      if (pauseBtn) {
+        pauseBtn.textContent = '▶️ Resume';
+      }
+      await this.persistCurrentConsultation('paused');
+      this.updatePausedConsultationsGrid();
+      return;
+    }
 
     if (!result.success) {
-      alert(`❌ Failed to submit recording: ${result.error}`);
+      this.showApiError('Failed to submit recording', result);
       // Go back to recording state
       this.showState('recording');
       // Restart timer
-      this.timerInterval = setInterval(() => {
-        this.timerSeconds++;
-        this.updateTimer();
-      }, 1000);
+      this.startTimer();
       return;
     }
 
     console.log('✅ Recording submitted');
 
-    // TRIGGER summary generation with HTTP SSE streaming
-    console.log('🤖 Triggering AI summary generation with HTTP SSE streaming...');
+    const currentSegment = this.segments.find(segment => segment.sessionId === result.sessionId);
+    if (currentSegment) {
+      currentSegment.durationSeconds = result.durationSeconds;
+    }
 
-    // Smoothly animate to 55% (preparing summary)
-    await this.animateProgress(50, 55, 300);
+    // Submitted consultations are no longer in flight - forget the one submitted,
+    // not whoever is on screen now
+    if (consultPatient.id) {
+      await this.forgetConsultation(consultPatient.id);
+    }
 
-    // Then animate to 60% (summary generation starting)
-    await this.animateProgress(55, 60, 300);
+    // Follow the backend pipeline (it also re-sends chunks the backend reports missing)
+    processingMonitor.start(this.consultationId, {
+      sessionIds: this.segments.map(segment => segment.sessionId),
+      onStatus: (status) => this.renderProcessingStatus(status),
+      onUnavailable: () => console.warn('⚠️ No processing status from backend - showing summary progress only')
+    });
+
+    // TRIGGER summary generation with HTTP SSE streaming
+    console.log('🤖 Triggering AI summary generation with HTTP SSE streaming...');
 
     let firstChunk = true;
 
@@ -963,12 +1744,15 @@ class BrobyVetsSidebar {
         this.consultationId,
         {
           templateId: this.selectedTemplate?.id || null,
+          sessionIds: this.segments.map(segment => segment.sessionId),
           onChunk: async (data) => {
-            // First chunk = animate to 70% progress, switch to completed state
+            // The vet moved to another patient - don't show this summary over theirs
+            if (!this.isShowingPatient(consultPatient)) return;
+
+            // First chunk switches to the completed state
             if (firstChunk) {
               firstChunk = false;
-              console.log('📝 First summary chunk arrived - switching to completed state at 70%');
-              await this.animateProgress(60, 70, 400);
+              console.log('📝 First summary chunk arrived - switching to completed state');
             }
 
             // Update UI with streaming chunks (already switches state in displayPartialSummary)
@@ -976,20 +1760,28 @@ class BrobyVetsSidebar {
             this.displayPartialSummary(data.accumulated);
           },
           onProgress: (progress) => {
-            // Map summary progress from 70% to 95% (save 95-100 for completion)
-            const mappedProgress = 70 + (progress * 25);
-            console.log('📊 Summary progress:', Math.round(mappedProgress), '%');
-            this.updateProgress(mappedProgress);
+            if (!this.isShowingPatient(consultPatient)) return;
+            console.log('📊 Summary progress:', Math.round(progress * 100), '%');
+            this.updateSummarizingProgress(progress);
           },
           onComplete: async (data) => {
+            if (!this.isShowingPatient(consultPatient)) {
+              console.log(`📭 Summary for ${consultPatient.name} finished after switching patients - it stays on the consultation`);
+              return;
+            }
+
             console.log('✅ Summary complete:', data.summary);
-            // Smoothly animate from 95% to 100%
-            await this.animateProgress(95, 100, 500);
             // Ensure we're showing completed state with final summary
             this.showCompletedState(data.summary);
+
+            // Never auto-insert the "no medical content" notice
+            if (this.settings.autoInject && this.displayedSummary && !data.summary.includes('NO_MEDICAL_CONTENT:')) {
+              this.autoInjectIntoEzyVet(this.displayedSummary, consultPatient);
+            }
           },
           onError: (error) => {
             console.error('❌ Summary error:', error);
+            if (!this.isShowingPatient(consultPatient)) return;
 
             // Show error gracefully in textarea
             this.showState('completed');
@@ -1041,6 +1833,15 @@ class BrobyVetsSidebar {
     }
   }
 
+  /**
+   * Whether the panel still shows this patient (summary callbacks outlive patient switches)
+   * @param {object|null} patient
+   * @returns {boolean}
+   */
+  isShowingPatient(patient) {
+    return !!patient && String(this.currentPatient?.id) === String(patient.id);
+  }
+
   startSummaryPolling() {
     console.log('🔄 Starting summary polling...');
 
@@ -1066,8 +1867,16 @@ class BrobyVetsSidebar {
           aiSummaryLength: consultation.ai_summary?.length || 0
         });
 
-        // Check if AI summary is ready
-        if (consultation.ai_summary && consultation.ai_summary.trim() !== '') {
+        // The vet moved to another patient - stop waiting for this one's summary
+        if (!this.isShowingPatient(this.completedPatient)) {
+          clearInterval(this.summaryPollInterval);
+          this.summaryPollInterval = null;
+          return;
+        }
+
+        // Check if AI summary is ready (after adding a session, the previous one doesn't count)
+        if (consultation.ai_summary && consultation.ai_summary.trim() !== '' &&
+            consultation.ai_summary !== this.supersededSummary) {
           console.log('✅ AI Summary ready!', {
             summaryLength: consultation.ai_summary.length
           });
@@ -1137,36 +1946,110 @@ class BrobyVetsSidebar {
   }
 
   /**
-   * Smoothly animate progress bar from start to end value
-   * @param {number} start - Starting progress percentage
-   * @param {number} end - Ending progress percentage
-   * @param {number} duration - Animation duration in milliseconds
-   * @returns {Promise<void>}
+   * Show the backend's processing status (chunks received, transcribed, merged, summarizing)
+   * @param {object} status - ProcessingMonitor.normalize() result
+   */
+  renderProcessingStatus(status) {
+    this.lastProcessingStatus = status;
+    this.renderProcessingStages(status.stages);
+    this.updateProgress(status.progress * 100);
+
+    if (status.failed) {
+      console.error('❌ Backend processing failed:', status.error);
+    }
+  }
+
+  /**
+   * Summary progress streamed over SSE - finer grained than the status polls
+   * @param {number} progress - 0..1
    */
-  animateProgress(start, end, duration) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      const diff = end - start;
+  updateSummarizingProgress(progress) {
+    const status = this.lastProcessingStatus;
 
-      const animate = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+    if (!status) {
+      // No processing status from the backend - the summary is all we can show
+      this.updateProgress(progress * 100);
+      return;
+    }
 
-        // Ease-out function for smooth deceleration
-        const easeOut = 1 - Math.pow(1 - progress, 3);
-        const currentValue = start + (diff * easeOut);
+    const stages = status.stages.map(stage => {
+      if (stage.key === 'summarizing') {
+        return { ...stage, done: Math.max(stage.done, progress), state: 'active' };
+      }
+      // The summary only streams once everything before it is done
+      return { ...stage, state: 'done' };
+    });
 
-        this.updateProgress(currentValue);
+    this.renderProcessingStatus({
+      ...status,
+      stages,
+      progress: (stages.length - 1 + stages[stages.length - 1].done) / stages.length
+    });
+  }
 
-        if (progress < 1) {
-          requestAnimationFrame(animate);
-        } else {
-          this.updateProgress(end);
-          resolve();
-        }
-      };
+  /**
+   * Explain which chunks failed verification, for the submit-anyway confirmation
+   * @param {object} reconciliation - From RecordingManager.reconcileChunks
+   * @returns {string}
+   */
+  describeUnverifiedChunks(reconciliation) {
+    const lines = [];
+
+    if (!reconciliation.verified) {
+      lines.push('⚠️ Could not check the uploaded audio against the server.');
+      if (reconciliation.error) {
+        lines.push(`(${reconciliation.error})`);
+      }
+    } else {
+      lines.push('⚠️ Some of this recording has not reached the server intact.');
+      if (reconciliation.missing.length > 0) {
+        lines.push(`Missing chunks: ${reconciliation.missing.join(', ')}`);
+      }
+      if (reconciliation.mismatched.length > 0) {
+        lines.push(`Corrupted chunks: ${reconciliation.mismatched.join(', ')}`);
+      }
+      if (reconciliation.unrecoverable.length > 0) {
+        lines.push(`No local copy to re-send: ${reconciliation.unrecoverable.join(', ')}`);
+      }
+    }
+
+    lines.push('');
+    lines.push('Submit anyway? The summary may miss parts of the consultation.');
+    lines.push('Cancel keeps the consultation open so you can submit again later.');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Array<{key, label, done, total, state}>} stages
+   */
+  renderProcessingStages(stages) {
+    const list = document.getElementById('processingStages');
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.style.display = stages.length > 0 ? 'block' : 'none';
+
+    const icons = { done: '✅', active: '⏳', pending: '○' };
 
-      animate();
+    stages.forEach(stage => {
+      const row = document.createElement('div');
+      row.className = `processing-stage processing-stage-${stage.state}`;
+
+      const label = document.createElement('span');
+      label.textContent = `${icons[stage.state]} ${stage.label}`;
+
+      const count = document.createElement('span');
+      count.className = 'processing-stage-count';
+      if (stage.key === 'received' || stage.key === 'transcribed') {
+        count.textContent = stage.total > 0 ? `${stage.done}/${stage.total}` : '';
+      } else if (stage.key === 'summarizing' && stage.state === 'active' && stage.done > 0) {
+        count.textContent = `${Math.round(stage.done * 100)}%`;
+      }
+
+      row.appendChild(label);
+      row.appendChild(count);
+      list.appendChild(row);
     });
   }
 
@@ -1222,7 +2105,7 @@ class BrobyVetsSidebar {
       summaryContent.style.backgroundColor = '';
 
       // Use .value for textarea instead of .innerHTML
-      summaryContent.value = text; // Plain text for textarea
+      summaryContent.value = SummaryFormatter.format(text, this.settings); // Plain text for textarea
 
       // Auto-scroll to bottom to show latest content (like ChatGPT)
       summaryContent.scrollTop = summaryContent.scrollHeight;
@@ -1231,15 +2114,25 @@ class BrobyVetsSidebar {
 
   showCompletedState(summary) {
     console.log('✅ Recording complete', { summaryLength: summary?.length });
+    this.completedSummary = summary || null;
     this.showState('completed');
 
+    // The backend has processed every session - local copies of uploaded chunks can go
+    if (summary) {
+      this.segments.forEach(segment => {
+        ChunkStore.removeUploaded(segment.sessionId).catch(error => {
+          console.warn('⚠️ Failed to remove uploaded chunk copies:', error);
+        });
+      });
+    }
+
     // Display the real AI summary from backend
     const summaryContent = document.getElementById('summaryContent');
     if (summaryContent && summary) {
-      // Format the summary for better readability
-      const formattedSummary = this.formatSummary(summary);
+      // Filler-word cleanup and plain/Markdown formatting from settings
+      this.displayedSummary = SummaryFormatter.format(summary, this.settings);
       // Use .value for textarea instead of .innerHTML
-      summaryContent.value = summary; // Store plain text in textarea
+      summaryContent.value = this.displayedSummary;
       console.log('📝 Summary displayed in editable textarea');
     } else {
       console.error('❌ Summary content element not found or summary is empty');
@@ -1299,12 +2192,11 @@ class BrobyVetsSidebar {
     this.uploadingPhotos.add(tempId);
 
     try {
-      // Upload to backend with retry
-      const result = await PhotoService.uploadPhotoWithRetry(
+      // Upload to backend (APIClient retries transient failures)
+      const result = await PhotoService.uploadPhoto(
         this.consultationId,
         file,
-        '', // caption
-        3  // max retries
+        '' // caption
       );
 
       if (result.success) {
@@ -1319,14 +2211,14 @@ class BrobyVetsSidebar {
         this.photos.push(result.photo);
         this.updatePhotoCount();
       } else {
-        throw new Error(result.error);
+        throw APIClient.toError(result, 'Failed to upload photo');
       }
 
     } catch (error) {
       console.error('❌ Photo upload failed:', error);
       this.removePhotoFromGrid(tempId);
       this.uploadingPhotos.delete(tempId);
-      alert(`❌ Failed to upload photo: ${error.message}`);
+      this.showApiError('Failed to upload photo', error);
     }
   }
 
@@ -1386,11 +2278,94 @@ class BrobyVetsSidebar {
         this.photos = this.photos.filter(p => p.id !== photoId);
         this.updatePhotoCount();
       } else {
-        throw new Error(result.error);
+        throw APIClient.toError(result, 'Failed to delete photo');
       }
     } catch (error) {
       console.error('❌ Failed to delete photo:', error);
-      alert(`❌ Failed to delete photo: ${error.message}`);
+      this.showApiError('Failed to delete photo', error);
+    }
+  }
+
+  /**
+   * Open the developer options page after five taps within two seconds
+   * @param {HTMLElement} element
+   */
+  setupDeveloperEntry(element) {
+    if (!element) return;
+
+    let taps = [];
+    element.addEventListener('click', () => {
+      const now = Date.now();
+      taps = [...taps.filter(time => now - time < 2000), now];
+
+      if (taps.length >= 5) {
+        taps = [];
+        chrome.tabs.create({ url: chrome.runtime.getURL('developer.html') });
+      }
+    });
+  }
+
+  /**
+   * Label the header with the backend in use, unless it's production
+   * @param {object} profile - Active profile from EnvironmentProfiles
+   */
+  showEnvironment(profile) {
+    const badge = document.getElementById('envBadge');
+    if (!badge) return;
+
+    if (profile.id === EnvironmentProfiles.DEFAULT_ID) {
+      badge.style.display = 'none';
+      return;
+    }
+
+    badge.textContent = profile.label;
+    badge.title = profile.url;
+    badge.style.display = 'inline-block';
+  }
+
+  /**
+   * Show or hide the "backend unreachable" banner
+   * @param {object} event - { state: 'open'|'closed' } from APIClient.onCircuitChange
+   */
+  showBackendStatus(event) {
+    const banner = document.getElementById('backend-status');
+    if (!banner) return;
+
+    if (event.state === 'closed') {
+      banner.style.display = 'none';
+      return;
+    }
+
+    banner.textContent = '⚠️ BrobyVets can\'t be reached right now. Recording continues and audio is saved on this computer - it will upload when the connection is back.';
+    banner.style.display = 'block';
+  }
+
+  /**
+   * Tell the vet a backend call failed, worded by failure class
+   * Auth failures also bring back the login screen.
+   * @param {string} action - e.g. 'Failed to upload photo'
+   * @param {object} failure - Failed service result ({ error, errorType }) or an Error from APIClient.toError
+   */
+  showApiError(action, failure) {
+    const types = APIClient.ERROR_TYPES;
+    const detail = failure.error || failure.message;
+
+    switch (failure.errorType) {
+      case types.NETWORK:
+        alert(`❌ ${action}: you appear to be offline. Check your connection and try again.`);
+        break;
+      case types.TIMEOUT:
+        alert(`❌ ${action}: the server took too long to respond. Please try again.`);
+        break;
+      case types.AUTH:
+        alert(`🔒 ${action}: your session has expired. Please log in again.`);
+        this.checkAuthentication();
+        break;
+      case types.SERVER:
+        alert(`❌ ${action}: BrobyVets is having trouble right now. Please try again in a moment.\n\n(${detail})`);
+        break;
+      default:
+        alert(`❌ ${action}: ${detail}`);
     }
   }
 
@@ -1447,15 +2422,27 @@ class BrobyVetsSidebar {
     // Reset state
     this.consultationId = null;
     this.sessionId = null;
+    this.recordingToken = null;
+    this.nextChunkNumber = 0;
+    this.recordedMs = 0;
     this.timerSeconds = 0;
     this.isPaused = false;
+    this.segments = [];
+    this.completedSummary = null;
+    this.completedPatient = null;
+    this.supersededSummary = null;
+    this.displayedSummary = null;
     this.updateTimer();
 
     // Reset photos
     this.resetPhotoState();
+    this.resetLevelMeter();
+    this.showMicrophoneNotice(null);
+    this.showSilencePrompt(null);
 
-    // Go back to ready state
+    // Go back to ready state with the default template
     this.showState('ready');
+    this.applyDefaultTemplate();
 
     // Reset pause button text
     const pauseBtn = document.getElementById('pauseBtn');
@@ -1464,62 +2451,86 @@ class BrobyVetsSidebar {
     }
   }
 
-  insertIntoEzyVet() {
+  /**
+   * Record another session into the consultation on the completed view
+   * (e.g. discussing results after a break for diagnostics). Submitting it
+   * regenerates the summary across all of the consultation's sessions.
+   */
+  async addRecording() {
+    if (!this.consultationId) return;
+
+    console.log(`➕ Adding recording session ${this.segments.length + 1} to consultation:`, this.consultationId);
+
+    this.supersededSummary = this.completedSummary;
+    this.nextChunkNumber = 0;
+
+    await this.startRecording({ consultationId: this.consultationId });
+  }
+
+  async insertIntoEzyVet() {
     console.log('📝 Inserting summary into EzyVet (manual injection)');
 
     const summaryContent = document.getElementById('summaryContent');
-    if (!summaryContent) return;
+    if (!summaryContent || !this.completedPatient) return;
 
     // Get text from textarea value (user may have edited it)
     const summaryText = summaryContent.value;
 
-    // Send message to content script to insert into EzyVet
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'INSERT_SUMMARY',
-          summary: summaryText,
-          photos: this.photos  // ✅ NEW: Include photos
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            console.error('❌ Insert failed:', chrome.runtime.lastError);
-            alert('Failed to insert into EzyVet. Make sure you\'re on the correct page.');
-          } else {
-            console.log('✅ Summary inserted successfully');
-            alert('✅ Summary inserted into EzyVet!');
-          }
-        });
+    // Only a tab that still shows the submitted consultation's patient gets the summary
+    const patient = this.completedPatient;
+    const target = await EzyVetTabs.findTabForPatient(patient);
+    if (!target.success) {
+      this.offerPatientNavigation(target, patient);
+      return;
+    }
+
+    // Send message to content script to insert into EzyVet (it checks the patient again before writing)
+    chrome.tabs.sendMessage(target.tabId, {
+      action: 'injectHistory',
+      summaryText: summaryText,
+      patientId: patient.id,
+      photos: this.photos  // ✅ NEW: Include photos
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('❌ Insert failed:', chrome.runtime.lastError);
+        alert('Failed to insert into EzyVet. Make sure you\'re on the correct page.');
+      } else if (response && !response.success) {
+        console.error('❌ Insert failed:', response.error);
+        this.offerPatientNavigation(response, patient, target.tabId);
+      } else {
+        console.log('✅ Summary inserted successfully');
+        alert('✅ Summary inserted into EzyVet!');
       }
     });
   }
 
   /**
-   * @deprecated - Auto-injection removed. Users must click "Insert into EzyVet" button manually.
-   * This method is kept for backward compatibility but is no longer called.
-   *
    * Automatically inject summary into EzyVet History form
+   * Only runs when auto-injection is turned on in settings; otherwise the vet
+   * clicks "Insert into EzyVet". Goes to the consultation's own EzyVet tab, or
+   * another tab showing the same patient - never to whichever tab is open.
    * @param {string} summary - The AI-generated summary text
+   * @param {object} patient - Patient the consultation was recorded for ({ id, name, tabId })
    */
-  async autoInjectIntoEzyVet(summary) {
+  async autoInjectIntoEzyVet(summary, patient) {
     console.log('🎯 Auto-injecting summary into EzyVet History form...');
 
     try {
-      // Query for EzyVet tabs
-      const tabs = await chrome.tabs.query({ url: '*://*.ezyvet.com/*' });
+      const target = await EzyVetTabs.findTabForPatient(patient);
 
-      if (tabs.length === 0) {
-        console.warn('⚠️ No EzyVet tabs found - skipping auto-injection');
+      if (!target.success) {
+        console.warn('⚠️ Skipping auto-injection:', target.error);
+        this.offerPatientNavigation(target, patient);
         return;
       }
 
-      // Use the first EzyVet tab found
-      const ezyvetTab = tabs[0];
-      console.log('✅ Found EzyVet tab:', ezyvetTab.id);
+      console.log('✅ Found EzyVet tab for', patient.name, ':', target.tabId);
 
-      // Send injection request to content script
-      chrome.tabs.sendMessage(ezyvetTab.id, {
+      // Send injection request to content script (it checks the patient again before writing)
+      chrome.tabs.sendMessage(target.tabId, {
         action: 'injectHistory',
         summaryText: summary,
+        patientId: patient.id,
         photos: this.photos  // ✅ NEW: Include photos
       }, (response) => {
         if (chrome.runtime.lastError) {
@@ -1529,6 +2540,9 @@ class BrobyVetsSidebar {
           console.log('✅ Summary auto-injected successfully into EzyVet History!');
           // Optional: Show a subtle notification to user
           this.showInjectionSuccess();
+        } else if (EzyVetTabs.WRONG_PATIENT_CODES.includes(response?.code)) {
+          console.error('❌ Auto-injection stopped - wrong patient:', response.error);
+          this.offerPatientNavigation(response, patient, target.tabId);
         } else {
           console.error('❌ Auto-injection failed:', response?.error);
           console.log('💡 User can still manually click "Insert into EzyVet" button');
@@ -1541,6 +2555,29 @@ class BrobyVetsSidebar {
     }
   }
 
+  /**
+   * Explain a failed injection; when EzyVet showed someone else, offer to open
+   * the consultation's patient (the vet inserts again once it has loaded)
+   * @param {object} result - { error, code } from EzyVetTabs or the content script
+   * @param {object} patient - Patient the consultation was recorded for
+   * @param {number} [tabId] - Tab to navigate (defaults to the consultation's tab)
+   */
+  async offerPatientNavigation(result, patient, tabId) {
+    if (!EzyVetTabs.WRONG_PATIENT_CODES.includes(result.code)) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    if (!confirm(`❌ ${result.error}\n\nOpen ${patient.name}'s record in a new EzyVet tab? Insert the summary again once it has loaded.`)) {
+      return;
+    }
+
+    const navigation = await EzyVetTabs.navigateToPatient(patient, tabId);
+    if (!navigation.success) {
+      alert(`❌ Could not open ${patient.name} in EzyVet: ${navigation.error}`);
+    }
+  }
+
   /**
    * Show subtle success notification for auto-injection
    */
@@ -0,0 +1,332 @@
+// Audio Archive
+// Opt-in local copy of the full consultation recording, kept for a retention
+// window so a consult is never lost if the backend loses the session.
+// The offscreen recorder runs a continuous MediaRecorder alongside the upload
+// chunks and appends its fragments here; each capture (start or resume) is a
+// "part". Loaded by the sidebar, the offscreen document and the background
+// worker (retention purge). Settings helpers need chrome.storage (sidebar only).
+
+class AudioArchive {
+  static DB_NAME = 'brobyvets-archive';
+  static DB_VERSION = 1;
+  static RECORDINGS = 'recordings';
+  static FRAGMENTS = 'fragments';
+
+  // Sample rate used when several parts have to be merged into one WAV file
+  static EXPORT_SAMPLE_RATE = 16000;
+
+  static dbPromise = null;
+
+  /**
+   * Open (and upgrade if needed) the archive database
+   * @returns {Promise<IDBDatabase>}
+   */
+  static openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(this.RECORDINGS)) {
+          db.createObjectStore(this.RECORDINGS, { keyPath: 'sessionId' });
+        }
+
+        if (!db.objectStoreNames.contains(this.FRAGMENTS)) {
+          const fragments = db.createObjectStore(this.FRAGMENTS, { keyPath: ['sessionId', 'part', 'seq'] });
+          fragments.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store and resolve with its result
+   * @param {string} storeName
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} operation - (store) => IDBRequest
+   * @returns {Promise<any>}
+   */
+  static async run(storeName, mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the archive settings
+   * @returns {Promise<{enabled: boolean, retentionDays: number}>}
+   */
+  static async getSettings() {
+    const defaults = {
+      enabled: CONFIG.AUDIO_ARCHIVE.ENABLED,
+      retentionDays: CONFIG.AUDIO_ARCHIVE.RETENTION_DAYS
+    };
+
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.AUDIO_ARCHIVE);
+      return { ...defaults, ...(result[CONFIG.STORAGE_KEYS.AUDIO_ARCHIVE] || {}) };
+    } catch (error) {
+      console.error('❌ Failed to read archive settings:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Save some or all of the archive settings
+   * @param {object} changes - { enabled?, retentionDays? }
+   * @returns {Promise<boolean>}
+   */
+  static async saveSettings(changes) {
+    try {
+      const updated = { ...(await this.getSettings()), ...changes };
+      await chrome.storage.local.set({ [CONFIG.STORAGE_KEYS.AUDIO_ARCHIVE]: updated });
+      console.log('🗄️ Archive settings saved:', updated);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save archive settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Register (or refresh) the archived recording for a session
+   * Keeps the original creation time and expiry when a session is resumed.
+   * @param {object} recording - { sessionId, consultationId, retentionDays }
+   * @returns {Promise<void>}
+   */
+  static async saveRecording(recording) {
+    const existing = await this.getRecording(recording.sessionId);
+    const createdAt = existing?.createdAt || Date.now();
+
+    await this.run(this.RECORDINGS, 'readwrite', store => store.put({
+      ...existing,
+      sessionId: recording.sessionId,
+      consultationId: recording.consultationId,
+      createdAt,
+      expiresAt: existing?.expiresAt || createdAt + recording.retentionDays * 24 * 60 * 60 * 1000
+    }));
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<object|null>}
+   */
+  static async getRecording(sessionId) {
+    const recording = await this.run(this.RECORDINGS, 'readonly', store => store.get(sessionId));
+    return recording || null;
+  }
+
+  /**
+   * Append a fragment from the continuous archive recorder
+   * @param {object} fragment - { sessionId, part, seq, blob }
+   * @returns {Promise<void>}
+   */
+  static async appendFragment(fragment) {
+    await this.run(this.FRAGMENTS, 'readwrite', store => store.put({
+      sessionId: fragment.sessionId,
+      part: fragment.part,
+      seq: fragment.seq,
+      blob: fragment.blob,
+      createdAt: Date.now()
+    }));
+  }
+
+  /**
+   * Get a session's fragments ordered by part, then sequence
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  static async getFragments(sessionId) {
+    const fragments = await this.run(this.FRAGMENTS, 'readonly', store =>
+      store.index('sessionId').getAll(sessionId)
+    );
+    return (fragments || []).sort((a, b) => a.part - b.part || a.seq - b.seq);
+  }
+
+  /**
+   * Check whether there is archived audio for a session
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  static async hasAudio(sessionId) {
+    if (!sessionId) return false;
+
+    try {
+      const count = await this.run(this.FRAGMENTS, 'readonly', store =>
+        store.index('sessionId').count(sessionId)
+      );
+      return count > 0;
+    } catch (error) {
+      console.warn('⚠️ Failed to check audio archive:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a session's archived recording and all of its audio
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  static async removeRecording(sessionId) {
+    const sessionRange = IDBKeyRange.bound([sessionId, -Infinity, -Infinity], [sessionId, Infinity, Infinity]);
+
+    await this.run(this.FRAGMENTS, 'readwrite', store => store.delete(sessionRange));
+    await this.run(this.RECORDINGS, 'readwrite', store => store.delete(sessionId));
+  }
+
+  /**
+   * Delete recordings past their retention window
+   * @returns {Promise<number>} Number of recordings removed
+   */
+  static async purgeExpired() {
+    try {
+      const recordings = await this.run(this.RECORDINGS, 'readonly', store => store.getAll());
+      const expired = (recordings || []).filter(recording => recording.expiresAt <= Date.now());
+
+      for (const recording of expired) {
+        await this.removeRecording(recording.sessionId);
+      }
+
+      if (expired.length > 0) {
+        console.log(`🧹 Purged ${expired.length} archived recording(s) past retention`);
+      }
+      return expired.length;
+    } catch (error) {
+      console.error('❌ Failed to purge audio archive:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Build a single downloadable file for one or more sessions
+   * One capture is exported as-is (its fragments form one valid file). Several
+   * captures (the consult was resumed, or recorded in several sessions) are
+   * decoded and merged in order into a mono WAV, because independently recorded
+   * WebM files can't simply be concatenated.
+   * @param {string|string[]} sessionIds - Sessions in recording order
+   * @returns {Promise<{success: boolean, blob?: Blob, extension?: string, error?: string}>}
+   */
+  static async exportRecording(sessionIds) {
+    try {
+      const parts = [];
+
+      for (const sessionId of [].concat(sessionIds).filter(Boolean)) {
+        const fragments = await this.getFragments(sessionId);
+        let previous = null;
+
+        fragments.forEach(fragment => {
+          if (previous && previous.part === fragment.part) {
+            previous.blobs.push(fragment.blob);
+          } else {
+            previous = { part: fragment.part, blobs: [fragment.blob] };
+            parts.push(previous);
+          }
+        });
+      }
+
+      if (parts.length === 0) {
+        return { success: false, error: 'No archived audio for this consultation' };
+      }
+
+      if (parts.length === 1) {
+        const type = parts[0].blobs[0].type || 'audio/webm';
+        return {
+          success: true,
+          blob: new Blob(parts[0].blobs, { type }),
+          extension: type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm'
+        };
+      }
+
+      console.log(`🧩 Merging ${parts.length} archived captures into one file...`);
+
+      const decoder = new OfflineAudioContext(1, 1, this.EXPORT_SAMPLE_RATE);
+      const buffers = [];
+      for (const part of parts) {
+        const type = part.blobs[0].type || 'audio/webm';
+        const data = await new Blob(part.blobs, { type }).arrayBuffer();
+        buffers.push(await decoder.decodeAudioData(data));
+      }
+
+      const totalLength = buffers.reduce((total, buffer) => total + buffer.length, 0);
+      const samples = new Float32Array(totalLength);
+      let offset = 0;
+      buffers.forEach(buffer => {
+        samples.set(buffer.getChannelData(0), offset);
+        offset += buffer.length;
+      });
+
+      return {
+        success: true,
+        blob: this.encodeWav(samples, this.EXPORT_SAMPLE_RATE),
+        extension: 'wav'
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to export archived recording:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Encode mono float samples as a 16-bit PCM WAV file
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @returns {Blob}
+   */
+  static encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (position, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(position + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // PCM
+    view.setUint16(22, 1, true);           // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);           // block align
+    view.setUint16(34, 16, true);          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+}
+
+// Make AudioArchive available globally (sidebar, offscreen or service worker)
+if (typeof window !== 'undefined') {
+  window.AudioArchive = AudioArchive;
+}
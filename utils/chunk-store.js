@@ -0,0 +1,410 @@
+// Chunk Store
+// IndexedDB-backed durable queue for recorded audio chunks.
+// Every chunk is written here before upload and only removed once the
+// backend confirms it, so audio survives panel closes and network outages.
+// Confirmed chunks move to the "uploaded" store until the backend has processed
+// the session, so a chunk it reports missing can still be sent again.
+// Loaded by the sidebar and by the background service worker (drainer).
+
+class ChunkStore {
+  static DB_NAME = 'brobyvets-recordings';
+  static DB_VERSION = 2;
+  static CHUNKS = 'chunks';
+  static SESSIONS = 'sessions';
+  static UPLOADED = 'uploaded';
+
+  // How long a recorder's claim on a session stays valid without renewal
+  static LEASE_DURATION = 2 * 60 * 1000;
+
+  // Who holds a session's lease: a recording side panel, or the background drainer
+  static LEASE_OWNERS = { RECORDER: 'recorder', DRAINER: 'drainer' };
+
+  // Uploaded copies are dropped after this even if processing never reported back
+  static UPLOADED_RETENTION = 24 * 60 * 60 * 1000;
+
+  static dbPromise = null;
+
+  /**
+   * Open (and upgrade if needed) the recordings database
+   * @returns {Promise<IDBDatabase>}
+   */
+  static openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(this.CHUNKS)) {
+          const chunks = db.createObjectStore(this.CHUNKS, { keyPath: ['sessionId', 'chunkNumber'] });
+          chunks.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.SESSIONS)) {
+          db.createObjectStore(this.SESSIONS, { keyPath: 'sessionId' });
+        }
+
+        if (!db.objectStoreNames.contains(this.UPLOADED)) {
+          const uploaded = db.createObjectStore(this.UPLOADED, { keyPath: ['sessionId', 'chunkNumber'] });
+          uploaded.createIndex('sessionId', 'sessionId', { unique: false });
+          uploaded.createIndex('uploadedAt', 'uploadedAt', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store and resolve with its result
+   * @param {string} storeName
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} operation - (store) => IDBRequest
+   * @returns {Promise<any>}
+   */
+  static async run(storeName, mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read and change a session record in one readwrite transaction
+   * Nothing else can write the session between the read and the write.
+   * @param {string} sessionId
+   * @param {function(object): *} change - Mutates the session in place; returning false skips the write
+   * @returns {Promise<*>} Whatever change returned, or false when there is no such session
+   */
+  static async updateSession(sessionId, change) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.SESSIONS, 'readwrite');
+      const store = transaction.objectStore(this.SESSIONS);
+      let outcome = false;
+
+      const request = store.get(sessionId);
+      request.onsuccess = () => {
+        const session = request.result;
+        if (!session) return;
+
+        outcome = change(session);
+        if (outcome !== false) {
+          store.put(session);
+        }
+      };
+
+      transaction.oncomplete = () => resolve(outcome);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * SHA-256 of a chunk's audio, hex encoded
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  static async computeChecksum(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Persist a chunk before it is uploaded
+   * The checksum is computed here if the caller doesn't already have one.
+   * @param {object} chunk - { sessionId, chunkNumber, blob, duration, gaps, timing, checksum }
+   * @returns {Promise<void>}
+   */
+  static async putChunk(chunk) {
+    // Hash before opening the transaction - it would auto-commit while we wait
+    const checksum = chunk.checksum || await this.computeChecksum(chunk.blob).catch(() => null);
+
+    await this.run(this.CHUNKS, 'readwrite', store => store.put({
+      sessionId: chunk.sessionId,
+      chunkNumber: chunk.chunkNumber,
+      blob: chunk.blob,
+      size: chunk.blob.size,
+      checksum,
+      duration: chunk.duration,
+      gaps: chunk.gaps || [],
+      timing: chunk.timing || null,
+      createdAt: Date.now()
+    }));
+  }
+
+  /**
+   * Get a single stored chunk
+   * @param {string} sessionId
+   * @param {number} chunkNumber
+   * @returns {Promise<object|null>}
+   */
+  static async getChunk(sessionId, chunkNumber) {
+    const chunk = await this.run(this.CHUNKS, 'readonly', store => store.get([sessionId, chunkNumber]));
+    return chunk || null;
+  }
+
+  /**
+   * Remove a chunk once the backend has confirmed it
+   * @param {string} sessionId
+   * @param {number} chunkNumber
+   * @returns {Promise<void>}
+   */
+  static async removeChunk(sessionId, chunkNumber) {
+    await this.run(this.CHUNKS, 'readwrite', store => store.delete([sessionId, chunkNumber]));
+  }
+
+  /**
+   * Move a chunk the backend confirmed to the uploaded store
+   * @param {string} sessionId
+   * @param {number} chunkNumber
+   * @param {string} recordingToken - Kept with the copy so it can be re-sent after the session record is gone
+   * @returns {Promise<void>}
+   */
+  static async markUploaded(sessionId, chunkNumber, recordingToken) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.CHUNKS, this.UPLOADED], 'readwrite');
+      const chunks = transaction.objectStore(this.CHUNKS);
+      const request = chunks.get([sessionId, chunkNumber]);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          transaction.objectStore(this.UPLOADED).put({
+            ...request.result,
+            recordingToken,
+            uploadedAt: Date.now()
+          });
+        }
+        chunks.delete([sessionId, chunkNumber]);
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Find a local copy of a chunk, whether it is still pending or already uploaded
+   * @param {string} sessionId
+   * @param {number} chunkNumber
+   * @returns {Promise<object|null>} Chunk record; uploaded copies carry recordingToken and uploadedAt
+   */
+  static async findChunk(sessionId, chunkNumber) {
+    const pending = await this.getChunk(sessionId, chunkNumber);
+    if (pending) return pending;
+
+    const uploaded = await this.run(this.UPLOADED, 'readonly', store => store.get([sessionId, chunkNumber]));
+    return uploaded || null;
+  }
+
+  /**
+   * Drop a session's uploaded copies once the backend has processed it
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  static async removeUploaded(sessionId) {
+    const sessionRange = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+    await this.run(this.UPLOADED, 'readwrite', store => store.delete(sessionRange));
+  }
+
+  /**
+   * Drop uploaded copies older than UPLOADED_RETENTION
+   * @returns {Promise<void>}
+   */
+  static async purgeUploaded() {
+    const cutoff = IDBKeyRange.upperBound(Date.now() - this.UPLOADED_RETENTION);
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.UPLOADED, 'readwrite');
+      const cursorRequest = transaction.objectStore(this.UPLOADED).index('uploadedAt').openCursor(cutoff);
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get all pending chunks for a session, ordered by chunk number
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  static async getChunks(sessionId) {
+    const chunks = await this.run(this.CHUNKS, 'readonly', store =>
+      store.index('sessionId').getAll(sessionId)
+    );
+    return (chunks || []).sort((a, b) => a.chunkNumber - b.chunkNumber);
+  }
+
+  /**
+   * List every chunk we hold a local copy of for a session, pending or uploaded
+   * Used to check the backend received what was recorded.
+   * @param {string} sessionId
+   * @returns {Promise<Array<{chunkNumber: number, size: number, checksum: string|null, uploaded: boolean}>>} Ordered by chunk number
+   */
+  static async getManifest(sessionId) {
+    const pending = await this.getChunks(sessionId);
+    const uploaded = await this.run(this.UPLOADED, 'readonly', store =>
+      store.index('sessionId').getAll(sessionId)
+    );
+
+    const entries = new Map();
+    for (const chunk of [...(uploaded || []), ...pending]) {
+      entries.set(chunk.chunkNumber, {
+        chunkNumber: chunk.chunkNumber,
+        size: chunk.size ?? chunk.blob?.size ?? null,
+        checksum: chunk.checksum || null,
+        uploaded: !!chunk.uploadedAt
+      });
+    }
+
+    return [...entries.values()].sort((a, b) => a.chunkNumber - b.chunkNumber);
+  }
+
+  /**
+   * Get IDs of every session that still has chunks waiting for upload
+   * @returns {Promise<string[]>}
+   */
+  static async getPendingSessionIds() {
+    const keys = await this.run(this.CHUNKS, 'readonly', store => store.getAllKeys());
+    return [...new Set((keys || []).map(([sessionId]) => sessionId))];
+  }
+
+  /**
+   * Remember the credentials needed to upload chunks for a session
+   * The session is tagged with the backend it was recorded against, so its
+   * audio and token never go to another environment (see belongsToBackend).
+   * @param {object} session - { sessionId, consultationId, recordingToken }
+   * @returns {Promise<void>}
+   */
+  static async saveSession(session) {
+    const existing = await this.getSession(session.sessionId);
+
+    await this.run(this.SESSIONS, 'readwrite', store => store.put({
+      ...existing,
+      sessionId: session.sessionId,
+      consultationId: session.consultationId,
+      recordingToken: session.recordingToken,
+      backendUrl: existing?.backendUrl || CONFIG.BACKEND_URL,
+      leaseUntil: existing?.leaseUntil || 0
+    }));
+  }
+
+  /**
+   * Whether a session was recorded against the backend CONFIG points at now
+   * Sessions saved before they were tagged belong to production.
+   * @param {object} session
+   * @returns {boolean}
+   */
+  static belongsToBackend(session) {
+    const backendUrl = session.backendUrl || CONFIG.ENVIRONMENTS.production.url;
+    return backendUrl === CONFIG.BACKEND_URL;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<object|null>}
+   */
+  static async getSession(sessionId) {
+    const session = await this.run(this.SESSIONS, 'readonly', store => store.get(sessionId));
+    return session || null;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  static async removeSession(sessionId) {
+    await this.run(this.SESSIONS, 'readwrite', store => store.delete(sessionId));
+  }
+
+  /**
+   * Claim (or keep claiming) a session for the recorder so the drainer leaves
+   * its chunks alone. The recorder always wins: a drainer holding the lease
+   * loses it and stops at its next tryClaimLease.
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  static async renewLease(sessionId) {
+    await this.updateSession(sessionId, session => {
+      session.leaseOwner = this.LEASE_OWNERS.RECORDER;
+      session.leaseUntil = Date.now() + this.LEASE_DURATION;
+    });
+  }
+
+  /**
+   * Claim a session unless someone else holds a live lease on it
+   * The check and the claim happen in one transaction, so two claimers can't
+   * both succeed.
+   * @param {string} sessionId
+   * @param {string} owner - One of LEASE_OWNERS
+   * @returns {Promise<boolean>} false when the session is missing or leased by another owner
+   */
+  static async tryClaimLease(sessionId, owner) {
+    const claimed = await this.updateSession(sessionId, session => {
+      if (this.isLeased(session) && session.leaseOwner !== owner) return false;
+
+      session.leaseOwner = owner;
+      session.leaseUntil = Date.now() + this.LEASE_DURATION;
+      return true;
+    });
+    return claimed === true;
+  }
+
+  /**
+   * Give up the claim on a session so the drainer may take over its chunks
+   * Only the lease's owner releases it; a lease taken over meanwhile is kept.
+   * @param {string} sessionId
+   * @param {string} [owner] - One of LEASE_OWNERS (defaults to the recorder)
+   * @returns {Promise<void>}
+   */
+  static async releaseLease(sessionId, owner = this.LEASE_OWNERS.RECORDER) {
+    await this.updateSession(sessionId, session => {
+      if ((session.leaseOwner || this.LEASE_OWNERS.RECORDER) !== owner) return false;
+      session.leaseUntil = 0;
+    });
+  }
+
+  /**
+   * Check whether someone is actively uploading this session's chunks
+   * @param {object} session
+   * @returns {boolean}
+   */
+  static isLeased(session) {
+    return !!session && session.leaseUntil > Date.now();
+  }
+}
+
+// Make ChunkStore available globally (sidebar window or service worker)
+if (typeof window !== 'undefined') {
+  window.ChunkStore = ChunkStore;
+}
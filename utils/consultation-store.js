@@ -0,0 +1,182 @@
+// Consultation Store
+// Durable storage for in-flight (paused) consultations so they survive
+// side panel reloads, extension reloads and browser restarts
+
+class ConsultationStore {
+  // Web Lock held while the store is read and rewritten, so two side panels
+  // writing at once can't drop each other's entries
+  static WRITE_LOCK = 'consultation-store';
+
+  /**
+   * Get all persisted consultations
+   * @returns {Promise<object>} Map-like object keyed by patientId
+   */
+  static async getAll() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.ACTIVE_CONSULTATIONS);
+      return result[CONFIG.STORAGE_KEYS.ACTIVE_CONSULTATIONS] || {};
+    } catch (error) {
+      console.error('❌ Failed to read consultation store:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a single persisted consultation
+   * @param {string} patientId
+   * @returns {Promise<object|null>}
+   */
+  static async get(patientId) {
+    const consultations = await this.getAll();
+    return consultations[patientId] || null;
+  }
+
+  /**
+   * Save (insert or replace) a consultation keyed by its patientId
+   * Tagged with the backend it belongs to, like ChunkStore sessions.
+   * @param {object} consultState - { patientId, patient, consultationId, sessionId, recordingToken, timerSeconds, recordedMs, segments, photos, state, pausedAt }
+   * @returns {Promise<boolean>}
+   */
+  static async save(consultState) {
+    try {
+      await this.update(consultations => {
+        consultations[consultState.patientId] = {
+          ...consultState,
+          backendUrl: consultState.backendUrl || CONFIG.BACKEND_URL,
+          updatedAt: new Date().toISOString()
+        };
+      });
+
+      console.log('💾 Consultation persisted:', consultState.patientId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to persist consultation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a consultation (submitted, discarded or no longer on the backend)
+   * @param {string} patientId
+   * @returns {Promise<boolean>}
+   */
+  static async remove(patientId) {
+    try {
+      const removed = await this.update(consultations => {
+        if (!consultations[patientId]) return false;
+        delete consultations[patientId];
+      });
+
+      if (removed !== false) {
+        console.log('🗑️ Consultation removed from store:', patientId);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to remove consultation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read, change and write back the store while holding WRITE_LOCK
+   * @param {function(object): *} change - Mutates the consultations in place;
+   *   returning false skips the write
+   * @returns {Promise<*>} Whatever change returned
+   */
+  static async update(change) {
+    const apply = async () => {
+      const consultations = await this.getAll();
+      const outcome = change(consultations);
+      if (outcome !== false) {
+        await chrome.storage.local.set({
+          [CONFIG.STORAGE_KEYS.ACTIVE_CONSULTATIONS]: consultations
+        });
+      }
+      return outcome;
+    };
+
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return apply();
+    }
+    return navigator.locks.request(this.WRITE_LOCK, apply);
+  }
+
+  /**
+   * Remove every persisted consultation
+   * @returns {Promise<boolean>}
+   */
+  static async clear() {
+    try {
+      await chrome.storage.local.remove(CONFIG.STORAGE_KEYS.ACTIVE_CONSULTATIONS);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to clear consultation store:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Reconcile persisted consultations against the backend
+   * Drops entries whose consultation no longer exists or was already completed.
+   * Entries are kept when the backend is unreachable so a flaky connection
+   * never discards a paused consult. Entries of another environment are left
+   * alone and not returned - that backend can't vouch for them. The backend is asked without holding
+   * WRITE_LOCK; only the drops are applied under it, to the store as it is then.
+   * @returns {Promise<object>} Reconciled consultations keyed by patientId
+   */
+  static async reconcile() {
+    const consultations = Object.fromEntries(Object.entries(await this.getAll())
+      .filter(([, consult]) => ChunkStore.belongsToBackend(consult)));
+    const patientIds = Object.keys(consultations);
+
+    if (patientIds.length === 0) {
+      return consultations;
+    }
+
+    console.log(`🔍 Reconciling ${patientIds.length} persisted consultation(s) with backend...`);
+
+    const dropped = {};
+    for (const patientId of patientIds) {
+      const consult = consultations[patientId];
+      const result = await ConsultationService.getConsultation(consult.consultationId);
+
+      if (result.success) {
+        if (result.consultation?.status === 'completed') {
+          console.log('🧹 Consultation already completed on backend, dropping:', consult.consultationId);
+          dropped[patientId] = consult.consultationId;
+        }
+        continue;
+      }
+
+      if (result.status === 404) {
+        console.log('🧹 Consultation not found on backend, dropping:', consult.consultationId);
+        dropped[patientId] = consult.consultationId;
+      } else {
+        console.warn('⚠️ Could not verify consultation, keeping it:', consult.consultationId, result.error);
+      }
+    }
+
+    if (Object.keys(dropped).length === 0) {
+      return consultations;
+    }
+
+    let reconciled = consultations;
+    await this.update(current => {
+      // Skip entries another panel replaced with a new consultation meanwhile
+      for (const [patientId, consultationId] of Object.entries(dropped)) {
+        if (current[patientId]?.consultationId === consultationId) {
+          delete current[patientId];
+        }
+      }
+      reconciled = Object.fromEntries(Object.entries(current)
+        .filter(([, consult]) => ChunkStore.belongsToBackend(consult)));
+    });
+
+    return reconciled;
+  }
+}
+
+// Make ConsultationStore available globally
+if (typeof window !== 'undefined') {
+  window.ConsultationStore = ConsultationStore;
+}
@@ -0,0 +1,212 @@
+// Environment Profiles
+// Which backend the extension talks to. Production and local are built in
+// (CONFIG.ENVIRONMENTS); the team can add named profiles such as staging from
+// the developer options page. The choice lives in chrome.storage and is applied
+// to CONFIG.BACKEND_URL in every context that calls the API (sidebar, background).
+
+class EnvironmentProfiles {
+  static DEFAULT_ID = 'production';
+
+  /**
+   * Every profile, built-in first
+   * @returns {Promise<Array<{id: string, label: string, url: string, builtIn: boolean}>>}
+   */
+  static async getProfiles() {
+    const stored = await this.getStored();
+
+    const builtIn = Object.entries(CONFIG.ENVIRONMENTS).map(([id, profile]) => ({
+      id,
+      label: profile.label,
+      url: profile.url,
+      builtIn: true
+    }));
+
+    const custom = Object.entries(stored.custom).map(([id, profile]) => ({
+      id,
+      label: profile.label,
+      url: profile.url,
+      builtIn: false
+    }));
+
+    return [...builtIn, ...custom];
+  }
+
+  /**
+   * The profile in use (production if the stored one no longer exists)
+   * @returns {Promise<{id: string, label: string, url: string, builtIn: boolean}>}
+   */
+  static async getActive() {
+    const stored = await this.getStored();
+    const profiles = await this.getProfiles();
+
+    return profiles.find(profile => profile.id === stored.active) ||
+      profiles.find(profile => profile.id === this.DEFAULT_ID);
+  }
+
+  /**
+   * Point CONFIG at the active profile's backend
+   * @returns {Promise<object>} The active profile
+   */
+  static async apply() {
+    const profile = await this.getActive();
+
+    if (CONFIG.BACKEND_URL !== profile.url) {
+      console.log(`🌐 Using ${profile.label} backend:`, profile.url);
+    }
+    CONFIG.BACKEND_URL = profile.url;
+
+    return profile;
+  }
+
+  /**
+   * Re-apply whenever the choice changes in another page
+   * @param {function} [onChange] - (profile) => void, after CONFIG was updated
+   */
+  static watch(onChange) {
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'local' || !changes[CONFIG.STORAGE_KEYS.ENVIRONMENT]) return;
+
+      const profile = await this.apply();
+      onChange?.(profile);
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  static async setActive(id) {
+    const stored = await this.getStored();
+    const profiles = await this.getProfiles();
+
+    if (!profiles.some(profile => profile.id === id)) {
+      console.error('❌ Unknown environment profile:', id);
+      return false;
+    }
+
+    return this.save({ ...stored, active: id });
+  }
+
+  /**
+   * Add or update a custom profile
+   * @param {string} id - e.g. 'staging'
+   * @param {object} profile - { label, url }
+   * @returns {Promise<boolean>}
+   */
+  static async saveProfile(id, profile) {
+    if (CONFIG.ENVIRONMENTS[id]) {
+      console.error('❌ Built-in environment profiles cannot be changed:', id);
+      return false;
+    }
+
+    const stored = await this.getStored();
+    const url = this.normalizeUrl(profile.url);
+
+    return this.save({
+      ...stored,
+      custom: {
+        ...stored.custom,
+        [id]: { label: profile.label || id, url }
+      }
+    });
+  }
+
+  /**
+   * Remove a custom profile (switches back to production if it was active)
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  static async removeProfile(id) {
+    const stored = await this.getStored();
+    const custom = { ...stored.custom };
+    delete custom[id];
+
+    return this.save({
+      active: stored.active === id ? this.DEFAULT_ID : stored.active,
+      custom
+    });
+  }
+
+  /**
+   * Make sure the extension may call a profile's backend
+   * Built-in hosts are granted by the manifest; anything else has to be requested
+   * from optional_host_permissions, which needs a user gesture (call from a click,
+   * before awaiting anything). Already granted origins resolve true without a prompt.
+   * @param {string} url
+   * @returns {Promise<boolean>}
+   */
+  static async ensurePermission(url) {
+    const origins = [this.originPattern(url)];
+
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error('❌ Host permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Host permission pattern for a backend URL
+   * @param {string} url
+   * @returns {string} e.g. 'https://staging.example.com/*'
+   */
+  static originPattern(url) {
+    return `${new URL(url).origin}/*`;
+  }
+
+  /**
+   * Validate a backend URL and strip what CONFIG appends itself
+   * @param {string} url
+   * @returns {string} Origin plus any path prefix, without trailing slash or /api/v1
+   */
+  static normalizeUrl(url) {
+    const parsed = new URL(url.trim());
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new Error('Backend URL must start with http:// or https://');
+    }
+
+    return `${parsed.origin}${parsed.pathname}`
+      .replace(/\/+$/, '')
+      .replace(new RegExp(`/api/${CONFIG.API_VERSION}$`), '');
+  }
+
+  /**
+   * @returns {Promise<{active: string, custom: object}>}
+   */
+  static async getStored() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.ENVIRONMENT);
+      const stored = result[CONFIG.STORAGE_KEYS.ENVIRONMENT] || {};
+
+      return {
+        active: stored.active || this.DEFAULT_ID,
+        custom: stored.custom || {}
+      };
+    } catch (error) {
+      console.error('❌ Failed to read environment profiles:', error);
+      return { active: this.DEFAULT_ID, custom: {} };
+    }
+  }
+
+  /**
+   * @param {{active: string, custom: object}} stored
+   * @returns {Promise<boolean>}
+   */
+  static async save(stored) {
+    try {
+      await chrome.storage.local.set({ [CONFIG.STORAGE_KEYS.ENVIRONMENT]: stored });
+      console.log('🌐 Environment profiles saved:', stored);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save environment profiles:', error);
+      return false;
+    }
+  }
+}
+
+// Make EnvironmentProfiles available globally
+if (typeof window !== 'undefined') {
+  window.EnvironmentProfiles = EnvironmentProfiles;
+}
@@ -0,0 +1,231 @@
+// EzyVet Tabs
+// Which patient each EzyVet tab shows, so a summary goes back to the tab (and
+// patient) its consultation was recorded from. The background records what
+// each tab's content script reports; currentPatient follows the tab the vet is
+// looking at and carries its tabId. Before anything is written, the target tab
+// is asked which patient it shows right now - the registry is only a hint.
+
+class EzyVetTabs {
+  static URL_PATTERN = '*://*.ezyvet.com/*';
+
+  // Guessed deep link to an animal record, relative to the clinic's origin. Only
+  // used when we never saw the patient's own page; it assumes EzyVet's record ID
+  // is the Animal ID it displays, which may not hold.
+  static PATIENT_PATH = (patientId) => `/?recordclass=Animal&recordid=${encodeURIComponent(patientId)}`;
+
+  // Results that mean the summary was held back because EzyVet showed someone else
+  static WRONG_PATIENT_CODES = ['PATIENT_NOT_OPEN', 'PATIENT_MISMATCH', 'PATIENT_NOT_FOUND'];
+
+  // Web Lock held while the registry is read and rewritten, so reports from two
+  // tabs arriving together can't drop each other's patient
+  static WRITE_LOCK = 'ezyvet-tabs';
+
+  /**
+   * Last patient reported by each EzyVet tab
+   * @returns {Promise<object>} tabId -> { patient, updatedAt }
+   */
+  static async getAll() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.TAB_PATIENTS);
+      return result[CONFIG.STORAGE_KEYS.TAB_PATIENTS] || {};
+    } catch (error) {
+      console.error('❌ Failed to read EzyVet tabs:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Record the patient a tab shows (background)
+   * It only becomes the current patient when the vet is looking at that tab -
+   * a background tab re-rendering must not switch (and auto-pause) the side panel.
+   * @param {number} tabId
+   * @param {object} patient - From EzyVetPatientExtractor
+   * @returns {Promise<{success: boolean, current?: boolean, error?: string}>}
+   */
+  static async record(tabId, patient) {
+    try {
+      const tagged = { ...patient, tabId };
+      const current = await this.isFocusedTab(tabId);
+
+      await this.update(tabs => {
+        tabs[tabId] = { patient: tagged, updatedAt: Date.now() };
+      }, current ? {
+        [CONFIG.STORAGE_KEYS.CURRENT_PATIENT]: tagged,
+        [CONFIG.STORAGE_KEYS.LAST_UPDATE]: Date.now()
+      } : {});
+      return { success: true, current };
+    } catch (error) {
+      console.error('❌ Failed to record EzyVet tab patient:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Make a tab's patient the current patient again (vet switched to that tab)
+   * @param {number} tabId
+   * @returns {Promise<boolean>} false when the tab hasn't reported a patient
+   */
+  static async activate(tabId) {
+    const entry = (await this.getAll())[tabId];
+    if (!entry) return false;
+
+    const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.CURRENT_PATIENT);
+    const current = result[CONFIG.STORAGE_KEYS.CURRENT_PATIENT];
+    if (current?.tabId === tabId && current?.id === entry.patient.id) return true;
+
+    await chrome.storage.local.set({
+      [CONFIG.STORAGE_KEYS.CURRENT_PATIENT]: entry.patient,
+      [CONFIG.STORAGE_KEYS.LAST_UPDATE]: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Make the active tab of a newly focused window current (vet switched windows)
+   * @param {number} windowId
+   * @returns {Promise<boolean>}
+   */
+  static async activateWindow(windowId) {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) return false;
+
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    return tab ? this.activate(tab.id) : false;
+  }
+
+  /**
+   * Whether a tab is the active tab of the window the vet last focused
+   * @param {number} tabId
+   * @returns {Promise<boolean>}
+   */
+  static async isFocusedTab(tabId) {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return tab?.id === tabId;
+  }
+
+  /**
+   * Forget a tab that was closed or left EzyVet
+   * @param {number} tabId
+   */
+  static async forget(tabId) {
+    await this.update(tabs => {
+      if (!tabs[tabId]) return false;
+      delete tabs[tabId];
+    });
+  }
+
+  /**
+   * Read, change and write back the registry while holding WRITE_LOCK
+   * @param {function(object): *} change - Mutates the registry in place; returning false skips the write
+   * @param {object} [extra] - Other storage keys to write in the same set
+   * @returns {Promise<*>} Whatever change returned
+   */
+  static async update(change, extra = {}) {
+    const apply = async () => {
+      const tabs = await this.getAll();
+      const outcome = change(tabs);
+      if (outcome !== false) {
+        await chrome.storage.local.set({ [CONFIG.STORAGE_KEYS.TAB_PATIENTS]: tabs, ...extra });
+      }
+      return outcome;
+    };
+
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return apply();
+    }
+    return navigator.locks.request(this.WRITE_LOCK, apply);
+  }
+
+  /**
+   * Ask a tab which patient it shows right now
+   * @param {number} tabId
+   * @returns {Promise<object|null>} null when the tab can't answer or shows no patient
+   */
+  static async readPatient(tabId) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_PATIENT' });
+      return response?.patient || null;
+    } catch (error) {
+      console.log(`⚠️ EzyVet tab ${tabId} did not answer:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find an EzyVet tab that shows the patient now, trying the consultation's
+   * own tab first, then tabs last seen with the patient, then any EzyVet tab
+   * @param {object} patient - { id, name, tabId? }
+   * @returns {Promise<{success: boolean, tabId?: number, error?: string, code?: string}>}
+   *   code 'PATIENT_NOT_OPEN' when no tab shows the patient
+   */
+  static async findTabForPatient(patient) {
+    const known = await this.getAll();
+    const open = await chrome.tabs.query({ url: this.URL_PATTERN });
+
+    const rank = (tab) => {
+      if (tab.id === patient.tabId) return 0;
+      if (String(known[tab.id]?.patient.id) === String(patient.id)) return 1;
+      return 2;
+    };
+
+    for (const tab of [...open].sort((a, b) => rank(a) - rank(b))) {
+      const shown = await this.readPatient(tab.id);
+      if (shown && String(shown.id) === String(patient.id)) {
+        if (tab.id !== patient.tabId) {
+          console.log(`🔀 ${patient.name} is now open in EzyVet tab ${tab.id} (recorded in ${patient.tabId})`);
+        }
+        return { success: true, tabId: tab.id };
+      }
+    }
+
+    return {
+      success: false,
+      error: `${patient.name} (${patient.id}) isn't open in any EzyVet tab. Open their record in EzyVet and try again.`,
+      code: 'PATIENT_NOT_OPEN'
+    };
+  }
+
+  /**
+   * Open a patient's record in EzyVet (the "navigate to patient" action)
+   * Opens a new tab next to the given tab (else the consultation's own tab,
+   * else any EzyVet tab) so unsaved work in that tab is never navigated away.
+   * The page the patient was recorded from is used when we have it, the
+   * guessed PATIENT_PATH otherwise; either way injection checks the patient
+   * again before writing.
+   * @param {object} patient - { id, name, tabId?, pageUrl? }
+   * @param {number} [tabId]
+   * @returns {Promise<{success: boolean, tabId?: number, error?: string}>}
+   */
+  static async navigateToPatient(patient, tabId) {
+    try {
+      const open = await chrome.tabs.query({ url: this.URL_PATTERN });
+      const tab = open.find(candidate => candidate.id === tabId) ||
+        open.find(candidate => candidate.id === patient.tabId) ||
+        open[0];
+
+      if (!tab) {
+        return { success: false, error: 'No EzyVet tab is open. Sign in to EzyVet and open the patient\'s record.' };
+      }
+
+      const url = patient.pageUrl || new URL(this.PATIENT_PATH(patient.id), tab.url).href;
+      const created = await chrome.tabs.create({
+        url,
+        windowId: tab.windowId,
+        index: tab.index + 1,
+        openerTabId: tab.id,
+        active: true
+      });
+      await chrome.windows.update(tab.windowId, { focused: true });
+
+      console.log(`🧭 Opening ${patient.name} in a new EzyVet tab ${created.id}`);
+      return { success: true, tabId: created.id };
+    } catch (error) {
+      console.error('❌ Failed to open patient in EzyVet:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Make EzyVetTabs available globally
+if (typeof window !== 'undefined') {
+  window.EzyVetTabs = EzyVetTabs;
+}
@@ -0,0 +1,114 @@
+// Microphone Preferences
+// Lists audio input devices and remembers the vet's chosen microphone.
+// Device IDs are scoped to the extension origin, so an ID picked on the setup
+// page or in the sidebar is valid in the offscreen recorder too.
+
+class MicrophonePreferences {
+  /**
+   * List available audio input devices
+   * Labels are only populated once microphone permission has been granted.
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  static async listDevices() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+
+      return devices
+        .filter(device => device.kind === 'audioinput')
+        .map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `Microphone ${index + 1}`
+        }));
+    } catch (error) {
+      console.error('❌ Failed to enumerate microphones:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the saved microphone preference
+   * @returns {Promise<{deviceId: string, label: string}|null>} null means system default
+   */
+  static async getPreferred() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.MIC_DEVICE);
+      return result[CONFIG.STORAGE_KEYS.MIC_DEVICE] || null;
+    } catch (error) {
+      console.error('❌ Failed to read microphone preference:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the microphone preference
+   * @param {string|null} deviceId - null or 'default' clears it (use system default)
+   * @param {string} label - Human readable name, shown if the device goes missing
+   * @returns {Promise<boolean>}
+   */
+  static async setPreferred(deviceId, label = '') {
+    try {
+      if (!deviceId || deviceId === 'default') {
+        await chrome.storage.local.remove(CONFIG.STORAGE_KEYS.MIC_DEVICE);
+        console.log('🎤 Microphone preference cleared (system default)');
+      } else {
+        await chrome.storage.local.set({
+          [CONFIG.STORAGE_KEYS.MIC_DEVICE]: { deviceId, label }
+        });
+        console.log('🎤 Microphone preference saved:', label);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save microphone preference:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Fill a <select> with the available microphones and select the saved one
+   * @param {HTMLSelectElement} select
+   * @returns {Promise<void>}
+   */
+  static async populateSelect(select) {
+    const [devices, preferred] = await Promise.all([
+      this.listDevices(),
+      this.getPreferred()
+    ]);
+
+    select.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = 'default';
+    defaultOption.textContent = 'System default';
+    select.appendChild(defaultOption);
+
+    devices
+      .filter(device => device.deviceId !== 'default' && device.deviceId !== 'communications')
+      .forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        select.appendChild(option);
+      });
+
+    if (preferred) {
+      const isAvailable = devices.some(device => device.deviceId === preferred.deviceId);
+
+      if (!isAvailable) {
+        // Keep the saved choice visible so the vet knows why the default is used
+        const missingOption = document.createElement('option');
+        missingOption.value = preferred.deviceId;
+        missingOption.textContent = `${preferred.label || 'Saved microphone'} (not connected)`;
+        select.appendChild(missingOption);
+      }
+
+      select.value = preferred.deviceId;
+    } else {
+      select.value = 'default';
+    }
+  }
+}
+
+// Make MicrophonePreferences available globally
+if (typeof window !== 'undefined') {
+  window.MicrophonePreferences = MicrophonePreferences;
+}
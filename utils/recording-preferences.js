@@ -0,0 +1,96 @@
+// Recording Preferences
+// Chunk duration and bitrate for the offscreen recorder. Clinic defaults come
+// from user.recordingSettings in the stored profile; a vet's own choice in the
+// settings panel wins over those. Values are validated by the recorder itself,
+// which knows what MediaRecorder supports.
+
+class RecordingPreferences {
+  static KEYS = ['chunkDurationMs', 'audioBitsPerSecond', 'mimeType'];
+
+  /**
+   * Get the effective recording settings
+   * @returns {Promise<{chunkDurationMs: number, audioBitsPerSecond: number, mimeType: string|null}>}
+   */
+  static async get() {
+    const defaults = {
+      chunkDurationMs: CONFIG.RECORDING.CHUNK_DURATION_MS,
+      audioBitsPerSecond: CONFIG.RECORDING.AUDIO_BITS_PER_SECOND,
+      mimeType: null
+    };
+
+    try {
+      const result = await chrome.storage.local.get([
+        CONFIG.STORAGE_KEYS.USER,
+        CONFIG.STORAGE_KEYS.RECORDING_SETTINGS
+      ]);
+
+      const clinic = this.pick(result[CONFIG.STORAGE_KEYS.USER]?.recordingSettings);
+      const local = this.pick(result[CONFIG.STORAGE_KEYS.RECORDING_SETTINGS]);
+
+      return { ...defaults, ...clinic, ...local };
+    } catch (error) {
+      console.error('❌ Failed to read recording preferences:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Get only the vet's own overrides (what the settings panel shows)
+   * @returns {Promise<object>}
+   */
+  static async getOverrides() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.RECORDING_SETTINGS);
+      return this.pick(result[CONFIG.STORAGE_KEYS.RECORDING_SETTINGS]);
+    } catch (error) {
+      console.error('❌ Failed to read recording preferences:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save overrides; a null value drops back to the clinic default
+   * @param {object} changes - { chunkDurationMs?, audioBitsPerSecond?, mimeType? }
+   * @returns {Promise<boolean>}
+   */
+  static async set(changes) {
+    try {
+      const updated = { ...(await this.getOverrides()), ...changes };
+      Object.keys(updated).forEach(key => {
+        if (updated[key] === null) delete updated[key];
+      });
+
+      await chrome.storage.local.set({
+        [CONFIG.STORAGE_KEYS.RECORDING_SETTINGS]: updated
+      });
+
+      console.log('🎚️ Recording preferences saved:', updated);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save recording preferences:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Keep only known, non-empty settings
+   * @param {object} [source]
+   * @returns {object}
+   */
+  static pick(source) {
+    const picked = {};
+    if (!source) return picked;
+
+    this.KEYS.forEach(key => {
+      if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+        picked[key] = source[key];
+      }
+    });
+    return picked;
+  }
+}
+
+// Make RecordingPreferences available globally
+if (typeof window !== 'undefined') {
+  window.RecordingPreferences = RecordingPreferences;
+}
@@ -0,0 +1,181 @@
+// Settings Store
+// Workflow and summary preferences edited on the options page. Defaults come
+// from CONFIG.SETTINGS, clinic defaults from user.clinicSettings in the stored
+// profile, and a vet's own choice wins over both. Every value is checked
+// against SCHEMA, so a bad stored value falls back instead of breaking the UI.
+// Microphone and chunk size keep their own stores (MicrophonePreferences,
+// RecordingPreferences) - the options page edits those too.
+
+class SettingsStore {
+  static SCHEMA = {
+    autoInject: { type: 'boolean' },
+    defaultTemplateId: { type: 'string', nullable: true },
+    fillerWordCleanup: { type: 'boolean' },
+    summaryFormat: { type: 'enum', values: ['markdown', 'plain'] }
+  };
+
+  // Stored as defaultTemplateId when a vet explicitly wants no template over a
+  // clinic default (null would mean "use the clinic default")
+  static NO_TEMPLATE = 'none';
+
+  /**
+   * Built-in defaults
+   * @returns {{autoInject: boolean, defaultTemplateId: string|null, fillerWordCleanup: boolean, summaryFormat: string}}
+   */
+  static getDefaults() {
+    return {
+      autoInject: CONFIG.SETTINGS.AUTO_INJECT,
+      defaultTemplateId: CONFIG.SETTINGS.DEFAULT_TEMPLATE_ID,
+      fillerWordCleanup: CONFIG.SETTINGS.FILLER_WORD_CLEANUP,
+      summaryFormat: CONFIG.SETTINGS.SUMMARY_FORMAT
+    };
+  }
+
+  /**
+   * Get the effective settings
+   * @returns {Promise<{autoInject: boolean, defaultTemplateId: string|null, fillerWordCleanup: boolean, summaryFormat: string}>}
+   */
+  static async get() {
+    const defaults = this.getDefaults();
+
+    try {
+      const result = await chrome.storage.local.get([
+        CONFIG.STORAGE_KEYS.USER,
+        CONFIG.STORAGE_KEYS.SETTINGS
+      ]);
+
+      const clinic = this.pick(result[CONFIG.STORAGE_KEYS.USER]?.clinicSettings);
+      const local = this.pick(result[CONFIG.STORAGE_KEYS.SETTINGS]);
+
+      const settings = { ...defaults, ...clinic, ...local };
+      if (settings.defaultTemplateId === this.NO_TEMPLATE) {
+        settings.defaultTemplateId = null;
+      }
+      return settings;
+    } catch (error) {
+      console.error('❌ Failed to read settings:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Get the clinic's defaults (what "Clinic default" means on the options page)
+   * @returns {Promise<object>}
+   */
+  static async getClinicDefaults() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.USER);
+      return { ...this.getDefaults(), ...this.pick(result[CONFIG.STORAGE_KEYS.USER]?.clinicSettings) };
+    } catch (error) {
+      console.error('❌ Failed to read clinic settings:', error);
+      return this.getDefaults();
+    }
+  }
+
+  /**
+   * Get only the vet's own overrides (defaultTemplateId may be NO_TEMPLATE)
+   * @returns {Promise<object>}
+   */
+  static async getOverrides() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.SETTINGS);
+      return this.pick(result[CONFIG.STORAGE_KEYS.SETTINGS]);
+    } catch (error) {
+      console.error('❌ Failed to read settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save overrides; a null value drops back to the clinic default
+   * Unknown keys and values of the wrong type are rejected.
+   * @param {object} changes - { autoInject?, defaultTemplateId?, fillerWordCleanup?, summaryFormat? }
+   * @returns {Promise<boolean>}
+   */
+  static async set(changes) {
+    const invalid = Object.keys(changes).filter(key =>
+      changes[key] !== null && !this.isValid(key, changes[key])
+    );
+    if (invalid.length > 0) {
+      console.error('❌ Invalid settings:', invalid.map(key => `${key}=${JSON.stringify(changes[key])}`));
+      return false;
+    }
+
+    try {
+      const updated = { ...(await this.getOverrides()), ...changes };
+      Object.keys(updated).forEach(key => {
+        if (updated[key] === null) delete updated[key];
+      });
+
+      await chrome.storage.local.set({
+        [CONFIG.STORAGE_KEYS.SETTINGS]: updated
+      });
+
+      console.log('⚙️ Settings saved:', updated);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Call back with the effective settings whenever they change
+   * (options page, another side panel, or a new clinic profile after login)
+   * @param {function} onChange - (settings) => void
+   */
+  static watch(onChange) {
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (!changes[CONFIG.STORAGE_KEYS.SETTINGS] && !changes[CONFIG.STORAGE_KEYS.USER]) return;
+
+      onChange(await this.get());
+    });
+  }
+
+  /**
+   * Whether a value matches the schema for its key
+   * @param {string} key
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isValid(key, value) {
+    const field = this.SCHEMA[key];
+    if (!field) return false;
+
+    if (value === null) return !!field.nullable;
+
+    switch (field.type) {
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'string':
+        return typeof value === 'string' && value !== '';
+      case 'enum':
+        return field.values.includes(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Keep only known settings with valid values
+   * @param {object} [source]
+   * @returns {object}
+   */
+  static pick(source) {
+    const picked = {};
+    if (!source) return picked;
+
+    Object.keys(this.SCHEMA).forEach(key => {
+      if (source[key] !== undefined && this.isValid(key, source[key])) {
+        picked[key] = source[key];
+      }
+    });
+    return picked;
+  }
+}
+
+// Make SettingsStore available globally
+if (typeof window !== 'undefined') {
+  window.SettingsStore = SettingsStore;
+}
@@ -0,0 +1,60 @@
+// Silence Preferences
+// Remembers how the recorder should react when the room goes quiet
+// (vet stepped out mid-consult). Falls back to CONFIG.SILENCE_DETECTION.
+
+class SilencePreferences {
+  static MODES = ['prompt', 'auto-pause', 'off'];
+
+  /**
+   * Get the effective silence detection settings
+   * @returns {Promise<{mode: string, threshold: number, durationMs: number}>}
+   */
+  static async get() {
+    const defaults = {
+      mode: CONFIG.SILENCE_DETECTION.MODE,
+      threshold: CONFIG.SILENCE_DETECTION.THRESHOLD_RMS,
+      durationMs: CONFIG.SILENCE_DETECTION.DURATION_MS
+    };
+
+    try {
+      const result = await chrome.storage.local.get(CONFIG.STORAGE_KEYS.SILENCE_DETECTION);
+      const saved = result[CONFIG.STORAGE_KEYS.SILENCE_DETECTION] || {};
+
+      return {
+        mode: this.MODES.includes(saved.mode) ? saved.mode : defaults.mode,
+        threshold: saved.threshold > 0 ? saved.threshold : defaults.threshold,
+        durationMs: saved.durationMs > 0 ? saved.durationMs : defaults.durationMs
+      };
+    } catch (error) {
+      console.error('❌ Failed to read silence preferences:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Save some or all of the silence detection settings
+   * @param {object} changes - { mode?, threshold?, durationMs? }
+   * @returns {Promise<boolean>}
+   */
+  static async set(changes) {
+    try {
+      const current = await this.get();
+      const updated = { ...current, ...changes };
+
+      await chrome.storage.local.set({
+        [CONFIG.STORAGE_KEYS.SILENCE_DETECTION]: updated
+      });
+
+      console.log('🔇 Silence preferences saved:', updated);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save silence preferences:', error);
+      return false;
+    }
+  }
+}
+
+// Make SilencePreferences available globally
+if (typeof window !== 'undefined') {
+  window.SilencePreferences = SilencePreferences;
+}
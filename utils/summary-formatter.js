@@ -0,0 +1,67 @@
+// Summary Formatter
+// Applies the vet's summary settings to generated text before it is shown or
+// inserted into EzyVet. Works on the raw summary every time, so changing a
+// setting can re-render a summary without losing anything.
+
+class SummaryFormatter {
+  /**
+   * @param {string} summary - Summary as generated
+   * @param {object} settings - { fillerWordCleanup, summaryFormat } from SettingsStore
+   * @returns {string}
+   */
+  static format(summary, settings = {}) {
+    if (!summary) return '';
+
+    let text = summary;
+    if (settings.fillerWordCleanup) {
+      text = this.removeFillerWords(text);
+    }
+    if (settings.summaryFormat === 'plain') {
+      text = this.toPlainText(text);
+    }
+    return text;
+  }
+
+  /**
+   * Drop hesitation words (quoted owner statements pick them up from the transcript)
+   * Only lower-case fillers followed by a comma or an ellipsis count, so clinical
+   * text such as "ER" or "Er:YAG" is never touched.
+   * @param {string} text
+   * @returns {string}
+   */
+  static removeFillerWords(text) {
+    const words = CONFIG.SETTINGS.FILLER_WORDS.join('|');
+    const filler = new RegExp(`(^|[\\s"'(])(?:${words})(?:,|\\.{2,}|…)(?=\\s|$)\\s?`, 'gm');
+
+    return text
+      .replace(filler, '$1')
+      .replace(/ {2,}/g, ' ')
+      .replace(/ +([,.;:!?])/g, '$1')
+      .replace(/ +$/gm, '');
+  }
+
+  /**
+   * Strip Markdown for EzyVet's plain text fields (headings, emphasis, list markers)
+   * @param {string} text
+   * @returns {string}
+   */
+  static toPlainText(text) {
+    return text
+      .replace(/^#{1,6}\s+(.+)$/gm, (match, heading) => heading.toUpperCase())
+      .replace(/\*\*(.+?)\*\*/g, '$1')
+      .replace(/__(.+?)__/g, '$1')
+      .replace(/(^|[^*])\*(?!\s)(.+?)\*/g, '$1$2')
+      .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+      .replace(/`([^`]+)`/g, '$1');
+  }
+}
+
+// Make SummaryFormatter available globally
+if (typeof window !== 'undefined') {
+  window.SummaryFormatter = SummaryFormatter;
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryFormatter;
+}
@@ -0,0 +1,24 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.CONFIG = require('../config.js');
+const SummaryFormatter = require('./summary-formatter.js');
+
+test('removeFillerWords keeps clinical abbreviations', () => {
+  const text = 'Referred to ER. Seen at the ER overnight. Er:YAG laser discussed.';
+  assert.strictEqual(SummaryFormatter.removeFillerWords(text), text);
+});
+
+test('removeFillerWords keeps fillers without hesitation punctuation', () => {
+  const text = 'Owner said er is fine.';
+  assert.strictEqual(SummaryFormatter.removeFillerWords(text), text);
+});
+
+test('removeFillerWords drops fillers followed by a comma or ellipsis', () => {
+  const text = 'Owner said "um, he stopped eating... uh... yesterday".';
+  assert.strictEqual(
+    SummaryFormatter.removeFillerWords(text),
+    'Owner said "he stopped eating... yesterday".'
+  );
+});